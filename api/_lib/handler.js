@@ -0,0 +1,64 @@
+// Shared adapter for the Vercel functions: CORS, method checks and
+// CrosswordError -> HTTP response, so every function is a one-liner
+// around the crossword core.
+
+import {
+    createCrosswordApi,
+    createPuzzleCache,
+    createPuzzleLibrary,
+    createTokenStore,
+    CrosswordError,
+    readCacheConfig,
+    readLibraryConfig,
+    toErrorResponse
+} from 'crossword-core';
+
+// Serverless instances share nothing, so puzzle sessions travel as encrypted tokens
+// and the puzzle cache lives in each warm instance's memory (no disk unless CACHE_DIR is set).
+// The puzzle library is off unless PUZZLE_LIBRARY points at storage the instances share.
+export const crossword = createCrosswordApi({
+    store: createTokenStore({ secret: process.env.PUZZLE_SECRET }),
+    cache: createPuzzleCache(readCacheConfig()),
+    library: createPuzzleLibrary(readLibraryConfig())
+});
+
+/**
+ * Build a Vercel handler around a core API call
+ * @param {Object} options
+ * @param {string[]} options.methods - Allowed HTTP methods
+ * @param {Function} options.action - (req) => response object
+ * @param {string} [options.failCode] - Error code for unexpected failures
+ * @param {string} [options.failMessage] - Error message for unexpected failures
+ */
+export function createHandler({ methods, action, failCode = 'INTERNAL_ERROR', failMessage = 'Internal server error' }) {
+    return async function handler(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        console.log('🧩 API HIT:', new Date().toISOString(), req.method, req.url);
+
+        try {
+            if (!methods.includes(req.method)) {
+                throw new CrosswordError('METHOD_NOT_ALLOWED', `Use ${methods.join(' or ')} method`, 405);
+            }
+
+            const result = await action(req);
+            if (result.file) {
+                res.setHeader('Content-Type', result.file.contentType);
+                const disposition = result.file.disposition || 'attachment';
+                res.setHeader('Content-Disposition', `${disposition}; filename="${result.file.filename}"`);
+                return res.status(200).send(result.file.data);
+            }
+            return res.status(200).json({ ok: true, ...result });
+        } catch (error) {
+            const { status, body } = toErrorResponse(error, failCode, failMessage);
+            if (status >= 500) console.error(`❌ ${failCode}:`, error.message);
+            return res.status(status).json(body);
+        }
+    };
+}
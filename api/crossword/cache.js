@@ -0,0 +1,17 @@
+// Native Vercel Serverless Function for /api/crossword/cache and /api/crossword/cache/stats
+// vercel.json rewrites /cache/stats here with ?action=stats
+
+import { CrosswordError } from 'crossword-core';
+import { crossword, createHandler } from '../_lib/handler.js';
+
+export default createHandler({
+    methods: ['GET', 'DELETE'],
+    action: req => {
+        const { action, ...query } = req.query || {};
+        if (req.method === 'GET' && action === 'stats') return crossword.cacheStats();
+        if (req.method === 'DELETE' && action === undefined) return crossword.clearCache(query, req.headers?.authorization);
+        throw new CrosswordError('METHOD_NOT_ALLOWED', action === 'stats' ? 'Use GET method' : 'Use DELETE method', 405);
+    },
+    failCode: 'CACHE_FAILED',
+    failMessage: 'Failed to process cache request'
+});
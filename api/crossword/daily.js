@@ -0,0 +1,16 @@
+// Native Vercel Serverless Function for /api/crossword/daily, /daily/archive and /daily/leaderboard
+// vercel.json rewrites the sub-paths here with ?action=archive or ?action=leaderboard
+
+import { crossword, createHandler } from '../_lib/handler.js';
+
+export default createHandler({
+    methods: ['GET'],
+    action: req => {
+        const { action, ...query } = req.query || {};
+        if (action === 'archive') return crossword.dailyArchive(query);
+        if (action === 'leaderboard') return crossword.dailyLeaderboard(query);
+        return crossword.daily(query);
+    },
+    failCode: 'DAILY_FAILED',
+    failMessage: 'Failed to load the daily puzzle'
+});
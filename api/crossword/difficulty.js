@@ -0,0 +1,8 @@
+// Native Vercel Serverless Function for /api/crossword/difficulty
+
+import { crossword, createHandler } from '../_lib/handler.js';
+
+export default createHandler({
+    methods: ['GET'],
+    action: () => crossword.difficulty()
+});
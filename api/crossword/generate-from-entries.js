@@ -0,0 +1,10 @@
+// Native Vercel Serverless Function for /api/crossword/generate-from-entries
+
+import { crossword, createHandler } from '../_lib/handler.js';
+
+export default createHandler({
+    methods: ['POST'],
+    action: req => crossword.generateFromEntries(req.body || {}),
+    failCode: 'GENERATION_FAILED',
+    failMessage: 'Failed to generate puzzle'
+});
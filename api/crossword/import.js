@@ -0,0 +1,10 @@
+// Native Vercel Serverless Function for /api/crossword/puzzles/import
+
+import { crossword, createHandler } from '../_lib/handler.js';
+
+export default createHandler({
+    methods: ['POST'],
+    action: req => crossword.import(req.body || {}),
+    failCode: 'IMPORT_FAILED',
+    failMessage: 'Failed to import puzzle'
+});
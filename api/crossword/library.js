@@ -0,0 +1,14 @@
+// Native Vercel Serverless Function for /api/crossword/puzzles and /api/crossword/puzzles/:id
+// vercel.json rewrites /puzzles/:id here with ?id=<libraryId>
+
+import { crossword, createHandler } from '../_lib/handler.js';
+
+export default createHandler({
+    methods: ['GET'],
+    action: req => {
+        const { id, ...query } = req.query || {};
+        return id === undefined ? crossword.listPuzzles(query) : crossword.getPuzzle(id);
+    },
+    failCode: 'LIBRARY_FAILED',
+    failMessage: 'Failed to load puzzles'
+});
@@ -0,0 +1,38 @@
+// Native Vercel Serverless Function for /api/crossword/puzzles/:id/(share|open|pause|resume|check|reveal|hint|submit|leaderboard|export|print)
+// vercel.json rewrites those paths here with ?id=<token>&action=<action>
+
+import { CrosswordError } from 'crossword-core';
+import { crossword, createHandler } from '../_lib/handler.js';
+
+// Action -> allowed HTTP method
+const ACTIONS = {
+    share: 'POST',
+    open: 'GET',                // :id is a share ID
+    pause: 'POST',
+    resume: 'POST',
+    check: 'POST',
+    reveal: 'POST',
+    hint: 'POST',
+    submit: 'POST',
+    leaderboard: 'GET',         // :id is a library ID
+    export: 'GET',
+    print: 'GET'
+};
+
+export default createHandler({
+    methods: ['GET', 'POST'],
+    action: req => {
+        const { id, action, ...query } = req.query || {};
+        if (!ACTIONS[action]) {
+            throw new CrosswordError('UNKNOWN_ACTION', 'Action must be share, open, pause, resume, check, reveal, hint, submit, leaderboard, export or print', 404);
+        }
+        if (req.method !== ACTIONS[action]) {
+            throw new CrosswordError('METHOD_NOT_ALLOWED', `Use ${ACTIONS[action]} method`, 405);
+        }
+        return ACTIONS[action] === 'GET'
+            ? crossword[action](id, query)
+            : crossword[action](id, req.body || {});
+    },
+    failCode: 'PUZZLE_ACTION_FAILED',
+    failMessage: 'Failed to process puzzle request'
+});
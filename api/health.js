@@ -1,14 +1,9 @@
 // Native Vercel Serverless Function for /api/health
 
-export default function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+import { getHealth } from 'crossword-core';
+import { createHandler } from './_lib/handler.js';
 
-    console.log('❤️ Health check:', new Date().toISOString());
-
-    return res.status(200).json({
-        ok: true,
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        hasApiKey: !!process.env.BYTEZ_API_KEY
-    });
-}
+export default createHandler({
+    methods: ['GET'],
+    action: () => getHealth()
+});
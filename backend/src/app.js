@@ -1,7 +1,9 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
+import { getHealth } from 'crossword-core';
 import crosswordRoutes from './routes/crosswordRoutes.js';
+import { puzzleCache } from './services/cacheService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,13 +23,13 @@ app.use('/api/crossword', crosswordRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({ ok: true, ...getHealth() });
 });
 
 // Error handling
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
 });
 
 // Start server
@@ -35,7 +37,7 @@ app.use((err, req, res, next) => {
 if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
     app.listen(PORT, () => {
         console.log(`🧩 Crossword Generator API running on http://localhost:${PORT}`);
-        console.log(`   Cache: ${process.env.CACHE_ENABLED === 'true' ? 'enabled' : 'disabled'}`);
+        console.log(`   Cache: ${puzzleCache ? 'enabled' : 'disabled'}`);
     });
 }
 
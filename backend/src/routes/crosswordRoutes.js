@@ -1,258 +1,254 @@
 import { Router } from 'express';
-import { generateCluesAndAnswers, getDifficultyConfig } from '../services/geminiService.js';
-import { generateLayout, toCrosswordJsFormat } from '../services/layoutService.js';
-import { getCached, setCache, clearCache } from '../services/cacheService.js';
-import {
-    generateSemanticHint,
-    getStrategicLetterReveal,
-    checkHintAllowed,
-    HINT_LIMITS
-} from '../services/hintService.js';
+import { createCrosswordApi, createMemoryStore, toErrorResponse } from 'crossword-core';
+import { puzzleCache } from '../services/cacheService.js';
+import { puzzleLibrary } from '../services/libraryService.js';
 
 const router = Router();
 
+const crossword = createCrosswordApi({
+    store: createMemoryStore({ ttlHours: parseInt(process.env.SESSION_TTL_HOURS) || 24 }),
+    cache: puzzleCache,
+    library: puzzleLibrary
+});
+
 /**
- * POST /api/crossword/generate
- * Generate a new crossword puzzle for a given topic
+ * Send an exported puzzle file as a download (or inline, e.g. for printing)
  */
-router.post('/generate', async (req, res) => {
-    try {
-        const { topic, wordCount = 10, difficulty = 'medium' } = req.body;
+function sendFile(res, { data, contentType, filename, disposition = 'attachment' }) {
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.send(data);
+}
 
-        if (!topic || typeof topic !== 'string') {
-            return res.status(400).json({
-                error: 'Topic is required and must be a string'
-            });
-        }
-
-        const validDifficulties = ['easy', 'medium', 'hard'];
-        const normalizedDifficulty = (difficulty || 'medium').toLowerCase();
-        if (!validDifficulties.includes(normalizedDifficulty)) {
-            return res.status(400).json({
-                error: 'Difficulty must be easy, medium, or hard'
-            });
-        }
-
-        const normalizedTopic = topic.trim();
-        if (normalizedTopic.length < 2 || normalizedTopic.length > 100) {
-            return res.status(400).json({
-                error: 'Topic must be between 2 and 100 characters'
-            });
+/**
+ * Wrap a core API call as an Express handler
+ * @param {Function} action - (req) => response object
+ * @param {string} failCode - Error code for unexpected failures
+ * @param {string} failMessage - Error message for unexpected failures
+ */
+function handle(action, failCode = 'INTERNAL_ERROR', failMessage = 'Internal server error') {
+    return async (req, res) => {
+        try {
+            const result = await action(req);
+            if (result.file) return sendFile(res, result.file);
+            res.json({ ok: true, ...result });
+        } catch (error) {
+            const { status, body } = toErrorResponse(error, failCode, failMessage);
+            if (status >= 500) console.error(`${failCode}:`, error);
+            res.status(status).json(body);
         }
+    };
+}
 
-        const cacheKey = `${normalizedTopic}:${normalizedDifficulty}`;
-        const cached = await getCached(cacheKey);
-        if (cached) {
-            return res.json({ ...cached, cached: true });
-        }
+/**
+ * POST /api/crossword/generate
+ * Generate a new crossword puzzle for a given topic
+ */
+router.post('/generate', handle(
+    req => crossword.generate(req.body),
+    'GENERATION_FAILED', 'Failed to generate crossword puzzle'
+));
 
-        const entries = await generateCluesAndAnswers(
-            normalizedTopic,
-            Math.min(Math.max(wordCount, 5), 20),
-            normalizedDifficulty
-        );
+/**
+ * POST /api/crossword/generate-from-entries
+ * Build a crossword from the caller's own words: body { entries: [{answer, clue}], title, difficulty }
+ */
+router.post('/generate-from-entries', handle(
+    req => crossword.generateFromEntries(req.body),
+    'GENERATION_FAILED', 'Failed to generate crossword puzzle'
+));
 
-        if (entries.length < 3) {
-            return res.status(422).json({
-                error: 'Could not generate enough valid words for the crossword'
-            });
-        }
+/**
+ * GET /api/crossword/daily?date=YYYY-MM-DD&difficulty=medium
+ * The day's puzzle, the same for everyone (date defaults to today, UTC)
+ */
+router.get('/daily', handle(
+    req => crossword.daily(req.query),
+    'DAILY_FAILED', 'Failed to load the daily puzzle'
+));
 
-        const layout = generateLayout(entries);
-        const puzzle = toCrosswordJsFormat(layout, normalizedTopic);
+/**
+ * GET /api/crossword/daily/archive?before=YYYY-MM-DD&days=14
+ * Scheduled daily topics, newest first
+ */
+router.get('/daily/archive', handle(
+    req => crossword.dailyArchive(req.query),
+    'DAILY_FAILED', 'Failed to load the daily puzzle'
+));
 
-        // Add difficulty and hint configuration
-        const limits = HINT_LIMITS[normalizedDifficulty];
-        puzzle.difficulty = {
-            level: normalizedDifficulty,
-            hintLimits: {
-                semanticPerClue: limits.semanticPerClue,
-                letterPerClue: limits.letterPerClue,
-                semanticPerPuzzle: limits.semanticPerPuzzle,
-                letterPerPuzzle: limits.letterPerPuzzle,
-                penalty: limits.penalty
-            }
-        };
+/**
+ * GET /api/crossword/daily/leaderboard?date=YYYY-MM-DD&difficulty=medium&limit=10
+ * Best verified solves of a daily puzzle
+ */
+router.get('/daily/leaderboard', handle(
+    req => crossword.dailyLeaderboard(req.query),
+    'LEADERBOARD_FAILED', 'Failed to load the leaderboard'
+));
 
-        await setCache(cacheKey, puzzle);
-        res.json({ ...puzzle, cached: false });
+/**
+ * GET /api/crossword/puzzles?topic=&difficulty=&limit=&offset=
+ * List saved puzzles, newest first
+ */
+router.get('/puzzles', handle(
+    req => crossword.listPuzzles(req.query),
+    'LIBRARY_FAILED', 'Failed to load puzzles'
+));
 
-    } catch (error) {
-        console.error('Generation error:', error);
-        if (error.message.includes('API key')) {
-            return res.status(500).json({ error: 'LLM API configuration error' });
-        }
-        if (error.message.includes('JSON')) {
-            return res.status(502).json({ error: 'LLM returned invalid response' });
-        }
-        res.status(500).json({ error: 'Failed to generate crossword puzzle' });
-    }
-});
+/**
+ * GET /api/crossword/puzzles/:id
+ * Replay a saved puzzle by its library ID (a new puzzleId is issued for playing it)
+ */
+router.get('/puzzles/:id', handle(
+    req => crossword.getPuzzle(req.params.id),
+    'LIBRARY_FAILED', 'Failed to load puzzles'
+));
 
 /**
  * POST /api/crossword/hint
+ * Get a hint for a specific clue (puzzleId in the body)
+ */
+router.post('/hint', handle(
+    req => crossword.hint(req.body.puzzleId, req.body),
+    'HINT_FAILED', 'Failed to generate hint'
+));
+
+/**
+ * POST /api/crossword/puzzles/:id/hint
  * Get a hint for a specific clue
  */
-router.post('/hint', async (req, res) => {
-    try {
-        const {
-            hintType,           // 'semantic' or 'letter'
-            clue,               // The clue text
-            answer,             // The correct answer
-            userInput,          // Current user input for this word
-            alreadyRevealed,    // Array of indices already revealed
-            intersections,      // Object mapping indices to intersection info
-            difficulty,         // Difficulty level
-            usage               // Current usage counts
-        } = req.body;
+router.post('/puzzles/:id/hint', handle(
+    req => crossword.hint(req.params.id, req.body),
+    'HINT_FAILED', 'Failed to generate hint'
+));
 
-        // Validate required fields
-        if (!hintType || !['semantic', 'letter'].includes(hintType)) {
-            return res.status(400).json({ error: 'hintType must be "semantic" or "letter"' });
-        }
-        if (!answer) {
-            return res.status(400).json({ error: 'answer is required' });
-        }
+/**
+ * POST /api/crossword/puzzles/:id/share
+ * Get a share ID for a puzzle session's puzzle, which can only be opened
+ */
+router.post('/puzzles/:id/share', handle(
+    req => crossword.share(req.params.id),
+    'PUZZLE_ACTION_FAILED', 'Failed to process puzzle request'
+));
 
-        const normalizedDifficulty = (difficulty || 'medium').toLowerCase();
-        const usageData = usage || { semanticForClue: 0, semanticTotal: 0, letterForClue: 0, letterTotal: 0 };
+/**
+ * GET /api/crossword/puzzles/:id/open
+ * Start a new session from a share ID, e.g. from a shared link
+ */
+router.get('/puzzles/:id/open', handle(
+    req => crossword.open(req.params.id),
+    'PUZZLE_ACTION_FAILED', 'Failed to process puzzle request'
+));
 
-        // Check if hint is allowed
-        const check = checkHintAllowed(hintType, normalizedDifficulty, usageData);
-        if (!check.allowed) {
-            return res.status(403).json({
-                error: check.reason,
-                limitReached: true
-            });
-        }
+/**
+ * POST /api/crossword/puzzles/:id/pause
+ * Stop the solve clock while the player is away
+ */
+router.post('/puzzles/:id/pause', handle(
+    req => crossword.pause(req.params.id),
+    'PUZZLE_ACTION_FAILED', 'Failed to process puzzle request'
+));
 
-        let result;
+/**
+ * POST /api/crossword/puzzles/:id/resume
+ * Continue a puzzle session from saved progress and restart its clock
+ */
+router.post('/puzzles/:id/resume', handle(
+    req => crossword.resume(req.params.id),
+    'PUZZLE_ACTION_FAILED', 'Failed to process puzzle request'
+));
 
-        if (hintType === 'semantic') {
-            // Generate semantic hint using LLM
-            const hintText = await generateSemanticHint(clue || 'Unknown clue', answer);
-            result = {
-                type: 'semantic',
-                hint: hintText,
-                penalty: check.penalty
-            };
-        } else {
-            // Generate strategic letter reveal
-            const reveal = getStrategicLetterReveal(
-                answer,
-                userInput || '',
-                alreadyRevealed || [],
-                intersections || {}
-            );
+/**
+ * POST /api/crossword/puzzles/:id/check
+ * Check user entries: body { cells: [{x, y, value}] } with 0-based coordinates
+ */
+router.post('/puzzles/:id/check', handle(
+    req => crossword.check(req.params.id, req.body),
+    'CHECK_FAILED', 'Failed to check answers'
+));
 
-            if (!reveal) {
-                return res.status(200).json({
-                    type: 'letter',
-                    hint: null,
-                    message: 'No more letters to reveal',
-                    penalty: 0
-                });
-            }
+/**
+ * POST /api/crossword/puzzles/:id/reveal
+ * Reveal one clue (body { direction, number }) or the whole grid (empty body)
+ */
+router.post('/puzzles/:id/reveal', handle(
+    req => crossword.reveal(req.params.id, req.body),
+    'REVEAL_FAILED', 'Failed to reveal answers'
+));
 
-            result = {
-                type: 'letter',
-                hint: {
-                    index: reveal.index,
-                    letter: reveal.letter
-                },
-                penalty: check.penalty
-            };
-        }
+/**
+ * POST /api/crossword/puzzles/:id/submit
+ * Verify a finished grid and score it: body { cells: [{x, y, value}], name }
+ */
+router.post('/puzzles/:id/submit', handle(
+    req => crossword.submit(req.params.id, req.body),
+    'SUBMIT_FAILED', 'Failed to submit solution'
+));
 
-        res.json(result);
+/**
+ * GET /api/crossword/puzzles/:id/leaderboard?limit=10
+ * Best verified solves of a saved puzzle (:id is its library ID)
+ */
+router.get('/puzzles/:id/leaderboard', handle(
+    req => crossword.leaderboard(req.params.id, req.query),
+    'LEADERBOARD_FAILED', 'Failed to load the leaderboard'
+));
 
-    } catch (error) {
-        console.error('Hint error:', error);
-        res.status(500).json({ error: 'Failed to generate hint' });
-    }
-});
+/**
+ * GET /api/crossword/puzzles/:id/export?format=puz|ipuz
+ * Download the puzzle (with its solution) as a file
+ */
+router.get('/puzzles/:id/export', handle(
+    req => crossword.export(req.params.id, req.query),
+    'EXPORT_FAILED', 'Failed to export puzzle'
+));
+
+/**
+ * GET /api/crossword/puzzles/:id/print?format=pdf|svg&key=true&paper=letter|a4&fontSize=10
+ * Printable puzzle with an optional answer-key page
+ */
+router.get('/puzzles/:id/print', handle(
+    req => crossword.print(req.params.id, req.query),
+    'PRINT_FAILED', 'Failed to render puzzle'
+));
+
+/**
+ * POST /api/crossword/puzzles/import
+ * Import a puzzle file: body { format: 'puz' | 'ipuz', data: <base64>, difficulty }
+ */
+router.post('/puzzles/import', handle(
+    req => crossword.import(req.body),
+    'IMPORT_FAILED', 'Failed to import puzzle'
+));
 
 /**
  * GET /api/crossword/hint-limits
  * Get hint limit configurations for all difficulty levels
  */
-router.get('/hint-limits', (req, res) => {
-    res.json({
-        easy: {
-            semanticHints: 'Unlimited per clue',
-            letterReveals: '2 per clue',
-            penalty: 'None'
-        },
-        medium: {
-            semanticHints: '1 per clue',
-            letterReveals: '1 per clue',
-            penalty: '-5 points per hint'
-        },
-        hard: {
-            semanticHints: '1 per puzzle',
-            letterReveals: '1 per puzzle',
-            penalty: '-15 points per hint'
-        }
-    });
-});
+router.get('/hint-limits', handle(() => crossword.hintLimits()));
 
 /**
  * GET /api/crossword/difficulty
  */
-router.get('/difficulty', (req, res) => {
-    res.json({
-        levels: [
-            {
-                id: 'easy',
-                name: 'Easy',
-                description: 'Common words, direct clues, generous hints',
-                wordLength: '3-7 letters',
-                hints: 'Unlimited clue hints, 2 letter reveals per clue'
-            },
-            {
-                id: 'medium',
-                name: 'Medium',
-                description: 'Mixed difficulty, indirect clues, limited hints',
-                wordLength: '4-10 letters',
-                hints: '1 clue hint + 1 letter per clue (-5 pts each)'
-            },
-            {
-                id: 'hard',
-                name: 'Hard',
-                description: 'Technical terms, cryptic clues, scarce hints',
-                wordLength: '6-12 letters',
-                hints: '1 clue hint + 1 letter per puzzle (-15 pts each)'
-            }
-        ]
-    });
-});
+router.get('/difficulty', handle(() => crossword.difficulty()));
 
 /**
  * GET /api/crossword/topics
  */
-router.get('/topics', (req, res) => {
-    res.json({
-        topics: [
-            'Programming',
-            'Space Exploration',
-            'World Geography',
-            'Classical Music',
-            'Marine Biology',
-            'Ancient History',
-            'Cooking & Food',
-            'Sports',
-            'Movies & Cinema',
-            'Science & Technology'
-        ]
-    });
-});
+router.get('/topics', handle(() => crossword.topics()));
 
 /**
- * DELETE /api/crossword/cache
+ * GET /api/crossword/cache/stats
+ * Hit/miss counters and memory use of the puzzle cache
  */
-router.delete('/cache', async (req, res) => {
-    const result = await clearCache();
-    res.json({ message: 'Cache cleared', ...result });
-});
+router.get('/cache/stats', handle(() => crossword.cacheStats()));
+
+/**
+ * DELETE /api/crossword/cache?topic=Space
+ * Clear the puzzle cache, or one topic of it (Authorization: Bearer <CACHE_ADMIN_TOKEN>)
+ */
+router.delete('/cache', handle(
+    req => crossword.clearCache(req.query, req.get('Authorization')),
+    'CACHE_FAILED', 'Failed to process cache request'
+));
 
 export default router;
@@ -0,0 +1,11 @@
+import path from 'path';
+import { createPuzzleLibrary, readLibraryConfig } from 'crossword-core';
+
+// Long-running server: a JSON file under data/ unless PUZZLE_LIBRARY says otherwise
+const config = readLibraryConfig();
+
+export const puzzleLibrary = createPuzzleLibrary({
+    ...config,
+    backend: config.backend || 'json',
+    file: config.file || path.join(process.cwd(), 'data', 'puzzles.json')
+});
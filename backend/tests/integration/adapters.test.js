@@ -0,0 +1,438 @@
+import { describe, it, before, mock } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import request from 'supertest';
+
+// The Vercel token store reads the secret when its module loads
+process.env.PUZZLE_SECRET = process.env.PUZZLE_SECRET || 'adapter-test-secret';
+// Fixture-backed LLM: the full flow runs with no network or API key
+process.env.LLM_PROVIDER = 'mock';
+process.env.CACHE_ENABLED = 'false';
+// Library IDs differ between adapters, so the puzzle comparisons run without one
+process.env.PUZZLE_LIBRARY = 'off';
+
+/**
+ * Call a Vercel function handler with a minimal req/res pair
+ */
+async function callVercel(handler, { method, body, query, headers = {} }) {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        setHeader() {},
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+        send(data) { this.body = data; return this; },
+        end() { return this; }
+    };
+    await handler({ method, body, query, headers, url: '/test' }, res);
+    return { status: res.statusCode, body: res.body };
+}
+
+/**
+ * supertest parser that keeps binary responses as a Buffer
+ */
+function binaryParser(res, done) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Response body without the session IDs, which differ between the stores
+ */
+function withoutSession({ puzzleId, sessionId, ...body }) {
+    return body;
+}
+
+describe('Express and Vercel adapters', () => {
+    let expressApp;
+    let vercel;
+
+    before(async () => {
+        // Request and generation logs are noise here
+        mock.method(console, 'log', () => {});
+
+        const { default: crosswordRoutes } = await import('../../src/routes/crosswordRoutes.js');
+        expressApp = express();
+        expressApp.use(express.json());
+        expressApp.use('/api/crossword', crosswordRoutes);
+
+        vercel = {
+            generate: (await import('../../../api/crossword/generate.js')).default,
+            generateFromEntries: (await import('../../../api/crossword/generate-from-entries.js')).default,
+            hint: (await import('../../../api/crossword/hint.js')).default,
+            puzzle: (await import('../../../api/crossword/puzzle.js')).default,
+            import: (await import('../../../api/crossword/import.js')).default,
+            topics: (await import('../../../api/crossword/topics.js')).default,
+            cache: (await import('../../../api/crossword/cache.js')).default,
+            library: (await import('../../../api/crossword/library.js')).default,
+            daily: (await import('../../../api/crossword/daily.js')).default
+        };
+    });
+
+    const cases = [
+        {
+            name: 'GET /topics',
+            express: app => request(app).get('/api/crossword/topics'),
+            vercel: () => callVercel(vercel.topics, { method: 'GET' })
+        },
+        {
+            name: 'POST /generate without topic',
+            express: app => request(app).post('/api/crossword/generate').send({}),
+            vercel: () => callVercel(vercel.generate, { method: 'POST', body: {} })
+        },
+        {
+            name: 'POST /generate with a short topic',
+            express: app => request(app).post('/api/crossword/generate').send({ topic: 'A' }),
+            vercel: () => callVercel(vercel.generate, { method: 'POST', body: { topic: 'A' } })
+        },
+        {
+            name: 'POST /generate with an invalid difficulty',
+            express: app => request(app).post('/api/crossword/generate').send({ topic: 'Space', difficulty: 'extreme' }),
+            vercel: () => callVercel(vercel.generate, { method: 'POST', body: { topic: 'Space', difficulty: 'extreme' } })
+        },
+        {
+            name: 'POST /generate-from-entries without entries',
+            express: app => request(app).post('/api/crossword/generate-from-entries').send({}),
+            vercel: () => callVercel(vercel.generateFromEntries, { method: 'POST', body: {} })
+        },
+        {
+            name: 'POST /hint for an unknown puzzle',
+            express: app => request(app).post('/api/crossword/hint').send({ puzzleId: 'nope', hintType: 'letter' }),
+            vercel: () => callVercel(vercel.hint, { method: 'POST', body: { puzzleId: 'nope', hintType: 'letter' } })
+        },
+        {
+            name: 'POST /puzzles/:id/check for an unknown puzzle',
+            express: app => request(app).post('/api/crossword/puzzles/nope/check').send({ cells: [] }),
+            vercel: () => callVercel(vercel.puzzle, { method: 'POST', body: { cells: [] }, query: { id: 'nope', action: 'check' } })
+        },
+        {
+            name: 'GET /puzzles/:id/open for an unknown puzzle',
+            express: app => request(app).get('/api/crossword/puzzles/nope/open'),
+            vercel: () => callVercel(vercel.puzzle, { method: 'GET', query: { id: 'nope', action: 'open' } })
+        },
+        {
+            name: 'POST /puzzles/:id/submit for an unknown puzzle',
+            express: app => request(app).post('/api/crossword/puzzles/nope/submit').send({ cells: [] }),
+            vercel: () => callVercel(vercel.puzzle, { method: 'POST', body: { cells: [] }, query: { id: 'nope', action: 'submit' } })
+        },
+        {
+            name: 'GET /puzzles/:id/leaderboard without a library',
+            express: app => request(app).get('/api/crossword/puzzles/nope/leaderboard'),
+            vercel: () => callVercel(vercel.puzzle, { method: 'GET', query: { id: 'nope', action: 'leaderboard' } })
+        },
+        {
+            name: 'GET /cache/stats',
+            express: app => request(app).get('/api/crossword/cache/stats'),
+            vercel: () => callVercel(vercel.cache, { method: 'GET', query: { action: 'stats' } })
+        },
+        {
+            name: 'DELETE /cache without an admin token configured',
+            express: app => request(app).delete('/api/crossword/cache?topic=Space').set('Authorization', 'Bearer guess'),
+            vercel: () => callVercel(vercel.cache, { method: 'DELETE', query: { topic: 'Space' }, headers: { authorization: 'Bearer guess' } })
+        },
+        {
+            name: 'GET /puzzles without a library',
+            express: app => request(app).get('/api/crossword/puzzles?topic=Space'),
+            vercel: () => callVercel(vercel.library, { method: 'GET', query: { topic: 'Space' } })
+        },
+        {
+            name: 'GET /puzzles/:id without a library',
+            express: app => request(app).get('/api/crossword/puzzles/nope'),
+            vercel: () => callVercel(vercel.library, { method: 'GET', query: { id: 'nope' } })
+        },
+        {
+            name: 'GET /daily with an invalid date',
+            express: app => request(app).get('/api/crossword/daily?date=2026-02-30'),
+            vercel: () => callVercel(vercel.daily, { method: 'GET', query: { date: '2026-02-30' } })
+        },
+        {
+            name: 'GET /daily/archive',
+            express: app => request(app).get('/api/crossword/daily/archive?before=2026-01-05&days=3'),
+            vercel: () => callVercel(vercel.daily, { method: 'GET', query: { action: 'archive', before: '2026-01-05', days: '3' } })
+        },
+        {
+            name: 'GET /daily/leaderboard without a library',
+            express: app => request(app).get('/api/crossword/daily/leaderboard?date=2026-01-05'),
+            vercel: () => callVercel(vercel.daily, { method: 'GET', query: { action: 'leaderboard', date: '2026-01-05' } })
+        }
+    ];
+
+    for (const testCase of cases) {
+        it(`${testCase.name} should respond identically`, async () => {
+            const fromExpress = await testCase.express(expressApp);
+            const fromVercel = await testCase.vercel();
+
+            assert.strictEqual(fromVercel.status, fromExpress.status);
+            assert.deepStrictEqual(fromVercel.body, fromExpress.body);
+        });
+    }
+
+    it('POST /generate should return the same puzzle from both adapters', async () => {
+        const body = { topic: 'Programming', wordCount: 8, difficulty: 'medium', seed: 7 };
+        const fromExpress = await request(expressApp).post('/api/crossword/generate').send(body);
+        const fromVercel = await callVercel(vercel.generate, { method: 'POST', body });
+
+        assert.strictEqual(fromExpress.status, 200);
+        assert.strictEqual(fromVercel.status, 200);
+
+        const expressPuzzle = withoutSession(fromExpress.body);
+        const vercelPuzzle = withoutSession(fromVercel.body);
+        assert.ok(fromExpress.body.puzzleId && fromVercel.body.puzzleId, 'Both should return a puzzleId');
+        assert.deepStrictEqual(vercelPuzzle, expressPuzzle);
+        assert.ok(!JSON.stringify(expressPuzzle).includes('"answer"'), 'Answers should not be sent');
+        assert.strictEqual(expressPuzzle.diagnostics.components.length, 1, 'Grids should be connected by default');
+        assert.ok(Array.isArray(expressPuzzle.diagnostics.unplaced));
+        assert.strictEqual(expressPuzzle.stats.words.requested, 8);
+        assert.ok(expressPuzzle.stats.words.placed <= expressPuzzle.stats.words.returned);
+    });
+
+    it('POST /generate should echo the seed and reproduce the grid from it', async () => {
+        const unseeded = await request(expressApp).post('/api/crossword/generate').send({ topic: 'Sports', source: 'local' });
+        assert.ok(Number.isInteger(unseeded.body.seed), 'A seed should be generated when none is given');
+
+        const body = { topic: 'Sports', source: 'local', seed: unseeded.body.seed };
+        const replay = await request(expressApp).post('/api/crossword/generate').send(body);
+        assert.strictEqual(replay.body.seed, unseeded.body.seed);
+        assert.deepStrictEqual(replay.body.grid, unseeded.body.grid);
+        assert.deepStrictEqual(replay.body.clues, unseeded.body.clues);
+    });
+
+    it('GET /daily should return the same puzzle from both adapters', async () => {
+        const fromExpress = await request(expressApp).get('/api/crossword/daily?date=2026-01-04&difficulty=easy');
+        const fromVercel = await callVercel(vercel.daily, { method: 'GET', query: { date: '2026-01-04', difficulty: 'easy' } });
+
+        assert.strictEqual(fromExpress.status, 200);
+        assert.deepStrictEqual(fromExpress.body.daily, { date: '2026-01-04', topic: 'Classical Music' });
+
+        const expressPuzzle = withoutSession(fromExpress.body);
+        const vercelPuzzle = withoutSession(fromVercel.body);
+        assert.ok(fromExpress.body.puzzleId && fromVercel.body.puzzleId);
+        assert.deepStrictEqual(vercelPuzzle, expressPuzzle);
+    });
+
+    it('POST /generate-from-entries should return the same puzzle from both adapters', async () => {
+        const body = {
+            title: 'Biology',
+            difficulty: 'easy',
+            seed: 7,
+            entries: [
+                { answer: 'CELL', clue: 'Basic unit of life' },
+                { answer: 'GENE', clue: 'Unit of heredity' },
+                { answer: 'ATOM', clue: 'Smallest unit of an element' },
+                { answer: 'ORGAN', clue: 'Heart or liver' },
+                { answer: 'TISSUE', clue: 'Group of similar cells' }
+            ]
+        };
+        const fromExpress = await request(expressApp).post('/api/crossword/generate-from-entries').send(body);
+        const fromVercel = await callVercel(vercel.generateFromEntries, { method: 'POST', body });
+
+        assert.strictEqual(fromExpress.status, 200);
+        assert.strictEqual(fromExpress.body.meta.title, 'Biology Crossword');
+        assert.ok(fromExpress.body.difficulty.hintLimits);
+
+        const expressPuzzle = withoutSession(fromExpress.body);
+        const vercelPuzzle = withoutSession(fromVercel.body);
+        assert.ok(fromExpress.body.puzzleId && fromVercel.body.puzzleId);
+        assert.deepStrictEqual(vercelPuzzle, expressPuzzle);
+        assert.ok(!JSON.stringify(expressPuzzle).includes('"answer"'), 'Answers should not be sent');
+    });
+
+    it('should check, hint and reveal through both adapters', async () => {
+        const body = { topic: 'Space Exploration', wordCount: 6, difficulty: 'easy', seed: 7 };
+        const generated = (await request(expressApp).post('/api/crossword/generate').send(body)).body;
+        const expressId = generated.puzzleId;
+        let vercelId = (await callVercel(vercel.generate, { method: 'POST', body })).body.puzzleId;
+
+        // Memory sessions keep their ID; every action on a token session returns the next token
+        const expressReveal = await request(expressApp).post(`/api/crossword/puzzles/${expressId}/reveal`).send({});
+        const vercelReveal = await callVercel(vercel.puzzle, { method: 'POST', body: {}, query: { id: vercelId, action: 'reveal' } });
+        assert.strictEqual(expressReveal.body.puzzleId, expressId);
+        assert.notStrictEqual(vercelReveal.body.puzzleId, vercelId);
+        assert.deepStrictEqual(withoutSession(vercelReveal.body), withoutSession(expressReveal.body));
+        vercelId = vercelReveal.body.puzzleId;
+
+        const cells = expressReveal.body.cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+        const expressCheck = await request(expressApp).post(`/api/crossword/puzzles/${expressId}/check`).send({ cells });
+        const vercelCheck = await callVercel(vercel.puzzle, { method: 'POST', body: { cells }, query: { id: vercelId, action: 'check' } });
+        assert.strictEqual(expressCheck.body.solved, true);
+        assert.deepStrictEqual(withoutSession(vercelCheck.body), withoutSession(expressCheck.body));
+        vercelId = vercelCheck.body.puzzleId;
+
+        const direction = generated.clues.across.length ? 'across' : 'down';
+        const hint = { hintType: 'semantic', direction, number: generated.clues[direction][0].number };
+        const expressHint = await request(expressApp).post(`/api/crossword/puzzles/${expressId}/hint`).send(hint);
+        const vercelHint = await callVercel(vercel.puzzle, { method: 'POST', body: hint, query: { id: vercelId, action: 'hint' } });
+        assert.strictEqual(expressHint.status, 200);
+        assert.deepStrictEqual(withoutSession(vercelHint.body), withoutSession(expressHint.body));
+    });
+
+    it('POST /puzzles/:id/submit should verify and score solves through both adapters', async () => {
+        const body = { topic: 'Sports', wordCount: 6, difficulty: 'medium', seed: 11 };
+        const expressId = (await request(expressApp).post('/api/crossword/generate').send(body)).body.puzzleId;
+        let vercelId = (await callVercel(vercel.generate, { method: 'POST', body })).body.puzzleId;
+        const submit = {
+            express: cells => request(expressApp).post(`/api/crossword/puzzles/${expressId}/submit`).send({ cells, name: 'Ada' }),
+            vercel: cells => callVercel(vercel.puzzle, { method: 'POST', body: { cells, name: 'Ada' }, query: { id: vercelId, action: 'submit' } })
+        };
+
+        const expressWrong = await submit.express([]);
+        const vercelWrong = await submit.vercel([]);
+        assert.strictEqual(expressWrong.status, 422);
+        assert.strictEqual(expressWrong.body.error.code, 'NOT_SOLVED');
+        assert.deepStrictEqual(vercelWrong.body, expressWrong.body);
+
+        // Revealing the grid still verifies, but scores 0 and is not ranked
+        const { cells } = (await request(expressApp).post(`/api/crossword/puzzles/${expressId}/reveal`).send({})).body;
+        vercelId = (await callVercel(vercel.puzzle, { method: 'POST', body: {}, query: { id: vercelId, action: 'reveal' } })).body.puzzleId;
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+
+        const fromExpress = await submit.express(solution);
+        const fromVercel = await submit.vercel(solution);
+        assert.strictEqual(fromExpress.status, 200);
+        assert.strictEqual(fromExpress.body.score, 0);
+        assert.strictEqual(fromExpress.body.ranked, false);
+        assert.deepStrictEqual(fromVercel.body.breakdown, fromExpress.body.breakdown);
+
+        const again = await submit.express(solution);
+        assert.strictEqual(again.status, 409);
+        assert.strictEqual(again.body.error.code, 'ALREADY_SUBMITTED');
+        vercelId = fromVercel.body.puzzleId;
+        assert.strictEqual((await submit.vercel(solution)).body.error.code, 'ALREADY_SUBMITTED');
+    });
+
+    it('POST /puzzles/:id/share and GET /puzzles/:shareId/open should start a new session through both adapters', async () => {
+        const body = { topic: 'Programming', wordCount: 8, difficulty: 'hard', seed: 7 };
+        const generated = (await request(expressApp).post('/api/crossword/generate').send(body)).body;
+        const vercelId = (await callVercel(vercel.generate, { method: 'POST', body })).body.puzzleId;
+
+        // The sharer's checks stay in the sharer's session
+        await request(expressApp).post(`/api/crossword/puzzles/${generated.puzzleId}/check`).send({ cells: [] });
+
+        const { shareId } = (await request(expressApp).post(`/api/crossword/puzzles/${generated.puzzleId}/share`).send({})).body;
+        const vercelShare = await callVercel(vercel.puzzle, { method: 'POST', body: {}, query: { id: vercelId, action: 'share' } });
+        assert.notStrictEqual(shareId, generated.puzzleId);
+
+        const fromExpress = await request(expressApp).get(`/api/crossword/puzzles/${shareId}/open`);
+        const fromVercel = await callVercel(vercel.puzzle, { method: 'GET', query: { id: vercelShare.body.shareId, action: 'open' } });
+
+        assert.strictEqual(fromExpress.status, 200);
+        assert.deepStrictEqual(withoutSession(fromExpress.body), withoutSession(generated));
+        assert.deepStrictEqual(withoutSession(fromVercel.body), withoutSession(generated));
+        assert.notStrictEqual(fromExpress.body.puzzleId, generated.puzzleId);
+        assert.notStrictEqual(fromExpress.body.sessionId, generated.sessionId);
+
+        // A share ID only opens sessions, and a session ID can't be opened as a share
+        const misused = await request(expressApp).post(`/api/crossword/puzzles/${shareId}/reveal`).send({});
+        assert.strictEqual(misused.status, 404);
+        const notShared = await request(expressApp).get(`/api/crossword/puzzles/${generated.puzzleId}/open`);
+        assert.strictEqual(notShared.status, 404);
+        const vercelMisused = await callVercel(vercel.puzzle, { method: 'POST', body: {}, query: { id: vercelShare.body.shareId, action: 'reveal' } });
+        assert.strictEqual(vercelMisused.status, 404);
+
+        const { cells } = (await request(expressApp).post(`/api/crossword/puzzles/${generated.puzzleId}/reveal`).send({})).body;
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+        const sharer = await request(expressApp).post(`/api/crossword/puzzles/${generated.puzzleId}/submit`).send({ cells: solution });
+        const friend = await request(expressApp).post(`/api/crossword/puzzles/${fromExpress.body.puzzleId}/submit`).send({ cells: solution });
+        assert.strictEqual(sharer.body.score, 0);
+        assert.strictEqual(friend.status, 200);
+        assert.strictEqual(friend.body.breakdown.find(line => line.item === 'checks').count, 0);
+        assert.strictEqual(friend.body.ranked, true);
+    });
+
+    it('POST /puzzles/:id/pause and /resume should keep one session and its clock through both adapters', async () => {
+        const body = { topic: 'Programming', wordCount: 8, difficulty: 'hard', seed: 7 };
+        const generated = (await request(expressApp).post('/api/crossword/generate').send(body)).body;
+        let vercelId = (await callVercel(vercel.generate, { method: 'POST', body })).body.puzzleId;
+        const express = action => request(expressApp).post(`/api/crossword/puzzles/${generated.puzzleId}/${action}`);
+        const onVercel = async (action, actionBody = {}) => {
+            const response = await callVercel(vercel.puzzle, { method: 'POST', body: actionBody, query: { id: vercelId, action } });
+            vercelId = response.body.puzzleId;
+            return response;
+        };
+
+        await express('check').send({ cells: [] });
+        await onVercel('check', { cells: [] });
+
+        const expressPause = await express('pause').send({});
+        const vercelPause = await onVercel('pause');
+        assert.strictEqual(expressPause.status, 200);
+        assert.strictEqual(expressPause.body.puzzleId, generated.puzzleId);
+        assert.ok(vercelPause.body.elapsedMs >= 0);
+
+        // While paused the clock stands still
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const fromExpress = await express('resume').send({});
+        const fromVercel = await onVercel('resume');
+
+        assert.strictEqual(fromExpress.status, 200);
+        assert.deepStrictEqual([fromExpress.body.puzzleId, fromExpress.body.sessionId], [generated.puzzleId, generated.sessionId]);
+        assert.strictEqual(fromExpress.body.elapsedMs, expressPause.body.elapsedMs);
+        assert.strictEqual(fromVercel.body.elapsedMs, vercelPause.body.elapsedMs);
+
+        const { elapsedMs: expressElapsed, ...expressPuzzle } = withoutSession(fromExpress.body);
+        const { elapsedMs: vercelElapsed, ...vercelPuzzle } = withoutSession(fromVercel.body);
+        assert.deepStrictEqual(vercelPuzzle, expressPuzzle);
+
+        // The check made before leaving still counts
+        const { cells } = (await express('reveal').send({})).body;
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+        const result = await express('submit').send({ cells: solution });
+        assert.strictEqual(result.body.breakdown.find(line => line.item === 'checks').count, 1);
+    });
+
+    it('should export and re-import .puz files through both adapters', async () => {
+        const body = { topic: 'Programming', wordCount: 8, difficulty: 'medium', seed: 7 };
+        const expressId = (await request(expressApp).post('/api/crossword/generate').send(body)).body.puzzleId;
+        const vercelId = (await callVercel(vercel.generate, { method: 'POST', body })).body.puzzleId;
+
+        const expressExport = await request(expressApp)
+            .get(`/api/crossword/puzzles/${expressId}/export?format=puz`)
+            .buffer(true)
+            .parse(binaryParser);
+        const vercelExport = await callVercel(vercel.puzzle, { method: 'GET', query: { id: vercelId, action: 'export', format: 'puz' } });
+
+        assert.strictEqual(expressExport.status, 200);
+        assert.match(expressExport.headers['content-disposition'], /programming-crossword\.puz/);
+        assert.ok(Buffer.compare(expressExport.body, vercelExport.body) === 0, 'Both adapters should export the same bytes');
+
+        const upload = { format: 'puz', data: expressExport.body.toString('base64'), difficulty: 'hard' };
+        const expressImport = await request(expressApp).post('/api/crossword/puzzles/import').send(upload);
+        const vercelImport = await callVercel(vercel.import, { method: 'POST', body: upload });
+
+        assert.strictEqual(expressImport.status, 200);
+        assert.strictEqual(expressImport.body.difficulty.level, 'hard');
+        assert.ok(!JSON.stringify(expressImport.body).includes('"answer"'), 'Answers should not be sent');
+
+        const expressImported = withoutSession(expressImport.body);
+        const vercelImported = withoutSession(vercelImport.body);
+        assert.ok(expressImport.body.puzzleId && vercelImport.body.puzzleId);
+        assert.deepStrictEqual(vercelImported, expressImported);
+    });
+
+    it('GET /puzzles/:id/print should render the same PDF from both adapters', async () => {
+        const body = { topic: 'Programming', wordCount: 8, difficulty: 'medium', seed: 7 };
+        const expressId = (await request(expressApp).post('/api/crossword/generate').send(body)).body.puzzleId;
+        const vercelId = (await callVercel(vercel.generate, { method: 'POST', body })).body.puzzleId;
+
+        const expressPrint = await request(expressApp)
+            .get(`/api/crossword/puzzles/${expressId}/print?format=pdf&key=true`)
+            .buffer(true)
+            .parse(binaryParser);
+        const vercelPrint = await callVercel(vercel.puzzle, { method: 'GET', query: { id: vercelId, action: 'print', format: 'pdf', key: 'true' } });
+
+        assert.strictEqual(expressPrint.status, 200);
+        assert.strictEqual(expressPrint.headers['content-type'], 'application/pdf');
+        assert.match(expressPrint.headers['content-disposition'], /^inline/);
+        assert.ok(Buffer.compare(expressPrint.body, vercelPrint.body) === 0, 'Both adapters should render the same bytes');
+    });
+
+    it('should report errors as { ok: false, error: { code, message } }', async () => {
+        const response = await request(expressApp).post('/api/crossword/generate').send({});
+
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.ok, false);
+        assert.strictEqual(response.body.error.code, 'INVALID_TOPIC');
+        assert.ok(response.body.error.message);
+    });
+});
@@ -57,6 +57,6 @@ describe('API Integration Tests', () => {
     });
 });
 
-// Note: Run with server started first:
+// Note: not part of `npm test`; run with the server started first:
 // npm run dev &
-// node --test tests/integration/api.test.js
+// npm run test:live
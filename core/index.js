@@ -0,0 +1,106 @@
+// crossword-core: generation, layout, hints, limits and errors shared by the
+// Express backend and the Vercel functions. Adapters should only translate
+// HTTP requests to createCrosswordApi() calls and errors to responses.
+
+export { AMERICAN_TEMPLATES, isSymmetric, findSlots, fillPattern, buildAmericanLayout } from './src/american.js';
+export { topicSlug, getCacheKey, readCacheConfig, createDiskCache, createLruCache, createPuzzleCache } from './src/cache.js';
+export {
+    createCrosswordApi,
+    parseGenerateRequest,
+    parseEntriesRequest,
+    parseLibraryQuery,
+    parseDailyQuery,
+    getHealth
+} from './src/api.js';
+export {
+    AMERICAN_LIMITS,
+    CACHE_LIMITS,
+    DAILY_CONFIG,
+    DIFFICULTY_CONFIG,
+    DIFFICULTIES,
+    DIFFICULTY_LEVELS,
+    ENTRY_SOURCES,
+    GENERATION_LIMITS,
+    GRID_STYLES,
+    HINT_LIMITS,
+    HINT_LIMIT_DESCRIPTIONS,
+    LANGUAGES,
+    LAYOUT_LIMITS,
+    LAYOUT_SCORE_WEIGHTS,
+    LIBRARY_BACKENDS,
+    LIBRARY_LIMITS,
+    SCORING,
+    TOPICS,
+    VALIDATION_MODES,
+    WORD_BANK_LANGUAGE,
+    getDifficultyConfig,
+    getHintLimits
+} from './src/config.js';
+export { formatDate, parseDailyDate, dailyTopic, dailyId, dailyRequest, dailySchedule } from './src/daily.js';
+export { loadDictionary, loadWordList } from './src/dictionary.js';
+export { CrosswordError, toErrorResponse } from './src/errors.js';
+export {
+    buildPrompt,
+    buildFillCluePrompt,
+    parseEntries,
+    normalizeEntries,
+    applyWordLists,
+    generateCluesAndAnswers,
+    generateBackfillEntries,
+    generateLocalEntries,
+    generateEntries,
+    generateFillClues
+} from './src/generation.js';
+export { FORMATS, exportFileName } from './src/formats/index.js';
+export { toIpuz, fromIpuz } from './src/formats/ipuz.js';
+export { toPuz, fromPuz } from './src/formats/puz.js';
+export {
+    PAPER_SIZES,
+    PRINT_FORMATS,
+    PRINT_FONT_SIZES,
+    parsePrintOptions,
+    layoutPrintPages,
+    renderPrintable
+} from './src/print/index.js';
+export { renderPdf } from './src/print/pdf.js';
+export { renderSvg } from './src/print/svg.js';
+export { generateSemanticHint, getStrategicLetterReveal, checkHintAllowed, getHint } from './src/hints.js';
+export { createAlphabet, puzzleAlphabet, describeAlphabet } from './src/languages.js';
+export {
+    CrosswordGrid,
+    generateCrosswordLayout,
+    optimizeLayout,
+    scoreLayout,
+    parseLayoutWeights,
+    findComponents,
+    computeLayoutStats
+} from './src/layout.js';
+export {
+    summarizeEntry,
+    createMemoryLibrary,
+    createJsonLibrary,
+    readLibraryConfig,
+    createPuzzleLibrary
+} from './src/library.js';
+export { PROVIDERS, createProvider, readProviderConfig, getDefaultProvider } from './src/providers/index.js';
+export { createBytezProvider, extractText } from './src/providers/bytez.js';
+export { createOpenAIProvider } from './src/providers/openai.js';
+export { createMockProvider } from './src/providers/mock.js';
+export {
+    OPEN_CELL,
+    formatEnumeration,
+    buildPuzzle,
+    generatePuzzle,
+    generatePuzzleFromEntries,
+    maskPuzzle,
+    findClue,
+    getClueCells,
+    getClueIntersections,
+    checkCells,
+    revealCells
+} from './src/puzzle.js';
+export { startSolve, applySolveEvent, hintUsageFromLog, solveElapsedMs, computeScore, parsePlayerName, rankResults } from './src/scoring.js';
+export { createRandom, hashSeed, randomSeed, parseSeed, shuffle } from './src/random.js';
+export { createMemoryStore, createTokenStore } from './src/sessions.js';
+export { parseAnswer, readValidationConfig, validateAnswers } from './src/validation.js';
+export { loadWordBanks, listWordBankTopics, findWordBank, getWordBankEntries } from './src/wordbanks.js';
@@ -0,0 +1,369 @@
+import { AMERICAN_LIMITS } from './config.js';
+import { loadDictionary } from './dictionary.js';
+import { CrosswordError } from './errors.js';
+import { computeLayoutStats, findComponents } from './layout.js';
+import { shuffle } from './random.js';
+
+/*
+ * American-style grids: every cell belongs to an across and a down word,
+ * and the black squares form a pattern with 180° rotational symmetry.
+ * Patterns are rows of '.' (open) and '#' (block); every run of open
+ * cells is at least three long.
+ */
+export const AMERICAN_TEMPLATES = {
+    5: [
+        ['#....', '.....', '.....', '.....', '....#'],
+        ['##...', '#....', '.....', '....#', '...##'],
+        ['...##', '....#', '.....', '#....', '##...'],
+        ['#...#', '.....', '.....', '.....', '#...#']
+    ],
+    7: [
+        ['...#...', '...#...', '.......', '##...##', '.......', '...#...', '...#...'],
+        ['###....', '###....', '.......', '...#...', '.......', '....###', '....###'],
+        ['....###', '....###', '.......', '...#...', '.......', '###....', '###....'],
+        ['###....', '##.....', '#......', '...#...', '......#', '.....##', '....###']
+    ],
+    // Far more blocks than a newspaper grid, with runs of at most five letters, so
+    // the fill dictionary (nothing over seven letters) can complete them. Longer theme
+    // answers never fit; the layout's `theme` reports how many were placed.
+    15: [
+        [
+            '...##....###...', '....#....###...', '....#....#.....', '###...####....#', '###...###...###',
+            '#....##...#...#', '...###....#....', '...###...###...', '....#....###...', '#...#...##....#',
+            '###...###...###', '#....####...###', '.....#....#....', '...###....#....', '...###....##...'
+        ],
+        [
+            '....#######....', '....##...#.....', '....#....#.....', '...##....#...##', '##....###...###',
+            '###....#...#...', '#....#....#....', '....##...##....', '....#....#....#', '...#...#....###',
+            '###...###....##', '##...#....##...', '.....#....#....', '.....#...##....', '....#######....'
+        ],
+        [
+            '...####...#####', '...###....##...', '...###....#....', '...##...##.....', '##....####....#',
+            '###....#...####', '#....#....#...#', '#...#.....#...#', '#...#....#....#', '####...#....###',
+            '#....####....##', '.....##...##...', '....#....###...', '...##....###...', '#####...####...'
+        ]
+    ]
+};
+
+/**
+ * Check that a block pattern looks the same rotated 180°
+ * @param {string[]} pattern
+ * @returns {boolean}
+ */
+export function isSymmetric(pattern) {
+    const size = pattern.length;
+    return pattern.every((row, r) => [...row].every((cell, c) => cell === pattern[size - 1 - r][row.length - 1 - c]));
+}
+
+/**
+ * Runs of open cells in a block pattern
+ * @param {string[]} pattern
+ * @returns {Array<{direction: string, row: number, col: number, cells: Array<[number, number]>}>}
+ */
+export function findSlots(pattern) {
+    const height = pattern.length;
+    const width = pattern[0].length;
+    const open = (r, c) => r < height && c < width && pattern[r][c] !== '#';
+    const slots = [];
+
+    for (let r = 0; r < height; r++) {
+        for (let c = 0; c < width; c++) {
+            if (!open(r, c)) continue;
+
+            if (c === 0 || !open(r, c - 1)) {
+                const cells = [];
+                for (let i = c; open(r, i); i++) cells.push([r, i]);
+                if (cells.length > 1) slots.push({ direction: 'across', row: r, col: c, cells });
+            }
+            if (r === 0 || !open(r - 1, c)) {
+                const cells = [];
+                for (let i = r; open(i, c); i++) cells.push([i, c]);
+                if (cells.length > 1) slots.push({ direction: 'down', row: r, col: c, cells });
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * Bitset index of the candidate words for each slot length. Words are
+ * numbered in a shuffled order, so walking the set bits of a candidate
+ * set tries them in that order.
+ */
+function buildIndex(lengths, words, random) {
+    const index = new Map();
+
+    for (const length of lengths) {
+        const list = [...new Set(shuffle(words.filter(word => word.length === length), random))];
+        const blocks = Math.ceil(list.length / 32) || 1;
+
+        const all = new Uint32Array(blocks);
+        list.forEach((_, i) => { all[i >>> 5] |= 1 << (i & 31); });
+
+        // byLetter[position][letter] -> words with that letter there
+        const byLetter = Array.from({ length }, () => new Map());
+        list.forEach((word, i) => {
+            for (let p = 0; p < length; p++) {
+                const bits = byLetter[p].get(word[p]) || new Uint32Array(blocks);
+                bits[i >>> 5] |= 1 << (i & 31);
+                byLetter[p].set(word[p], bits);
+            }
+        });
+
+        index.set(length, { list, all, byLetter });
+    }
+    return index;
+}
+
+function countBits(bits) {
+    let count = 0;
+    for (let value of bits) {
+        while (value) {
+            value &= value - 1;
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Fill a block pattern with words so every across and down slot is a word
+ * @param {string[]} pattern - Block pattern
+ * @param {Object} options
+ * @param {string[]} options.words - Dictionary answers
+ * @param {Array<{slot: number, answer: string}>} [options.fixed] - Answers already placed,
+ *   by index into findSlots(pattern)
+ * @param {Function} [options.random] - Seeded random() for word order
+ * @param {number} [options.maxSteps] - Backtracking budget
+ * @returns {{grid: string[][], slots: Array, answers: string[]}|null} Filled grid, or null when
+ *   the fixed answers clash or the budget runs out
+ */
+export function fillPattern(pattern, { words, fixed = [], random = Math.random, maxSteps = AMERICAN_LIMITS.fillSteps }) {
+    const slots = findSlots(pattern);
+    const index = buildIndex(new Set(slots.map(slot => slot.cells.length)), words, random);
+    const grid = pattern.map(row => [...row].map(cell => (cell === '#' ? '-' : null)));
+    const answers = new Array(slots.length).fill(null);
+    const used = new Set();
+    let steps = 0;
+
+    for (const { slot, answer } of fixed) {
+        const { cells } = slots[slot];
+        if (answer.length !== cells.length || used.has(answer)) return null;
+        if (cells.some(([r, c], p) => grid[r][c] && grid[r][c] !== answer[p])) return null;
+
+        cells.forEach(([r, c], p) => { grid[r][c] = answer[p]; });
+        answers[slot] = answer;
+        used.add(answer);
+    }
+
+    const candidates = slot => {
+        const { all, byLetter } = index.get(slot.cells.length);
+        let bits = null;
+        slot.cells.forEach(([r, c], p) => {
+            if (!grid[r][c]) return;
+            const letterBits = byLetter[p].get(grid[r][c]);
+            if (!letterBits) {
+                bits = new Uint32Array(all.length);
+                return;
+            }
+            bits = bits ? bits.map((value, i) => value & letterBits[i]) : letterBits.slice();
+        });
+        return bits || all;
+    };
+
+    const solve = () => {
+        if (++steps > maxSteps) return false;
+
+        // Most constrained open slot first
+        let best = null;
+        for (let s = 0; s < slots.length; s++) {
+            if (answers[s]) continue;
+            const bits = candidates(slots[s]);
+            const count = countBits(bits);
+            if (count === 0) return false;
+            if (!best || count < best.count) best = { s, bits, count };
+        }
+        if (!best) return true;
+
+        const slot = slots[best.s];
+        const { list } = index.get(slot.cells.length);
+        const previous = slot.cells.map(([r, c]) => grid[r][c]);
+
+        for (let i = 0; i < list.length; i++) {
+            if (!(best.bits[i >>> 5] & (1 << (i & 31)))) continue;
+            const word = list[i];
+            if (used.has(word)) continue;
+
+            slot.cells.forEach(([r, c], p) => { grid[r][c] = word[p]; });
+            answers[best.s] = word;
+            used.add(word);
+
+            // Words completed by crossing letters must be distinct too
+            const complete = slots.every((other, o) => answers[o] || other.cells.some(([r, c]) => !grid[r][c]) ||
+                !used.has(other.cells.map(([r, c]) => grid[r][c]).join('')));
+            if (complete && solve()) return true;
+
+            used.delete(word);
+            answers[best.s] = null;
+            slot.cells.forEach(([r, c], p) => { grid[r][c] = previous[p]; });
+            if (steps > maxSteps) return false;
+        }
+        return false;
+    };
+
+    return solve() ? { grid, slots, answers } : null;
+}
+
+/**
+ * Fill a pattern around as many theme answers as it can take. Answers are
+ * added one at a time, required then longest first, and each is kept only
+ * if the rest of the grid can still be filled around it.
+ * @returns {{grid, slots, answers}|null}
+ */
+function fillWithTheme(pattern, themeAnswers, words, random, required) {
+    const slots = findSlots(pattern);
+    const fixed = [];
+    let filled = null;
+
+    const isRequired = new Set(required);
+    const longestFirst = shuffle(themeAnswers, random)
+        .sort((a, b) => (isRequired.has(b) - isRequired.has(a)) || b.length - a.length);
+    for (const answer of longestFirst) {
+        const open = slots
+            .map((slot, index) => index)
+            .filter(index => slots[index].cells.length === answer.length && !fixed.some(f => f.slot === index));
+
+        for (const slot of shuffle(open, random).slice(0, AMERICAN_LIMITS.themeSlotTries)) {
+            const next = fillPattern(pattern, {
+                words,
+                fixed: [...fixed, { slot, answer }],
+                random,
+                maxSteps: AMERICAN_LIMITS.themeFillSteps
+            });
+            if (next) {
+                fixed.push({ slot, answer });
+                filled = next;
+                break;
+            }
+        }
+    }
+
+    return filled || fillPattern(pattern, { words, random });
+}
+
+/**
+ * Number a filled grid and turn its slots into across/down clue lists
+ */
+function toLayout({ grid, slots, answers }, clueFor) {
+    const starts = new Map();
+    slots.forEach((slot, s) => {
+        const key = `${slot.row}-${slot.col}`;
+        if (!starts.has(key)) starts.set(key, []);
+        starts.get(key).push({ slot, answer: answers[s] });
+    });
+
+    const across = [];
+    const down = [];
+    let number = 1;
+    grid.forEach((row, r) => row.forEach((_, c) => {
+        const here = starts.get(`${r}-${c}`);
+        if (!here) return;
+        const cellNumber = number++;
+        for (const { slot, answer } of here) {
+            const clue = { number: cellNumber, ...clueFor(answer), answer, x: c + 1, y: r + 1 };
+            (slot.direction === 'across' ? across : down).push(clue);
+        }
+    }));
+
+    return { grid, width: grid[0].length, height: grid.length, across, down };
+}
+
+/**
+ * Build an American-style layout: pick a symmetric block pattern, place as
+ * many theme entries as fit and fill the remaining slots from the dictionary
+ * @param {Array<{answer: string, clue: string}>} theme - Topic entries
+ * @param {Object} [options]
+ * @param {number} [options.size] - Grid size, a key of AMERICAN_TEMPLATES
+ * @param {Function} [options.random] - Seeded random()
+ * @param {Object} [options.dictionary] - Fill dictionary (defaults to English)
+ * @param {number} [options.attempts] - Patterns to try
+ * @param {number} [options.timeBudgetMs] - Stop looking for a themed fill after this long
+ * @param {string[]} [options.required] - Theme answers the fill must contain
+ * @returns {Object} Layout with clues from the theme entries and the dictionary,
+ *   plus `fill` (dictionary answers used), unplaced theme answers, components, stats, quality
+ *   and `theme` ({placed, longestSlot}: theme answers used and the longest answer the grid holds)
+ */
+export function buildAmericanLayout(theme, {
+    size = AMERICAN_LIMITS.defaultSize,
+    random = Math.random,
+    dictionary = loadDictionary('en'),
+    attempts = AMERICAN_LIMITS.attempts,
+    timeBudgetMs = AMERICAN_LIMITS.timeBudgetMs,
+    required = []
+} = {}) {
+    const templates = AMERICAN_TEMPLATES[size];
+    if (!templates) {
+        throw new CrosswordError('INVALID_SIZE', `Size must be one of: ${Object.keys(AMERICAN_TEMPLATES).join(', ')}`, 400);
+    }
+
+    const themeClues = new Map(theme.map(entry => [entry.answer, entry.clue]));
+    const themeAnswers = [...themeClues.keys()].filter(answer => answer.length <= size);
+    const words = dictionary.entries.map(entry => entry.answer).filter(answer => answer.length <= size);
+    const unplacedRequired = filled => required.filter(answer => !filled.answers.includes(answer));
+
+    const tooLong = required.filter(answer => answer.length > size);
+    if (tooLong.length > 0) {
+        throw new CrosswordError('REQUIRED_WORDS_UNPLACED', `Required words too long for a ${size}x${size} grid: ${tooLong.join(', ')}`, 422);
+    }
+
+    const started = Date.now();
+    let best = null;
+    let missingRequired = null;
+    let tried = 0;
+    const order = shuffle(templates, random);
+
+    // Stop at the first fill that uses the theme and every required word;
+    // fills missing a required word are never kept
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (best && Date.now() - started > timeBudgetMs) break;
+        tried++;
+
+        const filled = fillWithTheme(order[attempt % order.length], themeAnswers, words, random, required);
+        if (!filled) continue;
+        if (unplacedRequired(filled).length > 0) {
+            missingRequired = unplacedRequired(filled);
+            continue;
+        }
+
+        const themeCount = filled.answers.filter(answer => themeClues.has(answer)).length;
+        if (!best || themeCount > best.themeCount) best = { filled, themeCount };
+        if (themeCount > 0 || themeAnswers.length === 0) break;
+    }
+
+    if (!best && missingRequired) {
+        throw new CrosswordError('REQUIRED_WORDS_UNPLACED', `Could not place required words: ${missingRequired.join(', ')}`, 422);
+    }
+    if (!best) {
+        throw new CrosswordError('FILL_FAILED', 'Could not fill the grid; try again or use a freeform grid', 422);
+    }
+
+    const layout = toLayout(best.filled, answer => (themeClues.has(answer)
+        ? { clue: themeClues.get(answer), theme: true }
+        : { clue: dictionary.clues.get(answer) }));
+    const placed = new Set(best.filled.answers);
+
+    console.log(`✅ Filled ${size}x${size} grid with ${best.themeCount} theme entries after ${tried} attempts`);
+    const longestSlot = Math.max(...best.filled.slots.map(slot => slot.cells.length));
+    if (best.themeCount === 0 && theme.length > 0) {
+        console.warn(`⚠️  No theme answer fit the ${size}x${size} grid (longest slot ${longestSlot}); it is dictionary fill only`);
+    }
+    return {
+        ...layout,
+        stats: computeLayoutStats(layout),
+        fill: best.filled.answers.filter(answer => !themeClues.has(answer)),
+        unplaced: theme.map(entry => entry.answer).filter(answer => !placed.has(answer)),
+        components: findComponents(layout),
+        quality: { attempts: tried },
+        theme: { placed: best.themeCount, longestSlot }
+    };
+}
@@ -0,0 +1,725 @@
+import crypto from 'crypto';
+import { AMERICAN_TEMPLATES } from './american.js';
+import { getCacheKey } from './cache.js';
+import {
+    AMERICAN_LIMITS,
+    DAILY_CONFIG,
+    DIFFICULTIES,
+    DIFFICULTY_LEVELS,
+    ENTRY_SOURCES,
+    GENERATION_LIMITS,
+    GRID_STYLES,
+    HINT_LIMIT_DESCRIPTIONS,
+    LANGUAGES,
+    LAYOUT_LIMITS,
+    LIBRARY_LIMITS,
+    SCORING,
+    TOPICS,
+    WORD_BANK_LANGUAGE
+} from './config.js';
+import { dailyId, dailyRequest, dailySchedule, dailyTopic, parseDailyDate } from './daily.js';
+import { loadDictionary } from './dictionary.js';
+import { CrosswordError } from './errors.js';
+import { FORMATS, exportFileName } from './formats/index.js';
+import { getHint } from './hints.js';
+import { createAlphabet, puzzleAlphabet } from './languages.js';
+import { parseLayoutWeights } from './layout.js';
+import { parsePrintOptions, renderPrintable } from './print/index.js';
+import { generatePuzzle, generatePuzzleFromEntries, maskPuzzle, checkCells, revealCells } from './puzzle.js';
+import { getDefaultProvider, readProviderConfig } from './providers/index.js';
+import { parseSeed } from './random.js';
+import { applySolveEvent, computeScore, hintUsageFromLog, parsePlayerName, rankResults, solveElapsedMs, startSolve } from './scoring.js';
+import { parseAnswer } from './validation.js';
+import { listWordBankTopics } from './wordbanks.js';
+
+/**
+ * Connected grids are the default; `connected: false` allows unreachable islands
+ * @param {boolean|undefined} value
+ * @returns {boolean}
+ */
+function parseConnected(value) {
+    if (value === undefined) return true;
+    if (typeof value !== 'boolean') {
+        throw new CrosswordError('INVALID_CONNECTED', 'connected must be true or false', 400);
+    }
+    return value;
+}
+
+/**
+ * Puzzle language and accent folding; folding defaults to the language's own rule
+ * @param {Object} body - {language, foldAccents}
+ * @returns {{language: string, foldAccents: boolean|undefined}}
+ */
+function parseLanguage({ language, foldAccents }) {
+    const code = String(language ?? 'en').toLowerCase();
+    if (!LANGUAGES[code]) {
+        throw new CrosswordError('INVALID_LANGUAGE', `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`, 400);
+    }
+    if (foldAccents !== undefined && typeof foldAccents !== 'boolean') {
+        throw new CrosswordError('INVALID_FOLD_ACCENTS', 'foldAccents must be true or false', 400);
+    }
+    return { language: code, foldAccents };
+}
+
+/**
+ * Optional limits on the grid shape: maxWidth/maxHeight in cells and a
+ * preferred aspect (width / height)
+ * @param {Object} body - {maxWidth, maxHeight, aspect}
+ * @returns {{maxWidth: number|undefined, maxHeight: number|undefined, aspect: number|undefined}}
+ */
+function parseShape({ maxWidth, maxHeight, aspect }) {
+    const { gridSizeMin, gridSizeMax, aspectMin, aspectMax } = LAYOUT_LIMITS;
+
+    const parseBound = (value, name) => {
+        if (value === undefined) return undefined;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < gridSizeMin || number > gridSizeMax) {
+            throw new CrosswordError('INVALID_GRID_SIZE', `${name} must be a whole number from ${gridSizeMin} to ${gridSizeMax}`, 400);
+        }
+        return number;
+    };
+
+    let parsedAspect;
+    if (aspect !== undefined) {
+        parsedAspect = Number(aspect);
+        if (!(parsedAspect >= aspectMin && parsedAspect <= aspectMax)) {
+            throw new CrosswordError('INVALID_ASPECT', `aspect (width / height) must be from ${aspectMin} to ${aspectMax}`, 400);
+        }
+    }
+
+    return {
+        maxWidth: parseBound(maxWidth, 'maxWidth'),
+        maxHeight: parseBound(maxHeight, 'maxHeight'),
+        aspect: parsedAspect
+    };
+}
+
+/**
+ * Required and excluded answers for /generate. Answers are normalised like
+ * generated ones; required answers may carry their own clue.
+ * @param {Object} body - {mustInclude: [{answer, clue?}], exclude: [answers]}
+ * @param {number} wordCount - Words in the puzzle; at most this many can be required
+ * @param {Object} alphabet - Puzzle alphabet from createAlphabet()
+ * @returns {{mustInclude: Array<{answer: string, phrase?: string, clue: string|undefined}>, exclude: string[]}}
+ */
+function parseWordLists({ mustInclude = [], exclude = [] }, wordCount, alphabet) {
+    const { gridSizeMax } = LAYOUT_LIMITS;
+
+    const invalidRequired = () => new CrosswordError(
+        'INVALID_MUST_INCLUDE',
+        `mustInclude must be an array of up to ${wordCount} {answer, clue?} objects with answers of 3 to ${gridSizeMax} letters`,
+        400
+    );
+    if (!Array.isArray(mustInclude) || mustInclude.length > wordCount) throw invalidRequired();
+
+    const required = mustInclude.map(entry => {
+        if (typeof entry?.answer !== 'string') throw invalidRequired();
+        if (entry.clue !== undefined && typeof entry.clue !== 'string') throw invalidRequired();
+
+        const { answer, phrase } = parseAnswer(entry.answer, alphabet);
+        if (answer.length < 3 || answer.length > gridSizeMax) throw invalidRequired();
+        return { answer, ...(phrase && { phrase }), clue: entry.clue?.trim().substring(0, 100) || undefined };
+    });
+    if (new Set(required.map(entry => entry.answer)).size !== required.length) throw invalidRequired();
+
+    const { excludeMax } = GENERATION_LIMITS;
+    if (!Array.isArray(exclude) || exclude.length > excludeMax || exclude.some(answer => typeof answer !== 'string')) {
+        throw new CrosswordError('INVALID_EXCLUDE', `exclude must be an array of up to ${excludeMax} answers`, 400);
+    }
+    const excluded = [...new Set(exclude.map(alphabet.normalize).filter(Boolean))];
+
+    const clash = required.find(entry => excluded.includes(entry.answer));
+    if (clash) {
+        throw new CrosswordError('INVALID_EXCLUDE', `${clash.answer} cannot be both required and excluded`, 400);
+    }
+
+    return { mustInclude: required, exclude: excluded };
+}
+
+/**
+ * Validate and normalise a /generate request body
+ * @param {Object} body - {topic, wordCount, difficulty, source, seed, layoutWeights, connected, style, size,
+ *   maxWidth, maxHeight, aspect, mustInclude, exclude, language, foldAccents}
+ * @returns {{topic: string, wordCount: number, difficulty: string, source: string, seed: number|undefined,
+ *   layoutWeights: Object|undefined, connected: boolean, style: string, size: number|undefined,
+ *   maxWidth: number|undefined, maxHeight: number|undefined, aspect: number|undefined,
+ *   mustInclude: Array<{answer, clue}>, exclude: string[], language: string, foldAccents: boolean|undefined}}
+ */
+export function parseGenerateRequest(body = {}) {
+    const { topic, wordCount, difficulty, source, seed, layoutWeights, connected, style, size } = body;
+
+    if (!topic || typeof topic !== 'string') {
+        throw new CrosswordError('INVALID_TOPIC', 'Topic is required and must be a string', 400);
+    }
+
+    const normalizedDifficulty = String(difficulty || 'medium').toLowerCase();
+    if (!DIFFICULTIES.includes(normalizedDifficulty)) {
+        throw new CrosswordError('INVALID_DIFFICULTY', 'Difficulty must be easy, medium, or hard', 400);
+    }
+
+    const normalizedTopic = topic.trim();
+    const { topicLengthMin, topicLengthMax } = GENERATION_LIMITS;
+    if (normalizedTopic.length < topicLengthMin || normalizedTopic.length > topicLengthMax) {
+        throw new CrosswordError(
+            'INVALID_TOPIC',
+            `Topic must be between ${topicLengthMin} and ${topicLengthMax} characters`,
+            400
+        );
+    }
+
+    const normalizedSource = String(source || 'auto').toLowerCase();
+    if (!ENTRY_SOURCES.includes(normalizedSource)) {
+        throw new CrosswordError('INVALID_SOURCE', 'Source must be llm, local, or auto', 400);
+    }
+
+    const normalizedStyle = String(style || 'freeform').toLowerCase();
+    if (!GRID_STYLES.includes(normalizedStyle)) {
+        throw new CrosswordError('INVALID_STYLE', `Style must be one of: ${GRID_STYLES.join(', ')}`, 400);
+    }
+
+    const languageOptions = parseLanguage(body);
+    const { language } = languageOptions;
+    if (normalizedSource === 'local' && language !== WORD_BANK_LANGUAGE) {
+        throw new CrosswordError('INVALID_SOURCE', `Local word banks are only available in ${LANGUAGES[WORD_BANK_LANGUAGE].name}`, 400);
+    }
+    if (normalizedStyle === 'american' && loadDictionary(language).entries.length === 0) {
+        throw new CrosswordError('INVALID_STYLE', `American-style grids need a ${LANGUAGES[language].name} fill dictionary`, 400);
+    }
+
+    const shape = parseShape(body);
+
+    // Only American-style grids have a fixed size, which must fit the shape limits
+    let gridSize;
+    if (normalizedStyle === 'american') {
+        gridSize = size === undefined ? AMERICAN_LIMITS.defaultSize : Number(size);
+        if (!AMERICAN_TEMPLATES[gridSize]) {
+            throw new CrosswordError('INVALID_SIZE', `Size must be one of: ${Object.keys(AMERICAN_TEMPLATES).join(', ')}`, 400);
+        }
+        if (gridSize > Math.min(shape.maxWidth ?? gridSize, shape.maxHeight ?? gridSize)) {
+            throw new CrosswordError('INVALID_SIZE', `A ${gridSize}x${gridSize} grid does not fit maxWidth/maxHeight`, 400);
+        }
+    }
+
+    const count = parseInt(wordCount) || GENERATION_LIMITS.wordCountDefault;
+    const normalizedCount = Math.min(Math.max(count, GENERATION_LIMITS.wordCountMin), GENERATION_LIMITS.wordCountMax);
+
+    return {
+        topic: normalizedTopic,
+        wordCount: normalizedCount,
+        difficulty: normalizedDifficulty,
+        source: normalizedSource,
+        seed: parseSeed(seed),
+        layoutWeights: layoutWeights === undefined ? undefined : parseLayoutWeights(layoutWeights),
+        connected: parseConnected(connected),
+        style: normalizedStyle,
+        size: gridSize,
+        ...shape,
+        ...parseWordLists(body, normalizedCount, createAlphabet(language, languageOptions)),
+        ...languageOptions
+    };
+}
+
+/**
+ * Validate a /generate-from-entries request body
+ * @param {Object} body - {entries: [{answer, clue}], title, difficulty, seed, layoutWeights, connected, maxWidth, maxHeight, aspect,
+ *   language, foldAccents}
+ * @returns {{title: string, entries: Array<{answer, clue}>, difficulty: string, seed: number|undefined, layoutWeights: Object|undefined,
+ *   connected: boolean, maxWidth: number|undefined, maxHeight: number|undefined, aspect: number|undefined,
+ *   language: string, foldAccents: boolean|undefined}}
+ */
+export function parseEntriesRequest(body = {}) {
+    const { entries, title, difficulty, seed, layoutWeights, connected } = body;
+    const { minWords, customEntriesMax, topicLengthMax } = GENERATION_LIMITS;
+
+    if (!Array.isArray(entries) || entries.length < minWords || entries.length > customEntriesMax) {
+        throw new CrosswordError(
+            'INVALID_ENTRIES',
+            `entries must be an array of ${minWords} to ${customEntriesMax} {answer, clue} objects`,
+            400
+        );
+    }
+
+    const normalizedDifficulty = String(difficulty || 'medium').toLowerCase();
+    if (!DIFFICULTIES.includes(normalizedDifficulty)) {
+        throw new CrosswordError('INVALID_DIFFICULTY', 'Difficulty must be easy, medium, or hard', 400);
+    }
+
+    if (title !== undefined && typeof title !== 'string') {
+        throw new CrosswordError('INVALID_TITLE', 'Title must be a string', 400);
+    }
+
+    return {
+        title: (title || '').trim().substring(0, topicLengthMax) || 'Custom',
+        entries,
+        difficulty: normalizedDifficulty,
+        seed: parseSeed(seed),
+        layoutWeights: layoutWeights === undefined ? undefined : parseLayoutWeights(layoutWeights),
+        connected: parseConnected(connected),
+        ...parseShape(body),
+        ...parseLanguage(body)
+    };
+}
+
+/**
+ * Validate a puzzle library listing query
+ * @param {Object} query - {topic, difficulty, limit, offset}
+ * @returns {{topic: string|undefined, difficulty: string|undefined, limit: number, offset: number}}
+ */
+export function parseLibraryQuery({ topic, difficulty, limit, offset } = {}) {
+    if (topic !== undefined && typeof topic !== 'string') {
+        throw new CrosswordError('INVALID_TOPIC', 'topic must be a string', 400);
+    }
+
+    const normalizedDifficulty = difficulty ? String(difficulty).toLowerCase() : undefined;
+    if (normalizedDifficulty && !DIFFICULTIES.includes(normalizedDifficulty)) {
+        throw new CrosswordError('INVALID_DIFFICULTY', 'Difficulty must be easy, medium, or hard', 400);
+    }
+
+    const pageSize = limit === undefined ? LIBRARY_LIMITS.listDefault : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > LIBRARY_LIMITS.listMax) {
+        throw new CrosswordError('INVALID_LIMIT', `limit must be a whole number from 1 to ${LIBRARY_LIMITS.listMax}`, 400);
+    }
+
+    const start = offset === undefined ? 0 : Number(offset);
+    if (!Number.isInteger(start) || start < 0) {
+        throw new CrosswordError('INVALID_OFFSET', 'offset must be a whole number of at least 0', 400);
+    }
+
+    return { topic: topic?.trim() || undefined, difficulty: normalizedDifficulty, limit: pageSize, offset: start };
+}
+
+/**
+ * Validate a daily puzzle query
+ * @param {Object} query - {date, difficulty}
+ * @returns {{date: string, difficulty: string}}
+ */
+export function parseDailyQuery({ date, difficulty } = {}) {
+    const normalizedDifficulty = String(difficulty || 'medium').toLowerCase();
+    if (!DIFFICULTIES.includes(normalizedDifficulty)) {
+        throw new CrosswordError('INVALID_DIFFICULTY', 'Difficulty must be easy, medium, or hard', 400);
+    }
+    return { date: parseDailyDate(date), difficulty: normalizedDifficulty };
+}
+
+/**
+ * Admin requests carry `Authorization: Bearer <token>`; without a configured
+ * token the admin endpoints are off
+ * @param {string|undefined} adminToken - Configured token
+ * @param {string|undefined} authorization - Authorization header
+ */
+function requireAdmin(adminToken, authorization) {
+    if (!adminToken) {
+        throw new CrosswordError('ADMIN_DISABLED', 'Set CACHE_ADMIN_TOKEN to enable cache administration', 403);
+    }
+    const given = String(authorization ?? '').replace(/^Bearer\s+/i, '');
+    // Compare digests so the comparison takes the same time for any input
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!given || !crypto.timingSafeEqual(digest(given), digest(adminToken))) {
+        throw new CrosswordError('UNAUTHORIZED', 'A valid admin token is required', 401);
+    }
+}
+
+/**
+ * Health check payload
+ */
+export function getHealth() {
+    return {
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        hasApiKey: Boolean(process.env.BYTEZ_API_KEY || process.env.OPENAI_API_KEY),
+        llmProvider: readProviderConfig().provider
+    };
+}
+
+/**
+ * Create the crossword API used by every deployment adapter.
+ * Each method resolves to a plain response object (without the `ok` flag)
+ * or throws a CrosswordError.
+ * @param {Object} options
+ * @param {Object} options.store - Puzzle session store ({save, load, update}); sessions also hold their solve log
+ * @param {Object} [options.cache] - Optional puzzle cache ({get, set, clear, stats}), e.g. createLruCache()
+ * @param {Object} [options.library] - Optional puzzle library ({save, get, list, addResult}), e.g. createJsonLibrary()
+ * @param {Object} [options.provider] - LLM provider; defaults to LLM_PROVIDER from the environment
+ * @param {string} [options.adminToken] - Token for cache administration; defaults to CACHE_ADMIN_TOKEN
+ */
+export function createCrosswordApi({
+    store,
+    cache = null,
+    library = null,
+    provider = null,
+    adminToken = process.env.CACHE_ADMIN_TOKEN
+}) {
+    const llm = () => provider || getDefaultProvider();
+
+    // Daily puzzles being generated, so simultaneous first requests share one
+    const pendingDaily = new Map();
+
+    // Library puzzles carry their ID, so cached copies point back to the same entry
+    async function addToLibrary(puzzle, params, options) {
+        if (!library) return puzzle;
+        try {
+            const { id } = await library.save(puzzle, params, options);
+            return { ...puzzle, libraryId: id };
+        } catch (error) {
+            console.error('⚠️  Could not save puzzle to the library:', error.message);
+            return puzzle;
+        }
+    }
+
+    /**
+     * Generate a daily puzzle once and keep it in the library. Without a
+     * library it comes from the local word banks, which give the same grid
+     * for the same seed on every request.
+     */
+    async function loadDaily(date, difficulty) {
+        const id = dailyId(date, difficulty);
+        const saved = library ? await library.get(id) : null;
+        if (saved) return { puzzle: { ...saved.puzzle, libraryId: id }, cached: true };
+
+        if (!pendingDaily.has(id)) {
+            const params = parseGenerateRequest(dailyRequest(date, difficulty, library ? 'auto' : 'local'));
+            console.log('📅 Generating daily puzzle:', { date, difficulty, topic: params.topic });
+            pendingDaily.set(id, generatePuzzle(params, llm())
+                // Pinned, so the size limit never drops a day with its leaderboard
+                .then(puzzle => addToLibrary(puzzle, params, { id, pinned: true }))
+                .finally(() => pendingDaily.delete(id)));
+        }
+        return { puzzle: await pendingDaily.get(id), cached: false };
+    }
+
+    function requireLibrary() {
+        if (!library) {
+            throw new CrosswordError('LIBRARY_DISABLED', 'The puzzle library is not enabled', 404);
+        }
+        return library;
+    }
+
+    // Share IDs can only open a new session, and session IDs can't be opened as a share
+    async function loadPuzzle(puzzleId, { shared = false } = {}) {
+        const puzzle = puzzleId ? await store.load(puzzleId) : null;
+        if (!puzzle || Boolean(puzzle.shared) !== shared) {
+            throw new CrosswordError('PUZZLE_NOT_FOUND', 'Puzzle not found or expired', 404);
+        }
+        return puzzle;
+    }
+
+    // Every new session starts the clock used for its score
+    async function startSession(puzzle) {
+        const session = { ...puzzle, solve: startSolve() };
+        return { session, puzzleId: await store.save(session) };
+    }
+
+    // The solve log stays server-side with the answers; only its session ID is shown
+    function maskSession({ solve, ...puzzle }, puzzleId) {
+        return { ...maskPuzzle(puzzle, puzzleId), sessionId: solve?.sessionId ?? puzzleId };
+    }
+
+    // Token stores answer with a new puzzleId, which the client uses from then on
+    async function record(puzzleId, session, event) {
+        if (!session.solve) return puzzleId;
+        return store.update(puzzleId, { ...session, solve: applySolveEvent(session.solve, event) });
+    }
+
+    function leaderboardOf(entry, query) {
+        const limit = query.limit === undefined ? SCORING.leaderboardDefault : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > SCORING.leaderboardMax) {
+            throw new CrosswordError('INVALID_LIMIT', `limit must be a whole number from 1 to ${SCORING.leaderboardMax}`, 400);
+        }
+        const ranked = rankResults(entry?.results ?? []);
+        return { leaderboard: ranked.slice(0, limit), total: ranked.length };
+    }
+
+    return {
+        async generate(body) {
+            const params = parseGenerateRequest(body);
+            // Every parameter is part of the key, so a 5-word request never gets a cached 15-word puzzle
+            const cacheKey = getCacheKey(params);
+
+            let puzzle = cache ? await cache.get(cacheKey) : null;
+            const cached = Boolean(puzzle);
+
+            if (!puzzle) {
+                puzzle = await addToLibrary(await generatePuzzle(params, llm()), params);
+                if (cache) await cache.set(cacheKey, puzzle);
+            }
+
+            // Answers stay server-side; the browser only gets the masked grid
+            const { session, puzzleId } = await startSession(puzzle);
+            return { ...maskSession(session, puzzleId), cached };
+        },
+
+        async generateFromEntries(body) {
+            const params = parseEntriesRequest(body);
+            const puzzle = await addToLibrary(generatePuzzleFromEntries(params), params);
+
+            // Tell the author which of their entries didn't make it into the grid
+            const placed = new Set([...puzzle.clues.across, ...puzzle.clues.down].map(clue => clue.answer));
+            const alphabet = puzzleAlphabet(puzzle);
+            const skipped = params.entries
+                .map(entry => String(entry?.answer ?? ''))
+                .filter(answer => !placed.has(alphabet.normalize(answer)));
+
+            const { session, puzzleId } = await startSession(puzzle);
+            return { ...maskSession(session, puzzleId), cached: false, skipped };
+        },
+
+        async getPuzzle(libraryId) {
+            const entry = libraryId ? await requireLibrary().get(libraryId) : null;
+            if (!entry) {
+                throw new CrosswordError('PUZZLE_NOT_FOUND', 'Puzzle not found in the library', 404);
+            }
+
+            // Answer lists stay server-side like the answers themselves
+            const { entries, mustInclude, ...params } = entry.params;
+            const puzzle = { ...entry.puzzle, libraryId: entry.id };
+            const { session, puzzleId } = await startSession(puzzle);
+            return { ...maskSession(session, puzzleId), cached: false, createdAt: entry.createdAt, params };
+        },
+
+        async listPuzzles(query = {}) {
+            const options = parseLibraryQuery(query);
+            const { puzzles, total } = await requireLibrary().list(options);
+            return { puzzles, total, limit: options.limit, offset: options.offset };
+        },
+
+        async daily(query = {}) {
+            const { date, difficulty } = parseDailyQuery(query);
+            const { puzzle, cached } = await loadDaily(date, difficulty);
+
+            const { session, puzzleId } = await startSession(puzzle);
+            return { ...maskSession(session, puzzleId), cached, daily: { date, topic: dailyTopic(date) } };
+        },
+
+        async leaderboard(libraryId, query = {}) {
+            const entry = libraryId ? await requireLibrary().get(libraryId) : null;
+            if (!entry) {
+                throw new CrosswordError('PUZZLE_NOT_FOUND', 'Puzzle not found in the library', 404);
+            }
+            return { libraryId, title: entry.puzzle.meta?.title, ...leaderboardOf(entry, query) };
+        },
+
+        async dailyLeaderboard(query = {}) {
+            const { date, difficulty } = parseDailyQuery(query);
+            const libraryId = dailyId(date, difficulty);
+            // Nobody has played a day that was never generated, so its board is empty
+            const entry = await requireLibrary().get(libraryId);
+            return { libraryId, daily: { date, topic: dailyTopic(date) }, ...leaderboardOf(entry, query) };
+        },
+
+        dailyArchive(query = {}) {
+            const before = parseDailyDate(query.before);
+            const days = query.days === undefined ? DAILY_CONFIG.archiveDays : Number(query.days);
+            if (!Number.isInteger(days) || days < 1 || days > DAILY_CONFIG.archiveMax) {
+                throw new CrosswordError('INVALID_DAYS', `days must be a whole number from 1 to ${DAILY_CONFIG.archiveMax}`, 400);
+            }
+            return { days: dailySchedule(before, days) };
+        },
+
+        async hint(puzzleId, body = {}) {
+            const session = await loadPuzzle(puzzleId);
+            // Limits and revealed letters are counted from the session, whatever usage the client reports
+            const clue = `${body.direction}-${Number(body.number)}`;
+            const { usage, alreadyRevealed } = session.solve
+                ? hintUsageFromLog(session.solve, clue)
+                : { usage: undefined, alreadyRevealed: [] };
+            const result = await getHint(session, { ...body, usage, alreadyRevealed }, llm());
+            // No letter left to reveal still tells the player the word is right, so it costs a check
+            const event = result.hint === null
+                ? { type: 'check', incorrect: 0 }
+                : { type: 'hint', hintType: result.type, penalty: result.penalty, clue, index: result.hint.index };
+            return { ...result, puzzleId: await record(puzzleId, session, event) };
+        },
+
+        async share(puzzleId) {
+            // Links carry this ID instead of the sharer's own, so nobody else can play their session
+            const { solve, ...puzzle } = await loadPuzzle(puzzleId);
+            return { shareId: await store.save({ ...puzzle, shared: true }) };
+        },
+
+        async open(shareId) {
+            // A shared link starts a new session on the same puzzle, so each player has their own solve log
+            const { shared, ...puzzle } = await loadPuzzle(shareId, { shared: true });
+            const { session, puzzleId } = await startSession(puzzle);
+            return { ...maskSession(session, puzzleId), cached: false };
+        },
+
+        async pause(puzzleId) {
+            // Stops the solve clock while the player is away from the puzzle
+            const session = await loadPuzzle(puzzleId);
+            const at = Date.now();
+            const nextId = await record(puzzleId, session, { type: 'pause', at });
+            return { puzzleId: nextId, elapsedMs: session.solve ? solveElapsedMs(session.solve, at) : undefined };
+        },
+
+        async resume(puzzleId) {
+            // Saved progress carries on in its own session, with its solve log and clock
+            const session = await loadPuzzle(puzzleId);
+            const at = Date.now();
+            const nextId = await record(puzzleId, session, { type: 'resume', at });
+            const elapsedMs = session.solve ? solveElapsedMs(session.solve, at) : undefined;
+            return { ...maskSession(session, nextId), cached: false, elapsedMs };
+        },
+
+        async check(puzzleId, body = {}) {
+            const session = await loadPuzzle(puzzleId);
+            if (!Array.isArray(body.cells)) {
+                throw new CrosswordError('INVALID_CELLS', 'cells must be an array of {x, y, value}', 400);
+            }
+            const result = checkCells(session, body.cells);
+            // Checking the finished grid is how players submit, so it costs nothing
+            if (result.solved) return { ...result, puzzleId };
+            const incorrect = result.cells.filter(cell => !cell.correct).length;
+            return { ...result, puzzleId: await record(puzzleId, session, { type: 'check', incorrect }) };
+        },
+
+        async reveal(puzzleId, body = {}) {
+            const session = await loadPuzzle(puzzleId);
+            const cells = revealCells(session, body.direction, body.number);
+            if (!cells) {
+                throw new CrosswordError('INVALID_CLUE', 'direction and number must identify a clue in this puzzle', 400);
+            }
+            // Without a clue the whole grid is revealed
+            return { cells, puzzleId: await record(puzzleId, session, { type: 'reveal', all: !body.direction }) };
+        },
+
+        async submit(puzzleId, body = {}) {
+            const session = await loadPuzzle(puzzleId);
+            if (!Array.isArray(body.cells)) {
+                throw new CrosswordError('INVALID_CELLS', 'cells must be an array of {x, y, value}', 400);
+            }
+            const name = parsePlayerName(body.name);
+
+            // The score comes from what the server saw, never from the client
+            const log = session.solve;
+            if (!log) {
+                throw new CrosswordError('SOLVE_NOT_TRACKED', 'No solve was recorded for this puzzle; reopen it to play again', 409);
+            }
+            if (log.submitted) {
+                throw new CrosswordError('ALREADY_SUBMITTED', 'This solve has already been submitted', 409);
+            }
+            if (!checkCells(session, body.cells).solved) {
+                throw new CrosswordError('NOT_SOLVED', 'The submitted grid is not the solution', 422);
+            }
+
+            const score = computeScore(session, log);
+            const nextId = await record(puzzleId, session, { type: 'submit' });
+            // An earlier token would reopen the session before its reveals and submit, so only stores that can't be replayed rank
+            const result = { ...score, ranked: score.ranked && !store.replayable };
+
+            // Ranked solves of library puzzles go on that puzzle's leaderboard
+            let rank = null;
+            const libraryId = session.libraryId ?? null;
+            if (result.ranked && library && libraryId) {
+                const record = {
+                    id: crypto.randomUUID(),
+                    name,
+                    score: result.score,
+                    elapsedMs: result.elapsedMs,
+                    submittedAt: new Date().toISOString()
+                };
+                try {
+                    if (await library.addResult(libraryId, record)) {
+                        const entry = await library.get(libraryId);
+                        rank = rankResults(entry.results).find(ranked => ranked.id === record.id).rank;
+                    }
+                } catch (error) {
+                    console.error('⚠️  Could not record the result:', error.message);
+                }
+            }
+
+            return { ...result, puzzleId: nextId, name, libraryId, recorded: rank !== null, rank };
+        },
+
+        async export(puzzleId, query = {}) {
+            const session = await loadPuzzle(puzzleId);
+            const format = FORMATS[String(query.format || 'puz').toLowerCase()];
+            if (!format) {
+                throw new CrosswordError('INVALID_FORMAT', `Format must be one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+            }
+            const { solve, ...puzzle } = session;
+            const data = format.encode(puzzle);
+
+            // Exported files carry the solution, so once one is made the session counts as revealed.
+            // A token store's new ID is not sent back with the file, but its sessions are never ranked.
+            await record(puzzleId, session, { type: 'reveal', all: true });
+
+            // Adapters send `file` as a download instead of JSON
+            return {
+                file: {
+                    data,
+                    contentType: format.contentType,
+                    filename: exportFileName(puzzle, format.extension)
+                }
+            };
+        },
+
+        async print(puzzleId, query = {}) {
+            const session = await loadPuzzle(puzzleId);
+            const options = parsePrintOptions(query);
+            const { solve, ...puzzle } = session;
+            const { data, contentType, extension } = renderPrintable(puzzle, options);
+
+            // Like an export, a rendered answer key reveals the grid
+            if (options.answerKey) {
+                await record(puzzleId, session, { type: 'reveal', all: true });
+            }
+
+            return {
+                file: {
+                    data,
+                    contentType,
+                    filename: exportFileName(puzzle, extension),
+                    // Opened in a browser tab to print, not downloaded
+                    disposition: 'inline'
+                }
+            };
+        },
+
+        async import(body = {}) {
+            const format = FORMATS[String(body.format || 'puz').toLowerCase()];
+            if (!format) {
+                throw new CrosswordError('INVALID_FORMAT', `Format must be one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+            }
+            if (!body.data || typeof body.data !== 'string') {
+                throw new CrosswordError('INVALID_FILE', 'data must be the base64-encoded puzzle file', 400);
+            }
+
+            const difficulty = String(body.difficulty || 'medium').toLowerCase();
+            if (!DIFFICULTIES.includes(difficulty)) {
+                throw new CrosswordError('INVALID_DIFFICULTY', 'Difficulty must be easy, medium, or hard', 400);
+            }
+
+            const puzzle = { ...format.decode(Buffer.from(body.data, 'base64'), { difficulty }), source: 'import' };
+            const { session, puzzleId } = await startSession(puzzle);
+            return { ...maskSession(session, puzzleId), cached: false };
+        },
+
+        topics() {
+            return { topics: TOPICS, localTopics: listWordBankTopics() };
+        },
+
+        difficulty() {
+            return { levels: DIFFICULTY_LEVELS };
+        },
+
+        hintLimits() {
+            return HINT_LIMIT_DESCRIPTIONS;
+        },
+
+        cacheStats() {
+            return { cache: cache ? { enabled: true, ...cache.stats?.() } : { enabled: false } };
+        },
+
+        async clearCache(query = {}, authorization) {
+            requireAdmin(adminToken, authorization);
+
+            const { topic } = query;
+            if (topic !== undefined && (typeof topic !== 'string' || !topic.trim())) {
+                throw new CrosswordError('INVALID_TOPIC', 'topic must be a non-empty string', 400);
+            }
+
+            const cleared = cache ? await cache.clear({ topic }) : 0;
+            return { message: topic ? `Cache cleared for ${topic.trim()}` : 'Cache cleared', cleared };
+        }
+    };
+}
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CACHE_LIMITS } from './config.js';
+
+/*
+ * Generated puzzle cache. Every cache and backend has the same async interface:
+ *   get(key) -> puzzle | null
+ *   set(key, puzzle)
+ *   clear({topic}) -> number of entries removed (all of them without a topic)
+ * Keys are '<topic-slug>:<hash of every generation parameter>', so one topic
+ * can be invalidated on its own.
+ */
+
+/**
+ * Topic part of a cache key, also safe as a file name
+ * @param {string} topic
+ * @returns {string}
+ */
+export function topicSlug(topic) {
+    return String(topic).toLowerCase().trim().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'topic';
+}
+
+/**
+ * Serialize with sorted object keys so equal parameters give equal strings
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Cache key for a parsed /generate request; every parameter is part of it
+ * @param {Object} params - Result of parseGenerateRequest
+ * @returns {string}
+ */
+export function getCacheKey(params) {
+    const hash = crypto.createHash('sha256').update(canonicalJson(params)).digest('hex').substring(0, 16);
+    return `${topicSlug(params.topic)}:${hash}`;
+}
+
+/**
+ * Read cache configuration from environment variables
+ * @param {Object} env - Defaults to process.env
+ */
+export function readCacheConfig(env = process.env) {
+    const number = (name, fallback) => {
+        const value = Number(env[name]);
+        return env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+        enabled: env.CACHE_ENABLED === 'true',
+        ttlHours: number('CACHE_TTL_HOURS', CACHE_LIMITS.ttlHours),
+        maxEntries: number('CACHE_MAX_ENTRIES', CACHE_LIMITS.maxEntries),
+        maxMegabytes: number('CACHE_MAX_MB', CACHE_LIMITS.maxMegabytes),
+        dir: env.CACHE_DIR || undefined,
+        adminToken: env.CACHE_ADMIN_TOKEN || undefined
+    };
+}
+
+/**
+ * Disk backend: one JSON file per key, expired by modification time
+ * @param {Object} options - {dir, ttlHours}
+ */
+export function createDiskCache({ dir, ttlHours = CACHE_LIMITS.ttlHours }) {
+    const ttlMs = ttlHours * 60 * 60 * 1000;
+    const fileFor = key => path.join(dir, `${key.replace(':', '--')}.json`);
+
+    return {
+        name: 'disk',
+
+        async get(key) {
+            try {
+                const file = fileFor(key);
+                const stat = await fs.stat(file);
+                if (Date.now() - stat.mtimeMs > ttlMs) {
+                    await fs.unlink(file);
+                    return null;
+                }
+                return JSON.parse(await fs.readFile(file, 'utf-8'));
+            } catch (error) {
+                return null; // Cache miss
+            }
+        },
+
+        async set(key, puzzle) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(fileFor(key), JSON.stringify(puzzle));
+        },
+
+        async clear({ topic } = {}) {
+            let files;
+            try {
+                files = await fs.readdir(dir);
+            } catch (error) {
+                return 0;
+            }
+            const prefix = topic === undefined ? null : `${topicSlug(topic)}--`;
+            const matching = files.filter(file => file.endsWith('.json') && (!prefix || file.startsWith(prefix)));
+            await Promise.all(matching.map(file => fs.unlink(path.join(dir, file))));
+            return matching.length;
+        }
+    };
+}
+
+/**
+ * In-memory LRU tier, optionally in front of a slower shared backend.
+ * Backend hits are copied into memory; backend errors count as misses.
+ * @param {Object} options
+ * @param {number} [options.maxEntries] - Most puzzles kept in memory
+ * @param {number} [options.maxMegabytes] - Most serialized puzzle data kept in memory
+ * @param {number} [options.ttlHours] - Age after which a memory entry is dropped
+ * @param {Object} [options.backend] - {get, set, clear}, e.g. createDiskCache()
+ */
+export function createLruCache({
+    maxEntries = CACHE_LIMITS.maxEntries,
+    maxMegabytes = CACHE_LIMITS.maxMegabytes,
+    ttlHours = CACHE_LIMITS.ttlHours,
+    backend = null
+} = {}) {
+    const ttlMs = ttlHours * 60 * 60 * 1000;
+    const maxBytes = maxMegabytes * 1024 * 1024;
+    const entries = new Map(); // key -> { puzzle, bytes, storedAt }, least recently used first
+    const counters = { hits: 0, misses: 0, memoryHits: 0, backendHits: 0, sets: 0, evictions: 0 };
+    let bytes = 0;
+
+    function remove(key) {
+        bytes -= entries.get(key).bytes;
+        entries.delete(key);
+    }
+
+    function remember(key, puzzle) {
+        if (entries.has(key)) remove(key);
+
+        const size = Buffer.byteLength(JSON.stringify(puzzle));
+        if (size > maxBytes || maxEntries < 1) return;
+
+        entries.set(key, { puzzle, bytes: size, storedAt: Date.now() });
+        bytes += size;
+        while (entries.size > maxEntries || bytes > maxBytes) {
+            remove(entries.keys().next().value);
+            counters.evictions++;
+        }
+    }
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (entry && Date.now() - entry.storedAt <= ttlMs) {
+                // Re-insert to mark as most recently used
+                entries.delete(key);
+                entries.set(key, entry);
+                counters.hits++;
+                counters.memoryHits++;
+                return entry.puzzle;
+            }
+            if (entry) remove(key);
+
+            if (backend) {
+                try {
+                    const puzzle = await backend.get(key);
+                    if (puzzle) {
+                        remember(key, puzzle);
+                        counters.hits++;
+                        counters.backendHits++;
+                        return puzzle;
+                    }
+                } catch (error) {
+                    console.error('⚠️  Cache read error:', error.message);
+                }
+            }
+
+            counters.misses++;
+            return null;
+        },
+
+        async set(key, puzzle) {
+            counters.sets++;
+            remember(key, puzzle);
+            if (backend) {
+                try {
+                    await backend.set(key, puzzle);
+                } catch (error) {
+                    console.error('⚠️  Cache write error:', error.message);
+                }
+            }
+        },
+
+        async clear({ topic } = {}) {
+            const prefix = topic === undefined ? null : `${topicSlug(topic)}:`;
+            const keys = [...entries.keys()].filter(key => !prefix || key.startsWith(prefix));
+            keys.forEach(remove);
+
+            // The backend holds everything that was ever set, so its count wins
+            const cleared = backend ? await backend.clear({ topic }) : 0;
+            return Math.max(keys.length, cleared);
+        },
+
+        stats() {
+            const lookups = counters.hits + counters.misses;
+            return {
+                ...counters,
+                hitRate: lookups ? counters.hits / lookups : 0,
+                entries: entries.size,
+                bytes,
+                maxEntries,
+                maxBytes,
+                backend: backend?.name ?? null
+            };
+        }
+    };
+}
+
+/**
+ * Puzzle cache described by readCacheConfig(): null when disabled, memory
+ * only without a directory, otherwise memory in front of the disk
+ * @param {Object} config - Result of readCacheConfig, optionally with a default dir
+ * @returns {Object|null}
+ */
+export function createPuzzleCache({ enabled, ttlHours, maxEntries, maxMegabytes, dir }) {
+    if (!enabled) return null;
+    return createLruCache({
+        maxEntries,
+        maxMegabytes,
+        ttlHours,
+        backend: dir ? createDiskCache({ dir, ttlHours }) : null
+    });
+}
@@ -0,0 +1,271 @@
+/**
+ * Difficulty level configurations
+ */
+export const DIFFICULTY_CONFIG = {
+    easy: {
+        wordLengthMin: 3,
+        wordLengthMax: 7,
+        clueStyle: 'direct, simple definitions',
+        wordType: 'common, everyday words'
+    },
+    medium: {
+        wordLengthMin: 4,
+        wordLengthMax: 10,
+        clueStyle: 'may use synonyms or indirect phrasing',
+        wordType: 'mix of common and moderately difficult words'
+    },
+    hard: {
+        wordLengthMin: 6,
+        wordLengthMax: 12,
+        clueStyle: 'indirect, conceptual, or cryptic',
+        wordType: 'domain-specific, technical, or rare terms'
+    }
+};
+
+export const DIFFICULTIES = Object.keys(DIFFICULTY_CONFIG);
+
+/**
+ * Where entries come from: the LLM, the local word banks, or the LLM
+ * with a fallback to the word banks when it fails
+ */
+export const ENTRY_SOURCES = ['llm', 'local', 'auto'];
+
+/**
+ * Hint type configurations per difficulty
+ */
+export const HINT_LIMITS = {
+    easy: {
+        semanticPerClue: -1,      // Unlimited
+        letterPerClue: 2,
+        semanticPerPuzzle: -1,    // Unlimited
+        letterPerPuzzle: -1,      // Unlimited
+        penalty: 0
+    },
+    medium: {
+        semanticPerClue: 1,
+        letterPerClue: 1,
+        semanticPerPuzzle: -1,
+        letterPerPuzzle: -1,
+        penalty: 5                // Minor score reduction per hint
+    },
+    hard: {
+        semanticPerClue: 1,
+        letterPerClue: 1,
+        semanticPerPuzzle: 1,     // Only 1 semantic hint for entire puzzle
+        letterPerPuzzle: 1,       // Only 1 letter reveal for entire puzzle
+        penalty: 15               // Major score reduction per hint
+    }
+};
+
+/**
+ * Server-side scoring: a solve starts at `base` points and loses the hint
+ * penalties from HINT_LIMITS, a cost per check, per wrong cell a check
+ * finds and per revealed clue, and points for every minute over par.
+ * Revealing the whole grid scores 0 and is not ranked.
+ */
+export const SCORING = {
+    base: 100,
+    parSecondsPerWord: { easy: 30, medium: 45, hard: 60 },
+    pointsPerMinuteOver: 1,
+    timePenaltyMax: 40,
+    checkPenalty: 1,
+    incorrectPenalty: 1,
+    revealCluePenalty: 10,
+    nameLengthMax: 30,
+    leaderboardDefault: 10,
+    leaderboardMax: 100
+};
+
+/**
+ * Request limits for /generate
+ */
+export const GENERATION_LIMITS = {
+    wordCountMin: 5,
+    wordCountMax: 20,
+    wordCountDefault: 10,
+    extraWords: 3,                // Requested on top of wordCount to survive filtering
+    minWords: 3,                  // Fewer valid/placed words than this is an error
+    topicLengthMin: 2,
+    topicLengthMax: 100,
+    customEntriesMax: 50,         // Entries accepted by /generate-from-entries
+    excludeMax: 50,               // Answers accepted in /generate exclude lists
+    backfillRounds: 2,            // Extra LLM requests when too few words survive filtering or layout
+    backfillLetters: 6            // Most common grid letters suggested for backfill answers
+};
+
+/**
+ * Generated puzzle cache: an in-memory LRU tier bounded by entries and
+ * bytes, in front of an optional backend such as the disk
+ */
+export const CACHE_LIMITS = {
+    maxEntries: 200,
+    maxMegabytes: 50,
+    ttlHours: 24
+};
+
+/**
+ * Puzzle library: where saved puzzles are kept, how many are kept (the
+ * oldest are dropped first; daily puzzles are not counted or dropped), and
+ * page sizes for listing them
+ */
+export const LIBRARY_BACKENDS = ['json', 'memory', 'off'];
+
+export const LIBRARY_LIMITS = {
+    maxEntries: 500,
+    listDefault: 20,
+    listMax: 100
+};
+
+/**
+ * Layout search: the optimizer keeps the best of several randomized
+ * attempts, stopping early when the time budget runs out
+ */
+export const LAYOUT_LIMITS = {
+    attempts: 100,
+    timeBudgetMs: 1500,
+    maxWeight: 10,
+    gridSizeMin: 5,               // Range for maxWidth / maxHeight, in cells
+    gridSizeMax: 30,
+    aspectMin: 0.25,              // Range for aspect (width / height)
+    aspectMax: 4
+};
+
+/**
+ * Default weights for layout quality scoring (each metric is 0-1)
+ */
+export const LAYOUT_SCORE_WEIGHTS = {
+    words: 4,                     // Share of entries placed
+    intersections: 2,             // Share of letter cells where two words cross
+    density: 1.5,                 // Letter cells / grid area
+    aspect: 1,                    // Closeness of width / height to the requested aspect (square by default)
+    connectivity: 3               // Share of words in the largest connected group
+};
+
+/**
+ * Grid styles: freeform crossing words, or a dense American-style grid
+ * filled around a symmetric block pattern
+ */
+export const GRID_STYLES = ['freeform', 'american'];
+
+/**
+ * American-style fill search: each attempt tries one block pattern, first
+ * fitting theme entries (a few slots each, with a small budget per try) and
+ * then filling the rest within `fillSteps` backtracking steps
+ */
+export const AMERICAN_LIMITS = {
+    defaultSize: 5,
+    attempts: 12,
+    fillSteps: 20000,
+    themeSlotTries: 3,
+    themeFillSteps: 2000,
+    timeBudgetMs: 3000
+};
+
+/**
+ * What answer validation does with an answer that fails a check: drop it,
+ * keep it but report it in the puzzle stats, or skip the check
+ */
+export const VALIDATION_MODES = ['reject', 'flag', 'off'];
+
+/**
+ * Puzzle languages. `letters` are what a grid cell may hold; `accents` are
+ * extra letters kept only when accent folding is off. Most crossword
+ * traditions write answers without accents, so folding (É -> E) is on by
+ * default; letters of the alphabet itself (Ñ, Ü) are never folded.
+ */
+const LATIN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export const LANGUAGES = {
+    en: { name: 'English', letters: LATIN_LETTERS, accents: '', foldAccents: true },
+    es: { name: 'Spanish', letters: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ', accents: 'ÁÉÍÓÚÜ', foldAccents: true },
+    fr: { name: 'French', letters: LATIN_LETTERS, accents: 'ÀÂÆÇÉÈÊËÎÏÔŒÙÛÜŸ', foldAccents: true },
+    de: { name: 'German', letters: `${LATIN_LETTERS}ÄÖÜ`, accents: '', foldAccents: true },
+    el: { name: 'Greek', letters: 'ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩ', accents: 'ΆΈΉΊΌΎΏΪΫ', foldAccents: true }
+};
+
+// Local word banks and the bundled word lists are English
+export const WORD_BANK_LANGUAGE = 'en';
+
+/**
+ * Daily puzzle: one puzzle per day and difficulty, on a topic that rotates
+ * through TOPICS one day at a time starting on `firstDate`
+ */
+export const DAILY_CONFIG = {
+    firstDate: '2026-01-01',
+    wordCount: 10,
+    archiveDays: 14,              // Days listed by the archive by default
+    archiveMax: 60
+};
+
+export const TOPICS = [
+    'Programming',
+    'Space Exploration',
+    'World Geography',
+    'Classical Music',
+    'Marine Biology',
+    'Ancient History',
+    'Cooking & Food',
+    'Sports',
+    'Movies & Cinema',
+    'Science & Technology'
+];
+
+export const DIFFICULTY_LEVELS = [
+    {
+        id: 'easy',
+        name: 'Easy',
+        description: 'Common words, direct clues, generous hints',
+        wordLength: '3-7 letters',
+        hints: 'Unlimited clue hints, 2 letter reveals per clue'
+    },
+    {
+        id: 'medium',
+        name: 'Medium',
+        description: 'Mixed difficulty, indirect clues, limited hints',
+        wordLength: '4-10 letters',
+        hints: '1 clue hint + 1 letter per clue (-5 pts each)'
+    },
+    {
+        id: 'hard',
+        name: 'Hard',
+        description: 'Technical terms, cryptic clues, scarce hints',
+        wordLength: '6-12 letters',
+        hints: '1 clue hint + 1 letter per puzzle (-15 pts each)'
+    }
+];
+
+export const HINT_LIMIT_DESCRIPTIONS = {
+    easy: {
+        semanticHints: 'Unlimited per clue',
+        letterReveals: '2 per clue',
+        penalty: 'None'
+    },
+    medium: {
+        semanticHints: '1 per clue',
+        letterReveals: '1 per clue',
+        penalty: '-5 points per hint'
+    },
+    hard: {
+        semanticHints: '1 per puzzle',
+        letterReveals: '1 per puzzle',
+        penalty: '-15 points per hint'
+    }
+};
+
+/**
+ * Get difficulty configuration
+ * @param {string} difficulty - easy, medium, or hard
+ * @returns {Object} Difficulty configuration
+ */
+export function getDifficultyConfig(difficulty = 'medium') {
+    return DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG.medium;
+}
+
+/**
+ * Get hint limits for a difficulty
+ * @param {string} difficulty - easy, medium, or hard
+ * @returns {Object} Hint limits
+ */
+export function getHintLimits(difficulty = 'medium') {
+    return HINT_LIMITS[difficulty] || HINT_LIMITS.medium;
+}
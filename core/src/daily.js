@@ -0,0 +1,97 @@
+import { DAILY_CONFIG, TOPICS } from './config.js';
+import { CrosswordError } from './errors.js';
+import { hashSeed } from './random.js';
+
+/*
+ * Daily puzzles are ordinary /generate requests derived from the date: the
+ * topic comes from a rotating schedule and the seed from the date and
+ * difficulty, so every user gets the same puzzle for a given day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar date of a moment, as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDate(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+function dayNumber(date) {
+    return Math.round((Date.parse(date) - Date.parse(DAILY_CONFIG.firstDate)) / DAY_MS);
+}
+
+/**
+ * Validate a daily puzzle date. Days from the start of the schedule up to
+ * tomorrow (UTC) are allowed, since the day starts earlier east of UTC.
+ * @param {string|undefined} value - YYYY-MM-DD; defaults to today (UTC)
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function parseDailyDate(value, now = new Date()) {
+    if (value === undefined || value === '') return formatDate(now);
+
+    const date = String(value);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)) || formatDate(new Date(date)) !== date) {
+        throw new CrosswordError('INVALID_DATE', 'date must be a calendar date like 2026-01-31', 400);
+    }
+    if (date < DAILY_CONFIG.firstDate) {
+        throw new CrosswordError('INVALID_DATE', `Daily puzzles start on ${DAILY_CONFIG.firstDate}`, 400);
+    }
+    if (date > formatDate(new Date(now.getTime() + DAY_MS))) {
+        throw new CrosswordError('INVALID_DATE', `There is no daily puzzle for ${date} yet`, 400);
+    }
+    return date;
+}
+
+/**
+ * Scheduled topic for a day
+ * @param {string} date - YYYY-MM-DD, on or after DAILY_CONFIG.firstDate
+ * @returns {string}
+ */
+export function dailyTopic(date) {
+    return TOPICS[dayNumber(date) % TOPICS.length];
+}
+
+/**
+ * Library ID of a daily puzzle
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} difficulty
+ * @returns {string}
+ */
+export function dailyId(date, difficulty) {
+    return `daily-${date}-${difficulty}`;
+}
+
+/**
+ * /generate request body for a daily puzzle
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} difficulty
+ * @param {string} source - Entry source, see ENTRY_SOURCES
+ * @returns {Object}
+ */
+export function dailyRequest(date, difficulty, source) {
+    return {
+        topic: dailyTopic(date),
+        difficulty,
+        wordCount: DAILY_CONFIG.wordCount,
+        seed: hashSeed(dailyId(date, difficulty)),
+        source
+    };
+}
+
+/**
+ * Scheduled days, newest first, ending at `before` and never earlier than the schedule start
+ * @param {string} before - YYYY-MM-DD, last day listed
+ * @param {number} days - Most days listed
+ * @returns {Array<{date: string, topic: string}>}
+ */
+export function dailySchedule(before, days) {
+    const count = Math.min(days, dayNumber(before) + 1);
+    return Array.from({ length: count }, (_, i) => {
+        const date = formatDate(new Date(Date.parse(before) - i * DAY_MS));
+        return { date, topic: dailyTopic(date) };
+    });
+}
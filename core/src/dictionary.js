@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DICTIONARY_DIR = fileURLToPath(new URL('../dictionaries', import.meta.url));
+
+/*
+ * Fill dictionaries are general word lists with plain clues, one JSON file
+ * per language, used to fill the slots of dense grids around theme entries:
+ *   { "language": "en", "entries": [{ "answer": "AREA", "clue": "Region" }] }
+ * Word lists are plain text, one word per line ('#' starts a comment), used
+ * to validate answers: <language>.words.txt and the <language>.allow.txt
+ * allowlist of proper nouns.
+ * Set DICTIONARY_DIR to use larger lists than the bundled ones.
+ */
+
+// Dictionaries and word lists are read from disk once per file
+const dictionaryCache = new Map();
+const wordListCache = new Map();
+
+/**
+ * Load the fill dictionary for a language
+ * @param {string} [language] - Language code, e.g. 'en'
+ * @param {string} [dir] - Defaults to DICTIONARY_DIR or core/dictionaries
+ * @returns {{language: string, entries: Array<{answer: string, clue: string}>, clues: Map<string, string>}}
+ */
+export function loadDictionary(language = 'en', dir = process.env.DICTIONARY_DIR || DEFAULT_DICTIONARY_DIR) {
+    const file = path.join(dir, `${language}.json`);
+    if (dictionaryCache.has(file)) return dictionaryCache.get(file);
+
+    let entries = [];
+    try {
+        entries = JSON.parse(fs.readFileSync(file, 'utf-8')).entries || [];
+    } catch (error) {
+        console.error('⚠️  Could not load dictionary:', error.message);
+    }
+
+    const dictionary = {
+        language,
+        entries,
+        clues: new Map(entries.map(entry => [entry.answer, entry.clue]))
+    };
+    dictionaryCache.set(file, dictionary);
+    return dictionary;
+}
+
+/**
+ * Load a plain-text word list, e.g. 'en.words' or 'en.allow'
+ * @param {string} name - File name without the .txt extension
+ * @param {string} [dir] - Defaults to DICTIONARY_DIR or core/dictionaries
+ * @returns {Set<string>} Uppercase words; empty when the list does not exist
+ */
+export function loadWordList(name, dir = process.env.DICTIONARY_DIR || DEFAULT_DICTIONARY_DIR) {
+    const file = path.join(dir, `${name}.txt`);
+    if (wordListCache.has(file)) return wordListCache.get(file);
+
+    let words = new Set();
+    if (fs.existsSync(file)) {
+        words = new Set(fs.readFileSync(file, 'utf-8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toUpperCase())
+            .filter(line => line && !line.startsWith('#')));
+    }
+    wordListCache.set(file, words);
+    return words;
+}
@@ -0,0 +1,39 @@
+/**
+ * Error raised by the crossword core.
+ * Adapters turn it into an HTTP response with `status` and
+ * a body of `{ ok: false, error: { code, message } }`.
+ */
+export class CrosswordError extends Error {
+    /**
+     * @param {string} code - Stable machine-readable code, e.g. 'INVALID_TOPIC'
+     * @param {string} message - Human-readable message
+     * @param {number} status - HTTP status code
+     */
+    constructor(code, message, status = 500) {
+        super(message);
+        this.name = 'CrosswordError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Convert any error into a status and response body
+ * @param {Error} error - Thrown error
+ * @param {string} fallbackCode - Code for unexpected errors
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {{status: number, body: Object}}
+ */
+export function toErrorResponse(error, fallbackCode = 'INTERNAL_ERROR', fallbackMessage = 'Internal server error') {
+    if (error instanceof CrosswordError) {
+        return {
+            status: error.status,
+            body: { ok: false, error: { code: error.code, message: error.message } }
+        };
+    }
+
+    return {
+        status: 500,
+        body: { ok: false, error: { code: fallbackCode, message: fallbackMessage } }
+    };
+}
@@ -0,0 +1,36 @@
+import { fromIpuz, toIpuz } from './ipuz.js';
+import { fromPuz, toPuz } from './puz.js';
+
+/*
+ * Puzzle file formats. Each format converts between a full puzzle
+ * (answers included) and file bytes:
+ *   encode(puzzle) -> Buffer, decode(Buffer, {difficulty}) -> puzzle
+ */
+export const FORMATS = {
+    puz: {
+        contentType: 'application/x-crossword',
+        extension: 'puz',
+        encode: toPuz,
+        decode: fromPuz
+    },
+    ipuz: {
+        contentType: 'application/json',
+        extension: 'ipuz',
+        encode: toIpuz,
+        decode: fromIpuz
+    }
+};
+
+/**
+ * File name for an exported puzzle, derived from its title
+ * @param {Object} puzzle - Full puzzle
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export function exportFileName(puzzle, extension) {
+    const slug = String(puzzle.meta?.title || 'crossword')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `${slug || 'crossword'}.${extension}`;
+}
@@ -0,0 +1,206 @@
+import { getHintLimits } from '../config.js';
+import { CrosswordError } from '../errors.js';
+
+/*
+ * ipuz (http://ipuz.org) crossword export and import.
+ * Cells are numbered from the clue x/y positions; `puzzle` holds the
+ * numbers (0 for unnumbered, "#" for blocks) and `solution` the letters.
+ */
+
+const VERSION = 'http://ipuz.org/v2';
+const KIND = 'http://ipuz.org/crossword#1';
+const BLOCK = '#';
+const MAX_SIZE = 255;           // Same as .puz, so every imported grid can be exported again
+
+/**
+ * Encode a full puzzle (answers included) as an ipuz document
+ * @param {Object} puzzle - Puzzle in crosswords-js format
+ * @returns {Buffer} UTF-8 ipuz JSON
+ */
+export function toIpuz(puzzle) {
+    const { width, height } = puzzle.dimensions;
+    const isLetter = cell => /^\p{L}$/u.test(cell);
+
+    const numbers = puzzle.grid.map(row => row.map(cell => isLetter(cell) ? 0 : BLOCK));
+    for (const clue of [...puzzle.clues.across, ...puzzle.clues.down]) {
+        numbers[clue.y - 1][clue.x - 1] = clue.number;
+    }
+
+    const toClueList = clues => [...clues]
+        .sort((a, b) => a.number - b.number)
+        .map(clue => (clue.enumeration
+            ? { number: clue.number, clue: clue.clue, enumeration: clue.enumeration }
+            : [clue.number, clue.clue]));
+
+    // ipuz dates are mm/dd/yyyy
+    const [year, month, day] = String(puzzle.meta?.date || '').split('-');
+
+    const document = {
+        version: VERSION,
+        kind: [KIND],
+        title: puzzle.meta?.title || 'Crossword',
+        author: puzzle.meta?.author || '',
+        ...(puzzle.meta?.copyright && { copyright: puzzle.meta.copyright }),
+        ...(puzzle.meta?.notes && { notes: puzzle.meta.notes }),
+        ...(day && { date: `${month}/${day}/${year}` }),
+        difficulty: puzzle.difficulty?.level || 'medium',
+        dimensions: { width, height },
+        block: BLOCK,
+        empty: 0,
+        puzzle: numbers,
+        solution: puzzle.grid.map(row => row.map(cell => isLetter(cell) ? cell : BLOCK)),
+        clues: {
+            Across: toClueList(puzzle.clues.across),
+            Down: toClueList(puzzle.clues.down)
+        }
+    };
+
+    return Buffer.from(JSON.stringify(document, null, 2), 'utf-8');
+}
+
+// Cells may be plain values or {cell, value, style} objects
+function cellValue(cell, key) {
+    return cell !== null && typeof cell === 'object' ? cell[key] : cell;
+}
+
+// Clues may be [number, text], {number, clue, enumeration} or "text"
+function parseClue(entry) {
+    if (Array.isArray(entry)) return { number: Number(entry[0]), clue: String(entry[1] ?? '') };
+    if (entry && typeof entry === 'object') {
+        return { number: Number(entry.number), clue: String(entry.clue ?? ''), enumeration: entry.enumeration };
+    }
+    return null;
+}
+
+// Phrase words from an enumeration like "5,4" or "1-3", when it matches the answer
+function phraseFromEnumeration(answer, enumeration) {
+    if (typeof enumeration !== 'string' || !/^\d+([,-]\d+)+$/.test(enumeration)) return null;
+
+    const lengths = enumeration.split(/[,-]/).map(Number);
+    if (lengths.reduce((sum, length) => sum + length, 0) !== answer.length) return null;
+
+    const separators = enumeration.match(/[,-]/g).map(separator => (separator === ',' ? ' ' : '-'));
+    let start = 0;
+    return lengths.map((length, i) => {
+        const word = answer.slice(start, start += length);
+        return i < separators.length ? word + separators[i] : word;
+    }).join('');
+}
+
+/**
+ * Parse an ipuz crossword into a full puzzle
+ * @param {Buffer} data - ipuz JSON bytes
+ * @param {Object} options - {difficulty}
+ * @returns {Object} Puzzle in crosswords-js format, answers included
+ */
+export function fromIpuz(data, { difficulty = 'medium' } = {}) {
+    const invalid = message => new CrosswordError('INVALID_IPUZ', message, 422);
+    const unsupported = message => new CrosswordError('UNSUPPORTED_IPUZ', message, 422);
+
+    let document;
+    try {
+        // Older files wrap the JSON in ipuz(...)
+        const text = data.toString('utf-8').trim().replace(/^ipuz\(([\s\S]*)\)$/, '$1');
+        document = JSON.parse(text);
+    } catch {
+        throw invalid('File is not valid ipuz JSON');
+    }
+
+    const kinds = Array.isArray(document?.kind) ? document.kind : [];
+    if (!kinds.some(kind => String(kind).startsWith('http://ipuz.org/crossword'))) {
+        throw unsupported('Only ipuz crosswords are supported');
+    }
+
+    const { width, height } = document.dimensions || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw invalid('dimensions must give a positive width and height');
+    }
+    if (width > MAX_SIZE || height > MAX_SIZE) {
+        throw unsupported(`Grids larger than ${MAX_SIZE}x${MAX_SIZE} are not supported`);
+    }
+    if (!Array.isArray(document.puzzle) || !Array.isArray(document.solution)) {
+        throw unsupported('ipuz files without a solution cannot be played');
+    }
+    const matchesSize = rows => rows.length === height && rows.every(row => Array.isArray(row) && row.length === width);
+    if (!matchesSize(document.puzzle) || !matchesSize(document.solution)) {
+        throw invalid(`puzzle and solution must have ${height} rows of ${width} cells`);
+    }
+
+    const block = document.block ?? BLOCK;
+    const isBlock = value => value === null || value === undefined || value === block || value === BLOCK;
+
+    const grid = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            const layoutCell = cellValue(document.puzzle[y][x], 'cell');
+            const solutionCell = cellValue(document.solution[y][x], 'value');
+
+            if (isBlock(layoutCell) || isBlock(solutionCell)) {
+                row.push('-');
+                continue;
+            }
+
+            const letter = String(solutionCell).normalize('NFC').toUpperCase();
+            if (!/^\p{L}$/u.test(letter)) {
+                throw unsupported('Only single-letter solutions are supported');
+            }
+            row.push(letter);
+        }
+        grid.push(row);
+    }
+
+    // Clue number -> 0-based cell
+    const positions = new Map();
+    document.puzzle.forEach((row, y) => row.forEach((cell, x) => {
+        const number = Number(cellValue(cell, 'cell'));
+        if (number > 0) positions.set(number, { x, y });
+    }));
+
+    const readClues = (list = [], dx, dy) => list.map(parseClue).filter(Boolean).map(({ number, clue, enumeration }) => {
+        const start = positions.get(number);
+        if (!start) {
+            throw invalid(`Clue ${number} has no numbered cell`);
+        }
+
+        let answer = '';
+        for (let x = start.x, y = start.y; grid[y]?.[x] && grid[y][x] !== '-'; x += dx, y += dy) {
+            answer += grid[y][x];
+        }
+        const phrase = phraseFromEnumeration(answer, enumeration);
+        return { number, clue, answer, ...(phrase && { phrase, enumeration }), x: start.x + 1, y: start.y + 1 };
+    });
+
+    // Direction keys may carry a display label, e.g. "Across:Horizontal"
+    const clueLists = Object.entries(document.clues || {});
+    const findList = name => clueLists.find(([key]) => key.split(':')[0] === name)?.[1];
+
+    const across = readClues(findList('Across'), 1, 0);
+    const down = readClues(findList('Down'), 0, 1);
+    if (!across.length && !down.length) {
+        throw invalid('Puzzle has no Across or Down clues');
+    }
+
+    // mm/dd/yyyy -> yyyy-mm-dd
+    const dateMatch = String(document.date || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const date = dateMatch
+        ? `${dateMatch[3]}-${dateMatch[1].padStart(2, '0')}-${dateMatch[2].padStart(2, '0')}`
+        : new Date().toISOString().split('T')[0];
+
+    return {
+        meta: {
+            title: document.title || 'Imported Crossword',
+            author: document.author || '',
+            ...(document.copyright && { copyright: document.copyright }),
+            ...(document.notes && { notes: document.notes }),
+            date
+        },
+        dimensions: { width, height },
+        grid,
+        clues: { across, down },
+        difficulty: {
+            level: difficulty,
+            hintLimits: { ...getHintLimits(difficulty) }
+        }
+    };
+}
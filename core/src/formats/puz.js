@@ -0,0 +1,283 @@
+import { getHintLimits } from '../config.js';
+import { CrosswordError } from '../errors.js';
+
+/*
+ * Across Lite .puz (binary) export and import.
+ * Layout: 0x34-byte header, solution grid, player grid, then NUL-terminated
+ * ISO-8859-1 strings: title, author, copyright, clues, notes.
+ * Clues are ordered by cell number, across before down for the same cell.
+ */
+
+const MAGIC = 'ACROSS&DOWN\0';
+const HEADER_SIZE = 0x34;
+const VERSION = '1.3\0';
+const BLACK = '.';
+const EMPTY = '-';
+const SCRAMBLED_FLAG = 0x0004;
+
+/**
+ * Across Lite checksum over a region
+ * @param {Buffer} data - Bytes to sum
+ * @param {number} cksum - Running checksum
+ * @returns {number} 16-bit checksum
+ */
+function checksum(data, cksum = 0) {
+    for (const byte of data) {
+        cksum = (cksum & 1) ? (cksum >> 1) + 0x8000 : cksum >> 1;
+        cksum = (cksum + byte) & 0xffff;
+    }
+    return cksum;
+}
+
+// .puz strings are ISO-8859-1; anything outside it is replaced
+function encodeString(text) {
+    return Buffer.from(String(text || '').replace(/[^\x20-\xff]/g, '?'), 'latin1');
+}
+
+// Solution cells are single ISO-8859-1 bytes, so Ñ or Ü fit but Greek does not
+function isLatin1Letter(cell) {
+    return /^\p{L}$/u.test(cell) && cell.codePointAt(0) <= 0xff;
+}
+
+const NUL = Buffer.from([0]);
+
+/**
+ * Checksum of the text section (title, author, copyright, clues, notes)
+ */
+function textChecksum({ title, author, copyright, clues, notes }, cksum) {
+    if (title.length) cksum = checksum(Buffer.concat([title, NUL]), cksum);
+    if (author.length) cksum = checksum(Buffer.concat([author, NUL]), cksum);
+    if (copyright.length) cksum = checksum(Buffer.concat([copyright, NUL]), cksum);
+    for (const clue of clues) cksum = checksum(clue, cksum);
+    if (notes.length) cksum = checksum(Buffer.concat([notes, NUL]), cksum);
+    return cksum;
+}
+
+/**
+ * Number the grid the way .puz readers do: a white cell gets a number if it
+ * starts an across or down run of two or more white cells
+ * @param {string[][]} cells - Rows of cells, BLACK for blocks
+ * @returns {Array<{number, x, y, across, down}>} Numbered cells (0-based x/y, run lengths)
+ */
+function numberGrid(cells) {
+    const height = cells.length;
+    const width = cells[0]?.length || 0;
+    const isWhite = (x, y) => x >= 0 && y >= 0 && x < width && y < height && cells[y][x] !== BLACK;
+    const runLength = (x, y, dx, dy) => {
+        let length = 0;
+        while (isWhite(x + dx * length, y + dy * length)) length++;
+        return length;
+    };
+
+    const numbered = [];
+    let number = 1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isWhite(x, y)) continue;
+
+            const across = !isWhite(x - 1, y) && isWhite(x + 1, y) ? runLength(x, y, 1, 0) : 0;
+            const down = !isWhite(x, y - 1) && isWhite(x, y + 1) ? runLength(x, y, 0, 1) : 0;
+
+            if (across || down) {
+                numbered.push({ number: number++, x, y, across, down });
+            }
+        }
+    }
+    return numbered;
+}
+
+/**
+ * Encode a full puzzle (answers included) as an Across Lite .puz file
+ * @param {Object} puzzle - Puzzle in crosswords-js format
+ * @returns {Buffer} .puz bytes
+ */
+export function toPuz(puzzle) {
+    const { width, height } = puzzle.dimensions;
+    if (width > 255 || height > 255) {
+        throw new CrosswordError('EXPORT_FAILED', 'Grid is too large for .puz', 422);
+    }
+
+    const cells = puzzle.grid.map(row => row.map(cell => /^\p{L}$/u.test(cell) ? cell : BLACK));
+    if (cells.flat().some(cell => !isLatin1Letter(cell) && cell !== BLACK)) {
+        throw new CrosswordError('EXPORT_FAILED', '.puz files can only hold Latin-1 letters', 422);
+    }
+
+    // Look up our clue text by 0-based start cell and direction
+    const clueAt = {};
+    for (const direction of ['across', 'down']) {
+        for (const clue of puzzle.clues[direction]) {
+            clueAt[`${direction}:${clue.x - 1}-${clue.y - 1}`] = clue.clue;
+        }
+    }
+
+    // Every white run needs a clue; runs we never placed as words get a dash
+    const clueTexts = [];
+    for (const cell of numberGrid(cells)) {
+        if (cell.across) clueTexts.push(clueAt[`across:${cell.x}-${cell.y}`] ?? '-');
+        if (cell.down) clueTexts.push(clueAt[`down:${cell.x}-${cell.y}`] ?? '-');
+    }
+
+    const solution = Buffer.from(cells.map(row => row.join('')).join(''), 'latin1');
+    const playerGrid = Buffer.from(cells.map(row => row.map(c => c === BLACK ? BLACK : EMPTY).join('')).join(''), 'latin1');
+    const text = {
+        title: encodeString(puzzle.meta?.title),
+        author: encodeString(puzzle.meta?.author),
+        copyright: encodeString(puzzle.meta?.copyright),
+        clues: clueTexts.map(encodeString),
+        notes: encodeString(puzzle.meta?.notes)
+    };
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write(MAGIC, 0x02, 'latin1');
+    header.write(VERSION, 0x18, 'latin1');
+    header.writeUInt8(width, 0x2c);
+    header.writeUInt8(height, 0x2d);
+    header.writeUInt16LE(clueTexts.length, 0x2e);
+    header.writeUInt16LE(0x0001, 0x30); // Normal puzzle
+    header.writeUInt16LE(0x0000, 0x32); // Not scrambled
+
+    const cib = checksum(header.subarray(0x2c, 0x34));
+    const solutionSum = checksum(solution);
+    const gridSum = checksum(playerGrid);
+    const textSum = textChecksum(text, 0);
+
+    let overall = checksum(solution, cib);
+    overall = checksum(playerGrid, overall);
+    overall = textChecksum(text, overall);
+
+    header.writeUInt16LE(overall, 0x00);
+    header.writeUInt16LE(cib, 0x0e);
+
+    // Masked checksums: low and high bytes XORed with "ICHEATED"
+    const sums = [cib, solutionSum, gridSum, textSum];
+    const mask = Buffer.from('ICHEATED', 'latin1');
+    sums.forEach((sum, i) => {
+        header.writeUInt8(mask[i] ^ (sum & 0xff), 0x10 + i);
+        header.writeUInt8(mask[i + 4] ^ (sum >> 8), 0x14 + i);
+    });
+
+    const strings = [text.title, text.author, text.copyright, ...text.clues, text.notes]
+        .flatMap(str => [str, NUL]);
+
+    return Buffer.concat([header, solution, playerGrid, ...strings]);
+}
+
+/**
+ * Parse an Across Lite .puz file into a full puzzle
+ * @param {Buffer} data - .puz bytes
+ * @param {Object} options - {difficulty}
+ * @returns {Object} Puzzle in crosswords-js format, answers included
+ */
+export function fromPuz(data, { difficulty = 'medium' } = {}) {
+    const invalid = message => new CrosswordError('INVALID_PUZ', message, 422);
+
+    if (!Buffer.isBuffer(data) || data.length < HEADER_SIZE) {
+        throw invalid('File is too short to be a .puz puzzle');
+    }
+    if (data.toString('latin1', 0x02, 0x0e) !== MAGIC) {
+        throw invalid('Missing ACROSS&DOWN signature');
+    }
+
+    const width = data.readUInt8(0x2c);
+    const height = data.readUInt8(0x2d);
+    const clueCount = data.readUInt16LE(0x2e);
+    const size = width * height;
+
+    if (!width || !height || data.length < HEADER_SIZE + size * 2) {
+        throw invalid('Grid data is truncated');
+    }
+    if (data.readUInt16LE(0x32) & SCRAMBLED_FLAG) {
+        throw new CrosswordError('UNSUPPORTED_PUZ', 'Scrambled .puz files are not supported', 422);
+    }
+    if (checksum(data.subarray(0x2c, 0x34)) !== data.readUInt16LE(0x0e)) {
+        throw invalid('Header checksum mismatch');
+    }
+
+    const solution = data.toString('latin1', HEADER_SIZE, HEADER_SIZE + size);
+    const playerGrid = data.subarray(HEADER_SIZE + size, HEADER_SIZE + size * 2);
+
+    // NUL-terminated strings follow the grids
+    const strings = [];
+    let offset = HEADER_SIZE + size * 2;
+    while (strings.length < clueCount + 4 && offset < data.length) {
+        let end = data.indexOf(0, offset);
+        if (end === -1) end = data.length;
+        strings.push(data.subarray(offset, end));
+        offset = end + 1;
+    }
+    if (strings.length < clueCount + 3) {
+        throw invalid('Clue data is truncated');
+    }
+
+    const [title, author, copyright] = strings;
+    const clueBuffers = strings.slice(3, 3 + clueCount);
+    const notes = strings[3 + clueCount] || Buffer.alloc(0);
+
+    const solutionBuffer = data.subarray(HEADER_SIZE, HEADER_SIZE + size);
+    let overall = checksum(data.subarray(0x2c, 0x34));
+    overall = checksum(solutionBuffer, overall);
+    overall = checksum(playerGrid, overall);
+    overall = textChecksum({ title, author, copyright, clues: clueBuffers, notes }, overall);
+    if (overall !== data.readUInt16LE(0x00)) {
+        throw invalid('File checksum mismatch');
+    }
+
+    // ':' marks black cells in diagramless puzzles
+    const cells = [];
+    for (let y = 0; y < height; y++) {
+        const row = solution.slice(y * width, (y + 1) * width).split('')
+            .map(cell => cell === ':' ? BLACK : cell.toUpperCase());
+        if (row.some(cell => cell !== BLACK && !isLatin1Letter(cell))) {
+            throw new CrosswordError('UNSUPPORTED_PUZ', 'Only single-letter solutions are supported', 422);
+        }
+        cells.push(row);
+    }
+
+    const across = [];
+    const down = [];
+    let clueIndex = 0;
+    const readWord = (x, y, dx, dy, length) =>
+        Array.from({ length }, (_, i) => cells[y + dy * i][x + dx * i]).join('');
+
+    for (const cell of numberGrid(cells)) {
+        if (cell.across) {
+            across.push({
+                number: cell.number,
+                clue: clueBuffers[clueIndex++]?.toString('latin1') || '',
+                answer: readWord(cell.x, cell.y, 1, 0, cell.across),
+                x: cell.x + 1,
+                y: cell.y + 1
+            });
+        }
+        if (cell.down) {
+            down.push({
+                number: cell.number,
+                clue: clueBuffers[clueIndex++]?.toString('latin1') || '',
+                answer: readWord(cell.x, cell.y, 0, 1, cell.down),
+                x: cell.x + 1,
+                y: cell.y + 1
+            });
+        }
+    }
+
+    if (clueIndex !== clueCount) {
+        throw invalid('Clue count does not match the grid');
+    }
+
+    return {
+        meta: {
+            title: title.toString('latin1') || 'Imported Crossword',
+            author: author.toString('latin1'),
+            copyright: copyright.toString('latin1'),
+            notes: notes.toString('latin1'),
+            date: new Date().toISOString().split('T')[0]
+        },
+        dimensions: { width, height },
+        grid: cells.map(row => row.map(cell => cell === BLACK ? '-' : cell)),
+        clues: { across, down },
+        difficulty: {
+            level: difficulty,
+            hintLimits: { ...getHintLimits(difficulty) }
+        }
+    };
+}
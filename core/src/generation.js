@@ -0,0 +1,389 @@
+import { getDifficultyConfig, WORD_BANK_LANGUAGE } from './config.js';
+import { loadDictionary } from './dictionary.js';
+import { CrosswordError } from './errors.js';
+import { createAlphabet } from './languages.js';
+import { getDefaultProvider } from './providers/index.js';
+import { parseAnswer, readValidationConfig, validateAnswers } from './validation.js';
+import { findWordBank, getWordBankEntries } from './wordbanks.js';
+
+const ENGLISH = createAlphabet('en');
+
+/**
+ * Answer lengths for a difficulty, capped for grids with short slots
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {number} [maxLength] - Longest answer the grid can hold
+ * @returns {{min: number, max: number}}
+ */
+function getLengthRange(difficulty, maxLength = Infinity) {
+    const config = getDifficultyConfig(difficulty);
+    const max = Math.min(config.wordLengthMax, maxLength);
+    return { min: Math.min(config.wordLengthMin, max), max };
+}
+
+/**
+ * Build the clue generation prompt
+ * @param {string} topic - Puzzle topic
+ * @param {number} wordCount - Number of entries to ask for
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {Object} [options] - {maxLength, mustInclude: [{answer, clue}], exclude: [answers], phrases: whether
+ *   multi-word answers are welcome, alphabet: from createAlphabet()}; backfill requests add
+ *   {used: [answers already tried], letters: [letters that cross the grid well],
+ *   slotLengths: [longest answers the grid's open slots take]}
+ * @returns {string} Prompt text
+ */
+export function buildPrompt(topic, wordCount, difficulty, {
+    maxLength,
+    mustInclude = [],
+    exclude = [],
+    used = [],
+    letters = [],
+    slotLengths = [],
+    phrases = true,
+    alphabet = ENGLISH
+} = {}) {
+    const config = getDifficultyConfig(difficulty);
+    const lengths = getLengthRange(difficulty, maxLength);
+    const fits = [...new Set(slotLengths.map(length => Math.min(length, lengths.max)))]
+        .filter(length => length >= lengths.min)
+        .sort((a, b) => a - b);
+    const letterRule = alphabet.language === ENGLISH.language ? 'uppercase A-Z letters' : `uppercase letters from ${alphabet.letters}`;
+
+    const wordRules = [];
+    if (alphabet.language !== ENGLISH.language) {
+        wordRules.push(`- Write every answer and clue in ${alphabet.name}`);
+    }
+    if (mustInclude.length > 0) {
+        wordRules.push(`- Include these answers, whatever their length: ${mustInclude.map(entry => entry.phrase || entry.answer).join(', ')}`);
+    }
+    if (exclude.length > 0) {
+        wordRules.push(`- Never use these answers: ${exclude.join(', ')}`);
+    }
+    if (used.length > 0) {
+        wordRules.push(`- Already used, do not repeat: ${used.join(', ')}`);
+    }
+    if (letters.length > 0) {
+        wordRules.push(`- Prefer answers containing these letters, so they cross the grid: ${letters.join(', ')}`);
+    }
+    if (fits.length > 0) {
+        wordRules.push(`- Open slots in the grid take answers of up to these lengths: ${fits.join(', ')}`);
+    }
+
+    return `Generate ${wordCount} ${used.length > 0 ? 'more ' : ''}crossword entries for topic "${topic}".
+Difficulty: ${difficulty.toUpperCase()}
+
+Rules:
+${phrases
+        ? `- Single words or well-known phrases (e.g. "BLACK HOLE"), ${letterRule}, words separated by spaces`
+        : `- One-word answers only, ${letterRule}`}
+- Answer length: ${lengths.min}-${lengths.max} letters, not counting spaces
+- Word type: ${config.wordType}
+- Clue style: ${config.clueStyle}
+- No duplicate answers
+${wordRules.map(rule => `${rule}\n`).join('')}- Output ONLY valid JSON array
+
+Format:
+[{"a":"ANSWER","c":"Clue text"}]`;
+}
+
+/**
+ * Parse the JSON array of {a, c} pairs out of a model response
+ * @param {string} responseText - Raw response (may contain markdown code blocks)
+ * @returns {Array<Object>} Raw entries
+ */
+export function parseEntries(responseText) {
+    const jsonMatch = responseText.match(/\[[\s\S]*?\]/);
+    if (!jsonMatch) {
+        throw new CrosswordError('LLM_INVALID_RESPONSE', 'AI returned invalid format', 502);
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(jsonMatch[0]);
+    } catch (e) {
+        throw new CrosswordError('LLM_INVALID_RESPONSE', 'AI returned malformed JSON', 502);
+    }
+
+    if (!Array.isArray(entries)) {
+        throw new CrosswordError('LLM_INVALID_RESPONSE', 'AI response is not an array', 502);
+    }
+
+    return entries;
+}
+
+/**
+ * Normalise raw {a, c} entries: uppercase answers in the alphabet (phrases
+ * keep their words in `phrase`), length limits, dedupe
+ * @param {Array<Object>} entries - Raw entries
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {Object} [options] - {maxLength, alphabet}: alphabet from createAlphabet(), English by default
+ * @returns {Array<{answer: string, clue: string, phrase?: string}>} Valid unique entries
+ */
+export function normalizeEntries(entries, difficulty, { maxLength, alphabet = ENGLISH } = {}) {
+    const lengths = getLengthRange(difficulty, maxLength);
+
+    const validEntries = entries
+        .filter(e => e?.a && e?.c && typeof e.a === 'string' && typeof e.c === 'string')
+        .map(e => ({
+            ...parseAnswer(e.a, alphabet),
+            clue: e.c.substring(0, 100)
+        }))
+        .filter(e => e.answer.length >= lengths.min && e.answer.length <= lengths.max);
+
+    // Remove duplicates
+    const seen = new Set();
+    return validEntries.filter(e => {
+        if (seen.has(e.answer)) return false;
+        seen.add(e.answer);
+        return true;
+    });
+}
+
+/**
+ * Put the required entries first and drop excluded answers
+ * @param {Array<{answer: string, clue: string}>} entries - Valid unique entries
+ * @param {Object} lists - {mustInclude: [{answer, clue}] (all clued), exclude: [answers]}
+ * @returns {Array<{answer: string, clue: string}>} Required entries, then the others
+ */
+export function applyWordLists(entries, { mustInclude = [], exclude = [] } = {}) {
+    const skip = new Set([...exclude, ...mustInclude.map(entry => entry.answer)]);
+    return [...mustInclude, ...entries.filter(entry => !skip.has(entry.answer))];
+}
+
+/**
+ * Clue required answers that came without one: the model's clue from the
+ * entries response, else a follow-up fill-clue request
+ */
+async function clueRequiredWithModel(mustInclude, rawEntries, difficulty, provider, alphabet) {
+    // Length limits don't apply to required answers, so read their clues from the raw response
+    const modelClues = new Map(rawEntries
+        .filter(e => typeof e?.a === 'string' && typeof e?.c === 'string')
+        .map(e => [parseAnswer(e.a, alphabet).answer, e.c.substring(0, 100)]));
+
+    const unclued = mustInclude.filter(entry => !entry.clue && !modelClues.has(entry.answer)).map(entry => entry.answer);
+    const fillClues = unclued.length > 0 ? await generateFillClues(unclued, difficulty, provider, { alphabet }) : new Map();
+
+    const clued = mustInclude.map(entry => ({
+        ...entry,
+        clue: entry.clue || modelClues.get(entry.answer) || fillClues.get(entry.answer)
+    }));
+    const missing = clued.filter(entry => !entry.clue).map(entry => entry.answer);
+    if (missing.length > 0) {
+        throw new CrosswordError('MISSING_CLUE', `AI did not clue required answers: ${missing.join(', ')}`, 502);
+    }
+    return clued;
+}
+
+/**
+ * Clue required answers offline, from the topic's word bank or the fill dictionary
+ */
+function clueRequiredLocally(mustInclude, topic) {
+    const bankClues = new Map((findWordBank(topic)?.entries || []).map(entry => [entry.answer, entry.clue]));
+    const dictionary = loadDictionary('en');
+
+    const clued = mustInclude.map(entry => ({
+        ...entry,
+        clue: entry.clue || bankClues.get(entry.answer) || dictionary.clues.get(entry.answer)
+    }));
+    const missing = clued.filter(entry => !entry.clue).map(entry => entry.answer);
+    if (missing.length > 0) {
+        throw new CrosswordError('MISSING_CLUE', `Add clues for required answers: ${missing.join(', ')}`, 422);
+    }
+    return clued;
+}
+
+/**
+ * Ask the model for entries and validate its answers against the word lists
+ * @returns {Promise<{entries: Array<{answer, clue}>, validation: {rejected: Array, flagged: Array}}>}
+ */
+async function requestEntries(topic, wordCount, difficulty, provider, {
+    maxLength,
+    mustInclude = [],
+    exclude = [],
+    used = [],
+    letters = [],
+    slotLengths = [],
+    alphabet = ENGLISH
+}) {
+    console.log('📤 Requesting entries:', { provider: provider.name, topic, difficulty, wordCount });
+
+    // Only ask for phrases when validation keeps them
+    const config = readValidationConfig();
+    const phrases = config.phrase !== 'reject';
+    const responseText = await provider.complete(
+        buildPrompt(topic, wordCount, difficulty, { maxLength, mustInclude, exclude, used, letters, slotLengths, phrases, alphabet }),
+        { task: 'entries', topic, wordCount, difficulty, maxLength, mustInclude, exclude, used, language: alphabet.language }
+    );
+    const rawEntries = parseEntries(responseText);
+    const { entries: checked, rejected, flagged } = validateAnswers(rawEntries, { language: alphabet.language, alphabet, config });
+    if (rejected.length > 0) {
+        console.warn('⚠️  Rejected answers:', rejected.map(({ answer, reason }) => `${answer} (${reason})`).join(', '));
+    }
+
+    // Required answers come from the caller, so the word lists don't apply to them
+    const required = await clueRequiredWithModel(mustInclude, rawEntries, difficulty, provider, alphabet);
+    const entries = applyWordLists(normalizeEntries(checked, difficulty, { maxLength, alphabet }), { mustInclude: required, exclude });
+
+    console.log('✅ Valid unique entries:', entries.length);
+    return { entries, validation: { rejected, flagged } };
+}
+
+/**
+ * Generate crossword clues and answers with the configured LLM provider.
+ * Answers that fail dictionary validation are dropped or kept according to
+ * the validation modes (see validation.js).
+ * @param {string} topic - The topic for crossword generation
+ * @param {number} wordCount - Number of words to generate
+ * @param {string} difficulty - Difficulty level: easy, medium, or hard
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @param {Object} [options] - {maxLength, mustInclude, exclude, alphabet}: longest answer the grid can hold,
+ *   required [{answer, clue?}] and excluded answers, and the alphabet from createAlphabet()
+ * @returns {Promise<Array<{answer: string, clue: string}>>} Array of answer/clue pairs, required ones first
+ */
+export async function generateCluesAndAnswers(topic, wordCount = 10, difficulty = 'medium', provider = getDefaultProvider(), options = {}) {
+    const { entries } = await requestEntries(topic, wordCount, difficulty, provider, options);
+    return entries;
+}
+
+/**
+ * Ask the model for replacement entries when too few words survived
+ * validation or layout. Answers already tried are never returned again.
+ * @param {string} topic - Puzzle topic
+ * @param {number} wordCount - Number of new entries to ask for
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @param {Object} [options] - {used: answers already tried, letters: letters that cross the grid well,
+ *   slotLengths: longest answers the grid's open slots take, maxLength, exclude, alphabet}
+ * @returns {Promise<{entries: Array<{answer, clue}>, validation: {rejected: Array, flagged: Array}}>}
+ */
+export async function generateBackfillEntries(topic, wordCount, difficulty = 'medium', provider = getDefaultProvider(), {
+    used = [],
+    letters = [],
+    slotLengths = [],
+    maxLength,
+    exclude = [],
+    alphabet = ENGLISH
+} = {}) {
+    const { entries, validation } = await requestEntries(topic, wordCount, difficulty, provider, {
+        used, letters, slotLengths, maxLength, exclude, alphabet
+    });
+    const seen = new Set(used);
+    return { entries: entries.filter(entry => !seen.has(entry.answer)), validation };
+}
+
+/**
+ * Generate entries from the local word banks
+ * @param {Function} [random] - Seeded random() for picking entries
+ * @param {Object} [options] - {maxLength, mustInclude, exclude}
+ * @returns {Array<{answer: string, clue: string}>} Valid unique entries, required ones first
+ */
+export function generateLocalEntries(topic, wordCount = 10, difficulty = 'medium', random = Math.random, {
+    maxLength,
+    mustInclude = [],
+    exclude = []
+} = {}) {
+    const entries = getWordBankEntries(topic, wordCount, difficulty, undefined, random);
+    if (!entries) {
+        throw new CrosswordError('NO_LOCAL_WORDBANK', `No local word bank for topic "${topic}"`, 422);
+    }
+
+    console.log('📚 Using local word bank for', topic);
+    const required = clueRequiredLocally(mustInclude, topic);
+    return applyWordLists(normalizeEntries(entries, difficulty, { maxLength }), { mustInclude: required, exclude });
+}
+
+/**
+ * Generate entries from the requested source
+ * @param {Object} params - {topic, wordCount, difficulty, source, random, maxLength, mustInclude, exclude, alphabet}
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @returns {Promise<{entries: Array, source: string, validation: {rejected: Array, flagged: Array}}>} Entries,
+ *   the source actually used and the answers that failed validation (local word banks are not validated)
+ */
+export async function generateEntries({
+    topic,
+    wordCount,
+    difficulty,
+    source = 'auto',
+    random,
+    maxLength,
+    mustInclude = [],
+    exclude = [],
+    alphabet = ENGLISH
+}, provider = getDefaultProvider()) {
+    const options = { maxLength, mustInclude, exclude };
+    const local = () => ({
+        entries: generateLocalEntries(topic, wordCount, difficulty, random, options),
+        source: 'local',
+        validation: { rejected: [], flagged: [] }
+    });
+    const hasWordBanks = alphabet.language === WORD_BANK_LANGUAGE;
+
+    if (source === 'local') {
+        if (!hasWordBanks) {
+            throw new CrosswordError('NO_LOCAL_WORDBANK', `Local word banks are only available in ${ENGLISH.name}`, 422);
+        }
+        return local();
+    }
+
+    try {
+        const { entries, validation } = await requestEntries(topic, wordCount, difficulty, provider, { ...options, alphabet });
+        return { entries, source: 'llm', validation };
+    } catch (error) {
+        if (source !== 'auto' || !hasWordBanks) throw error;
+
+        // Offline fallback; keep the LLM error if there is no bank for this topic
+        console.warn('⚠️  LLM generation failed, trying local word bank:', error.message);
+        try {
+            return local();
+        } catch (fallbackError) {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Build the prompt for cluing fill words of a dense grid
+ * @param {string[]} answers - Fill answers
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {Object} [options] - {alphabet}: from createAlphabet(), English by default
+ * @returns {string} Prompt text
+ */
+export function buildFillCluePrompt(answers, difficulty, { alphabet = ENGLISH } = {}) {
+    const config = getDifficultyConfig(difficulty);
+    const languageRule = alphabet.language === ENGLISH.language ? '' : `- Write the clues in ${alphabet.name}\n`;
+
+    return `Write crossword clues for these answers: ${answers.join(', ')}
+Difficulty: ${difficulty.toUpperCase()}
+
+Rules:
+${languageRule}- One clue per answer, keep the answers exactly as given
+- Clue style: ${config.clueStyle}
+- Never use the answer in its own clue
+- Output ONLY valid JSON array
+
+Format:
+[{"a":"ANSWER","c":"Clue text"}]`;
+}
+
+/**
+ * Ask the LLM to clue the dictionary words that fill a dense grid
+ * @param {string[]} answers - Fill answers
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @param {Object} [options] - {alphabet}: from createAlphabet(), English by default
+ * @returns {Promise<Map<string, string>>} Answer -> clue, for the answers the model clued
+ */
+export async function generateFillClues(answers, difficulty = 'medium', provider = getDefaultProvider(), { alphabet = ENGLISH } = {}) {
+    if (answers.length === 0) return new Map();
+    console.log('📤 Requesting fill clues:', { provider: provider.name, count: answers.length });
+
+    const responseText = await provider.complete(
+        buildFillCluePrompt(answers, difficulty, { alphabet }),
+        { task: 'fill-clues', answers, difficulty }
+    );
+
+    const wanted = new Set(answers);
+    return new Map(parseEntries(responseText)
+        .filter(e => typeof e?.a === 'string' && typeof e?.c === 'string')
+        .map(e => [alphabet.normalize(e.a), e.c.substring(0, 100)])
+        .filter(([answer, clue]) => wanted.has(answer) && !clue.normalize('NFC').toUpperCase().includes(answer)));
+}
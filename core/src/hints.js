@@ -0,0 +1,207 @@
+import { getHintLimits } from './config.js';
+import { CrosswordError } from './errors.js';
+import { puzzleAlphabet } from './languages.js';
+import { findClue, getClueIntersections } from './puzzle.js';
+import { createRandom, hashSeed } from './random.js';
+import { getDefaultProvider } from './providers/index.js';
+
+/**
+ * Generate a semantic hint using LLM
+ * Rephrases/expands clue without revealing answer
+ * @param {string} clue - The original clue
+ * @param {string} answer - The answer (used to avoid revealing it)
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @returns {Promise<string>} Semantic hint text
+ */
+export async function generateSemanticHint(clue, answer, provider = getDefaultProvider()) {
+    const prompt = `Given the crossword clue:
+"${clue}"
+
+And the answer:
+"${answer}"
+
+Generate ONE short semantic hint that helps understanding without revealing the answer or obvious synonyms.
+
+Output ONLY the sentence.`;
+
+    try {
+        const response = await provider.complete(prompt, { task: 'semantic-hint', clue, answer });
+
+        // Clean up the response
+        const hintText = response.trim().replace(/^["']|["']$/g, '');
+
+        // Validate hint doesn't contain the answer
+        if (hintText.toUpperCase().includes(answer.toUpperCase())) {
+            return `Consider what "${clue}" might be describing.`;
+        }
+
+        return hintText;
+    } catch (err) {
+        console.error('Semantic hint generation failed:', err.message);
+        return `Think about what "${clue}" could mean.`;
+    }
+}
+
+/**
+ * Strategic letter reveal - reveals a helpful letter
+ * @param {string} answer - Full correct answer
+ * @param {string} userInput - User's current input for this word
+ * @param {number[]} alreadyRevealed - Indices of already revealed letters
+ * @param {Object} intersections - Map of indices that intersect with other words
+ * @param {Function} random - Seeded random(); defaults to Math.random
+ * @returns {Object|null} {index, letter} or null if no valid reveal
+ */
+export function getStrategicLetterReveal(answer, userInput = '', alreadyRevealed = [], intersections = {}, random = Math.random) {
+    // Compare letter by letter, so characters outside the Basic Latin range line up
+    const answerArr = [...answer.normalize('NFC').toUpperCase()];
+    const userArr = [...(userInput || '').normalize('NFC')].map(char => char.toUpperCase());
+    while (userArr.length < answerArr.length) userArr.push(' ');
+
+    // Find indices that are wrong or empty AND not already revealed
+    const candidateIndices = [];
+
+    for (let i = 0; i < answerArr.length; i++) {
+        // Skip if already revealed
+        if (alreadyRevealed.includes(i)) continue;
+
+        // Skip if user already has correct letter
+        if (userArr[i] === answerArr[i]) continue;
+
+        // Skip if adjacent to an already revealed letter (no consecutive reveals)
+        if (alreadyRevealed.includes(i - 1) || alreadyRevealed.includes(i + 1)) continue;
+
+        candidateIndices.push(i);
+    }
+
+    if (candidateIndices.length === 0) {
+        return null; // No valid letters to reveal
+    }
+
+    // Prioritize intersection letters (letters that help other words)
+    const intersectionCandidates = candidateIndices.filter(i => intersections[i]);
+
+    let chosenIndex;
+    if (intersectionCandidates.length > 0) {
+        // Pick a random intersection letter
+        chosenIndex = intersectionCandidates[Math.floor(random() * intersectionCandidates.length)];
+    } else {
+        // Pick a random candidate from non-intersection letters
+        chosenIndex = candidateIndices[Math.floor(random() * candidateIndices.length)];
+    }
+
+    return {
+        index: chosenIndex,
+        letter: answerArr[chosenIndex]
+    };
+}
+
+/**
+ * Check if hint is allowed based on difficulty limits
+ * @param {string} hintType - 'semantic' or 'letter'
+ * @param {string} difficulty - 'easy', 'medium', 'hard'
+ * @param {Object} usage - Current usage counts
+ * @returns {Object} {allowed: boolean, reason: string}
+ */
+export function checkHintAllowed(hintType, difficulty, usage) {
+    const limits = getHintLimits(difficulty);
+
+    if (hintType === 'semantic') {
+        // Check per-clue limit
+        if (limits.semanticPerClue !== -1 && usage.semanticForClue >= limits.semanticPerClue) {
+            return { allowed: false, reason: 'Clue hint limit reached for this clue' };
+        }
+        // Check per-puzzle limit (for hard mode)
+        if (limits.semanticPerPuzzle !== -1 && usage.semanticTotal >= limits.semanticPerPuzzle) {
+            return { allowed: false, reason: 'Clue hint limit reached for this puzzle' };
+        }
+    } else if (hintType === 'letter') {
+        // Check per-clue limit
+        if (limits.letterPerClue !== -1 && usage.letterForClue >= limits.letterPerClue) {
+            return { allowed: false, reason: 'Letter reveal limit reached for this clue' };
+        }
+        // Check per-puzzle limit (for hard mode)
+        if (limits.letterPerPuzzle !== -1 && usage.letterTotal >= limits.letterPerPuzzle) {
+            return { allowed: false, reason: 'Letter reveal limit reached for this puzzle' };
+        }
+    }
+
+    return { allowed: true, penalty: limits.penalty };
+}
+
+/**
+ * Produce a hint for one clue of a stored puzzle
+ * @param {Object} puzzle - Full puzzle (answers included)
+ * @param {Object} request - {hintType, direction, number, userInput, alreadyRevealed, usage}
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @returns {Promise<Object>} {type, hint, penalty[, message]}
+ */
+export async function getHint(puzzle, request = {}, provider = getDefaultProvider()) {
+    const {
+        hintType,           // 'semantic' or 'letter'
+        direction,          // 'across' or 'down'
+        number,             // Clue number
+        userInput,          // Current user input for this word
+        alreadyRevealed,    // Array of indices already revealed
+        usage               // Current usage counts
+    } = request;
+
+    if (!hintType || !['semantic', 'letter'].includes(hintType)) {
+        throw new CrosswordError('INVALID_HINT_TYPE', 'hintType must be "semantic" or "letter"', 400);
+    }
+
+    const clue = findClue(puzzle, direction, number);
+    if (!clue) {
+        throw new CrosswordError('INVALID_CLUE', 'direction and number must identify a clue in this puzzle', 400);
+    }
+
+    const difficulty = puzzle.difficulty?.level || 'medium';
+    const usageData = usage || { semanticForClue: 0, semanticTotal: 0, letterForClue: 0, letterTotal: 0 };
+
+    const check = checkHintAllowed(hintType, difficulty, usageData);
+    if (!check.allowed) {
+        throw new CrosswordError('HINT_LIMIT_REACHED', check.reason, 403);
+    }
+
+    if (hintType === 'semantic') {
+        return {
+            type: 'semantic',
+            hint: await generateSemanticHint(clue.clue, clue.answer, provider),
+            penalty: check.penalty
+        };
+    }
+
+    // Seeded puzzles reveal the same letter for the same clue and progress
+    const random = puzzle.seed === undefined
+        ? Math.random
+        : createRandom(hashSeed(`${puzzle.seed}:${direction}:${number}:${(alreadyRevealed || []).join(',')}`));
+
+    // Typed letters are normalised like checked ones: "é" counts as E in a folded puzzle
+    const alphabet = puzzleAlphabet(puzzle);
+    const answerLetters = [...clue.answer];
+    const typed = [...String(userInput || '')]
+        .map((char, i) => (alphabet.matches(char, answerLetters[i]) ? answerLetters[i] : char))
+        .join('');
+
+    const reveal = getStrategicLetterReveal(
+        clue.answer,
+        typed,
+        alreadyRevealed || [],
+        getClueIntersections(puzzle, clue, direction),
+        random
+    );
+
+    if (!reveal) {
+        return {
+            type: 'letter',
+            hint: null,
+            message: 'No more letters to reveal',
+            penalty: 0
+        };
+    }
+
+    return {
+        type: 'letter',
+        hint: { index: reveal.index, letter: reveal.letter },
+        penalty: check.penalty
+    };
+}
@@ -0,0 +1,70 @@
+import { LANGUAGES } from './config.js';
+import { CrosswordError } from './errors.js';
+
+/*
+ * Alphabets: which letters a puzzle's cells may hold and how raw text
+ * (model answers, user entries, typed letters) maps onto them. Text is
+ * NFC-normalised and uppercased; a letter outside the alphabet is folded
+ * to its base letter (Á -> A) when that is in the alphabet, else dropped.
+ */
+
+// Letters with no Unicode decomposition that still fold to plain letters
+const LIGATURES = { Æ: 'AE', Œ: 'OE', ẞ: 'SS' };
+
+/**
+ * Create the alphabet for a language
+ * @param {string} [language] - Key of LANGUAGES, e.g. 'es'
+ * @param {Object} [options] - {foldAccents}: defaults to the language's own rule
+ * @returns {{language: string, name: string, foldAccents: boolean, letters: string,
+ *   toLetters: Function, normalize: Function, matches: Function}}
+ */
+export function createAlphabet(language = 'en', { foldAccents } = {}) {
+    const config = LANGUAGES[language];
+    if (!config) {
+        throw new CrosswordError('INVALID_LANGUAGE', `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`, 400);
+    }
+
+    const fold = foldAccents ?? config.foldAccents;
+    const letters = fold ? config.letters : config.letters + config.accents;
+    const allowed = new Set(letters);
+
+    // One uppercase character -> the letters it stands for ('' if none)
+    const toLetters = char => {
+        if (allowed.has(char)) return char;
+        const folded = LIGATURES[char] ?? char.normalize('NFD').replace(/\p{M}/gu, '');
+        return folded && [...folded].every(letter => allowed.has(letter)) ? folded : '';
+    };
+
+    return {
+        language,
+        name: config.name,
+        foldAccents: fold,
+        letters,
+        toLetters,
+        // Letters of a text, everything else dropped: "Año nuevo" -> AÑONUEVO
+        normalize: value => [...String(value).normalize('NFC').toUpperCase()].map(toLetters).join(''),
+        // Whether a typed character stands for a grid letter: exactly, or once folded
+        matches(typed, letter) {
+            const upper = String(typed).normalize('NFC').toUpperCase();
+            return upper === letter || [...upper].map(toLetters).join('') === letter;
+        }
+    };
+}
+
+/**
+ * Alphabet a stored puzzle was made with; puzzles without one are English
+ * @param {Object} puzzle - Full or masked puzzle
+ */
+export function puzzleAlphabet(puzzle) {
+    return createAlphabet(puzzle.language?.code ?? 'en', { foldAccents: puzzle.language?.foldAccents });
+}
+
+/**
+ * Language block stored on a puzzle: enough for the browser to accept the
+ * right letters and for checks to normalise typed ones the same way
+ * @param {Object} alphabet - From createAlphabet()
+ * @returns {{code: string, foldAccents: boolean, letters: string}}
+ */
+export function describeAlphabet(alphabet) {
+    return { code: alphabet.language, foldAccents: alphabet.foldAccents, letters: alphabet.letters };
+}
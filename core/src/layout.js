@@ -0,0 +1,593 @@
+import { GENERATION_LIMITS, LAYOUT_LIMITS, LAYOUT_SCORE_WEIGHTS } from './config.js';
+import { CrosswordError } from './errors.js';
+import { shuffle } from './random.js';
+
+/**
+ * Freeform crossword grid: words are placed across/down on a square
+ * working area and cropped to their bounding box by toOutput().
+ * Placements that would grow the bounding box past maxWidth x maxHeight
+ * are rejected.
+ */
+export class CrosswordGrid {
+    constructor(size = 20, { maxWidth = size, maxHeight = size } = {}) {
+        this.size = size;
+        this.maxWidth = maxWidth;
+        this.maxHeight = maxHeight;
+        this.grid = Array(size).fill(null).map(() => Array(size).fill(null));
+        this.placedWords = [];
+        this.bounds = { minRow: size, maxRow: 0, minCol: size, maxCol: 0 };
+    }
+
+    fitsBounds(word, row, col, direction) {
+        const lastRow = direction === 'across' ? row : row + word.length - 1;
+        const lastCol = direction === 'across' ? col + word.length - 1 : col;
+        const { minRow, maxRow, minCol, maxCol } = this.bounds;
+
+        return Math.max(maxCol, lastCol) - Math.min(minCol, col) + 1 <= this.maxWidth &&
+            Math.max(maxRow, lastRow) - Math.min(minRow, row) + 1 <= this.maxHeight;
+    }
+
+    canPlace(word, row, col, direction) {
+        const len = word.length;
+
+        // Check bounds
+        if (row < 0 || col < 0 || row >= this.size || col >= this.size) return false;
+        if (direction === 'across') {
+            if (col + len > this.size) return false;
+        } else {
+            if (row + len > this.size) return false;
+        }
+        if (!this.fitsBounds(word, row, col, direction)) return false;
+
+        // Check each cell
+        for (let i = 0; i < len; i++) {
+            const r = direction === 'across' ? row : row + i;
+            const c = direction === 'across' ? col + i : col;
+            const cell = this.grid[r][c];
+
+            if (cell !== null && cell !== word[i]) {
+                return false; // Conflict
+            }
+        }
+
+        // Check adjacent cells (no parallel words touching)
+        for (let i = 0; i < len; i++) {
+            const r = direction === 'across' ? row : row + i;
+            const c = direction === 'across' ? col + i : col;
+
+            // If this cell is empty, check that we're not creating invalid adjacency
+            if (this.grid[r][c] === null) {
+                if (direction === 'across') {
+                    // Check above and below
+                    if (row > 0 && this.grid[r - 1][c] !== null) {
+                        // Only allow if it's an intersection point
+                        if (i > 0 && this.grid[r][c - 1] === null) return false;
+                    }
+                    if (row < this.size - 1 && this.grid[r + 1][c] !== null) {
+                        if (i > 0 && this.grid[r][c - 1] === null) return false;
+                    }
+                } else {
+                    // Check left and right
+                    if (col > 0 && this.grid[r][c - 1] !== null) {
+                        if (i > 0 && this.grid[r - 1][c] === null) return false;
+                    }
+                    if (col < this.size - 1 && this.grid[r][c + 1] !== null) {
+                        if (i > 0 && this.grid[r - 1][c] === null) return false;
+                    }
+                }
+            }
+        }
+
+        // Check before and after the word
+        if (direction === 'across') {
+            if (col > 0 && this.grid[row][col - 1] !== null) return false;
+            if (col + len < this.size && this.grid[row][col + len] !== null) return false;
+        } else {
+            if (row > 0 && this.grid[row - 1][col] !== null) return false;
+            if (row + len < this.size && this.grid[row + len][col] !== null) return false;
+        }
+
+        return true;
+    }
+
+    place(word, row, col, direction, clue, number) {
+        for (let i = 0; i < word.length; i++) {
+            const r = direction === 'across' ? row : row + i;
+            const c = direction === 'across' ? col + i : col;
+            this.grid[r][c] = word[i];
+        }
+
+        this.bounds = {
+            minRow: Math.min(this.bounds.minRow, row),
+            maxRow: Math.max(this.bounds.maxRow, direction === 'across' ? row : row + word.length - 1),
+            minCol: Math.min(this.bounds.minCol, col),
+            maxCol: Math.max(this.bounds.maxCol, direction === 'across' ? col + word.length - 1 : col)
+        };
+
+        this.placedWords.push({
+            answer: word,
+            clue: clue,
+            row: row,
+            col: col,
+            direction: direction,
+            number: number
+        });
+    }
+
+    findIntersections(word) {
+        const intersections = [];
+
+        for (const placed of this.placedWords) {
+            for (let i = 0; i < word.length; i++) {
+                for (let j = 0; j < placed.answer.length; j++) {
+                    if (word[i] === placed.answer[j]) {
+                        // Found matching letter
+                        const newDirection = placed.direction === 'across' ? 'down' : 'across';
+
+                        let newRow, newCol;
+                        if (placed.direction === 'across') {
+                            newRow = placed.row - i;
+                            newCol = placed.col + j;
+                        } else {
+                            newRow = placed.row + j;
+                            newCol = placed.col - i;
+                        }
+
+                        if (newRow >= 0 && newCol >= 0 && this.canPlace(word, newRow, newCol, newDirection)) {
+                            intersections.push({ row: newRow, col: newCol, direction: newDirection });
+                        }
+                    }
+                }
+            }
+        }
+
+        return intersections;
+    }
+
+    getBounds() {
+        return { ...this.bounds };
+    }
+
+    toOutput() {
+        const bounds = this.getBounds();
+        const width = bounds.maxCol - bounds.minCol + 1;
+        const height = bounds.maxRow - bounds.minRow + 1;
+
+        // Create normalized grid
+        const grid = [];
+        for (let r = bounds.minRow; r <= bounds.maxRow; r++) {
+            const row = [];
+            for (let c = bounds.minCol; c <= bounds.maxCol; c++) {
+                row.push(this.grid[r][c] || '-');
+            }
+            grid.push(row);
+        }
+
+        // Create a map of word start positions
+        const wordStarts = new Map(); // key: "row-col" -> { across: wordInfo, down: wordInfo }
+
+        for (const word of this.placedWords) {
+            const key = `${word.row}-${word.col}`;
+            if (!wordStarts.has(key)) {
+                wordStarts.set(key, {});
+            }
+            wordStarts.get(key)[word.direction] = word;
+        }
+
+        // Assign numbers in reading order (top-to-bottom, left-to-right)
+        const across = [];
+        const down = [];
+        let number = 1;
+        const numberMap = new Map();
+
+        for (let r = bounds.minRow; r <= bounds.maxRow; r++) {
+            for (let c = bounds.minCol; c <= bounds.maxCol; c++) {
+                const key = `${r}-${c}`;
+                const starts = wordStarts.get(key);
+
+                if (starts) {
+                    // This cell starts at least one word
+                    const cellNumber = number++;
+                    numberMap.set(key, cellNumber);
+
+                    // Add across clue if exists
+                    if (starts.across) {
+                        across.push({
+                            number: cellNumber,
+                            clue: starts.across.clue,
+                            answer: starts.across.answer,
+                            x: c - bounds.minCol + 1,
+                            y: r - bounds.minRow + 1
+                        });
+                    }
+
+                    // Add down clue if exists
+                    if (starts.down) {
+                        down.push({
+                            number: cellNumber,
+                            clue: starts.down.clue,
+                            answer: starts.down.answer,
+                            x: c - bounds.minCol + 1,
+                            y: r - bounds.minRow + 1
+                        });
+                    }
+                }
+            }
+        }
+
+        // Sort by number
+        across.sort((a, b) => a.number - b.number);
+        down.sort((a, b) => a.number - b.number);
+
+        const layout = { grid, width, height, across, down };
+        return { ...layout, stats: computeLayoutStats(layout) };
+    }
+}
+
+// Exploring attempts pick among this many of the closest intersections
+const EXPLORE_CHOICES = 3;
+
+/**
+ * Pick the intersection closest to the grid centre (for a compact grid).
+ * Ties are broken by `random` when given, otherwise by discovery order.
+ * When exploring, any of the few closest spots may be picked.
+ */
+function closestIntersection(crossword, intersections, random, explore = false) {
+    const bounds = crossword.getBounds();
+    const centerRow = (bounds.minRow + bounds.maxRow) / 2;
+    const centerCol = (bounds.minCol + bounds.maxCol) / 2;
+    const distance = spot => Math.abs(spot.row - centerRow) + Math.abs(spot.col - centerCol);
+
+    if (explore && random) {
+        const nearest = [...intersections].sort((a, b) => distance(a) - distance(b)).slice(0, EXPLORE_CHOICES);
+        return nearest[Math.floor(random() * nearest.length)];
+    }
+
+    const closest = Math.min(...intersections.map(distance));
+    const candidates = intersections.filter(spot => distance(spot) === closest);
+    return random ? candidates[Math.floor(random() * candidates.length)] : candidates[0];
+}
+
+/**
+ * Lay out entries on a freeform grid
+ * @param {Array<{answer: string, clue: string}>} entries - Answer/clue pairs
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Seeded random() for ordering and tie breaks;
+ *   without it the layout only depends on the entry order
+ * @param {boolean} [options.explore] - Loosen the length ordering and the choice of
+ *   intersection (needs `random`); used by optimizeLayout for varied attempts
+ * @param {boolean} [options.connected] - Only place words that cross the grid, so it
+ *   stays one connected component, backfilling from `spares` instead of force-placing
+ * @param {Array<{answer: string, clue: string}>} [options.spares] - Extra entries for backfilling
+ * @param {number} [options.maxWidth] - Widest grid allowed, in cells
+ * @param {number} [options.maxHeight] - Tallest grid allowed, in cells
+ * @param {string[]} [options.required] - Answers to place before all others
+ * @returns {{grid: string[][], width: number, height: number, across: Array, down: Array,
+ *   stats: Object, unplaced: string[], components: Array<Array<{number, direction}>>}}
+ */
+export function generateCrosswordLayout(entries, {
+    random,
+    explore = false,
+    connected = false,
+    spares = [],
+    maxWidth = LAYOUT_LIMITS.gridSizeMax,
+    maxHeight = LAYOUT_LIMITS.gridSizeMax,
+    required = []
+} = {}) {
+    if (!entries || entries.length < 2) {
+        throw new CrosswordError('INSUFFICIENT_WORDS', 'Not enough words to generate crossword', 422);
+    }
+
+    // Sort by length (longer words first for better placement), required words ahead of the rest;
+    // the sort is stable, so shuffling first varies the order of equal lengths.
+    // Exploring attempts add jitter so similar lengths can swap places.
+    const isRequired = new Set(required);
+    const jitter = new Map(entries.map(entry => [entry, explore && random ? random() * 3 : 0]));
+    const sortedEntries = (random ? shuffle(entries, random) : [...entries])
+        .sort((a, b) => (isRequired.has(b.answer) - isRequired.has(a.answer)) ||
+            (b.answer.length + jitter.get(b)) - (a.answer.length + jitter.get(a)));
+
+    // The working area is twice the largest allowed grid, so a grid
+    // growing in any direction from the centre still fits
+    const crossword = new CrosswordGrid(2 * Math.max(maxWidth, maxHeight), { maxWidth, maxHeight });
+
+    // Place the longest word that fits in the centre: across if it fits the width, else down
+    const firstWord = sortedEntries.find(entry => entry.answer.length <= Math.max(maxWidth, maxHeight));
+    if (!firstWord) {
+        throw new CrosswordError('LAYOUT_FAILED', `No word fits in a ${maxWidth}x${maxHeight} grid`, 422);
+    }
+    const firstDirection = firstWord.answer.length <= maxWidth ? 'across' : 'down';
+    const centre = Math.floor(crossword.size / 2);
+    const startRow = firstDirection === 'across' ? centre : centre - Math.floor(firstWord.answer.length / 2);
+    const startCol = firstDirection === 'across' ? centre - Math.floor(firstWord.answer.length / 2) : centre;
+    crossword.place(firstWord.answer, startRow, startCol, firstDirection, firstWord.clue, 1);
+
+    // Track unplaced words for retry
+    let unplaced = [];
+    let placedCount = 1;
+
+    // First pass: try to place with intersections
+    for (const entry of sortedEntries) {
+        if (entry === firstWord) continue;
+        const intersections = crossword.findIntersections(entry.answer);
+
+        if (intersections.length > 0) {
+            const best = closestIntersection(crossword, intersections, random, explore);
+            crossword.place(entry.answer, best.row, best.col, best.direction, entry.clue, ++placedCount);
+        } else {
+            unplaced.push(entry);
+        }
+    }
+
+    // Second pass: retry unplaced (grid has grown, might find intersections now)
+    const stillUnplaced = [];
+    for (const entry of unplaced) {
+        if (crossword.placedWords.some(w => w.answer === entry.answer)) continue;
+
+        const intersections = crossword.findIntersections(entry.answer);
+        if (intersections.length > 0) {
+            const best = closestIntersection(crossword, intersections, random, explore);
+            crossword.place(entry.answer, best.row, best.col, best.direction, entry.clue, ++placedCount);
+        } else {
+            stillUnplaced.push(entry);
+        }
+    }
+
+    if (connected) {
+        // Connected mode never force-places islands; spare entries that
+        // cross the grid fill the gap left by words that didn't fit
+        for (const entry of spares) {
+            if (crossword.placedWords.length >= entries.length) break;
+            if (crossword.placedWords.some(w => w.answer === entry.answer)) continue;
+
+            const intersections = crossword.findIntersections(entry.answer);
+            if (intersections.length > 0) {
+                const best = closestIntersection(crossword, intersections, random, explore);
+                crossword.place(entry.answer, best.row, best.col, best.direction, entry.clue, ++placedCount);
+            }
+        }
+    } else {
+        // Third pass: force-place remaining words adjacent to grid (not overlapping)
+        for (const entry of stillUnplaced) {
+            if (crossword.placedWords.some(w => w.answer === entry.answer)) continue;
+
+            const bounds = crossword.getBounds();
+
+            // Try to place below the current grid
+            const tryRow = bounds.maxRow + 2;
+            const tryCol = bounds.minCol;
+
+            if (crossword.canPlace(entry.answer, tryRow, tryCol, 'across')) {
+                crossword.place(entry.answer, tryRow, tryCol, 'across', entry.clue, ++placedCount);
+            } else {
+                // Try right of grid
+                const tryRow2 = bounds.minRow;
+                const tryCol2 = bounds.maxCol + 2;
+
+                if (crossword.canPlace(entry.answer, tryRow2, tryCol2, 'down')) {
+                    crossword.place(entry.answer, tryRow2, tryCol2, 'down', entry.clue, ++placedCount);
+                }
+            }
+        }
+    }
+
+    if (crossword.placedWords.length < GENERATION_LIMITS.minWords) {
+        const limited = maxWidth < LAYOUT_LIMITS.gridSizeMax || maxHeight < LAYOUT_LIMITS.gridSizeMax;
+        throw new CrosswordError(
+            'LAYOUT_FAILED',
+            limited ? `Could not place enough words in a ${maxWidth}x${maxHeight} grid` : 'Could not place enough words in crossword',
+            422
+        );
+    }
+
+    const layout = crossword.toOutput();
+    const placedAnswers = new Set(crossword.placedWords.map(w => w.answer));
+    return {
+        ...layout,
+        unplaced: entries.filter(entry => !placedAnswers.has(entry.answer)).map(entry => entry.answer),
+        components: findComponents(layout)
+    };
+}
+
+/**
+ * Words of a layout with the cells they cover, and the cells they share
+ */
+function mapWordCells(layout) {
+    const words = [
+        ...layout.across.map(word => ({ number: word.number, direction: 'across', answer: word.answer, x: word.x, y: word.y, dx: 1, dy: 0 })),
+        ...layout.down.map(word => ({ number: word.number, direction: 'down', answer: word.answer, x: word.x, y: word.y, dx: 0, dy: 1 }))
+    ];
+
+    const wordsByCell = new Map();
+    words.forEach((word, index) => {
+        for (let i = 0; i < word.answer.length; i++) {
+            const cell = `${word.x - 1 + word.dx * i}-${word.y - 1 + word.dy * i}`;
+            if (!wordsByCell.has(cell)) wordsByCell.set(cell, []);
+            wordsByCell.get(cell).push(index);
+        }
+    });
+
+    // Cells shared by two words are crossings; they also link words together
+    const crossings = [...wordsByCell.values()].filter(indices => indices.length > 1);
+    return { words, wordsByCell, crossings };
+}
+
+/**
+ * Shape statistics of a layout, for tracking puzzle quality
+ * @param {Object} layout - {grid, width, height, across, down}
+ * @returns {{placed: number, intersections: number, intersectionsPerWord: number, density: number,
+ *   boundingBox: {width: number, height: number}, answerLengths: {shortest: number, longest: number}}}
+ */
+export function computeLayoutStats(layout) {
+    const { words, wordsByCell, crossings } = mapWordCells(layout);
+    const lengths = words.map(word => word.answer.length);
+
+    return {
+        placed: words.length,
+        intersections: crossings.length,
+        // Every crossing is counted once for each word that passes through it
+        intersectionsPerWord: words.length ? crossings.reduce((sum, indices) => sum + indices.length, 0) / words.length : 0,
+        density: wordsByCell.size / (layout.width * layout.height),
+        boundingBox: { width: layout.width, height: layout.height },
+        // Lengths only: stats are sent to the browser along with the masked puzzle
+        answerLengths: {
+            shortest: lengths.length ? Math.min(...lengths) : 0,
+            longest: lengths.length ? Math.max(...lengths) : 0
+        }
+    };
+}
+
+/**
+ * Groups of words connected through crossings, largest first
+ * @param {Object} layout - Output of generateCrosswordLayout
+ * @returns {Array<Array<{number: number, direction: string}>>} One entry per component
+ */
+export function findComponents(layout) {
+    const { words, crossings } = mapWordCells(layout);
+
+    // Union-find over crossings
+    const parent = words.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    crossings.forEach(([first, ...rest]) => rest.forEach(other => { parent[find(other)] = find(first); }));
+
+    const groups = new Map();
+    words.forEach((word, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push({ number: word.number, direction: word.direction });
+    });
+
+    return [...groups.values()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Validate per-request scoring weights; missing keys use the defaults
+ * @param {Object} [weights] - Partial {words, intersections, density, aspect, connectivity}
+ * @returns {Object} Complete weights
+ */
+export function parseLayoutWeights(weights) {
+    if (weights === undefined || weights === null) return { ...LAYOUT_SCORE_WEIGHTS };
+
+    const invalid = () => new CrosswordError(
+        'INVALID_LAYOUT_WEIGHTS',
+        `layoutWeights must map ${Object.keys(LAYOUT_SCORE_WEIGHTS).join(', ')} to numbers from 0 to ${LAYOUT_LIMITS.maxWeight}`,
+        400
+    );
+
+    if (typeof weights !== 'object' || Array.isArray(weights)) throw invalid();
+
+    const parsed = { ...LAYOUT_SCORE_WEIGHTS };
+    for (const [key, value] of Object.entries(weights)) {
+        if (!(key in LAYOUT_SCORE_WEIGHTS)) throw invalid();
+        if (typeof value !== 'number' || !(value >= 0 && value <= LAYOUT_LIMITS.maxWeight)) throw invalid();
+        parsed[key] = value;
+    }
+    return parsed;
+}
+
+/**
+ * Quality metrics (each 0-1) and weighted score of a layout
+ * @param {Object} layout - Output of generateCrosswordLayout
+ * @param {number} entryCount - Number of entries that were offered
+ * @param {Object} weights - Scoring weights
+ * @param {number} [aspect] - Preferred width / height; the aspect metric is 1 at this ratio
+ * @returns {{score: number, metrics: Object}}
+ */
+export function scoreLayout(layout, entryCount, weights = LAYOUT_SCORE_WEIGHTS, aspect = 1) {
+    const { wordsByCell, crossings } = mapWordCells(layout);
+    const components = layout.components || findComponents(layout);
+    const placed = layout.across.length + layout.down.length;
+
+    const metrics = {
+        words: entryCount ? Math.min(1, placed / entryCount) : 0,
+        intersections: wordsByCell.size ? crossings.length / wordsByCell.size : 0,
+        density: wordsByCell.size / (layout.width * layout.height),
+        aspect: Math.min(layout.width / layout.height, aspect) / Math.max(layout.width / layout.height, aspect),
+        connectivity: placed ? (components[0]?.length || 0) / placed : 0
+    };
+
+    const score = Object.keys(metrics).reduce((sum, key) => sum + (weights[key] || 0) * metrics[key], 0);
+    return { score, metrics };
+}
+
+/**
+ * Run several layout attempts and keep the best-scoring one.
+ * The first attempt is the plain greedy layout; later ones explore.
+ * With a seeded `random`, results are reproducible as long as the attempt
+ * limit (not the time budget) ends the search.
+ * @param {Array<{answer: string, clue: string}>} entries - Answer/clue pairs
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Seeded random(); defaults to Math.random
+ * @param {Object} [options.weights] - Scoring weights
+ * @param {number} [options.attempts] - Maximum attempts
+ * @param {number} [options.timeBudgetMs] - Stop starting new attempts after this long
+ * @param {boolean} [options.connected] - Keep the grid in one connected component
+ * @param {Array} [options.spares] - Extra entries for backfilling in connected mode
+ * @param {number} [options.maxWidth] - Widest grid allowed, in cells
+ * @param {number} [options.maxHeight] - Tallest grid allowed, in cells
+ * @param {number} [options.aspect] - Preferred width / height, used for scoring
+ * @param {string[]} [options.required] - Answers every accepted layout must place
+ * @returns {Object} Best layout plus quality: {score, metrics, attempts}
+ */
+export function optimizeLayout(entries, {
+    random = Math.random,
+    weights = LAYOUT_SCORE_WEIGHTS,
+    attempts = LAYOUT_LIMITS.attempts,
+    timeBudgetMs = LAYOUT_LIMITS.timeBudgetMs,
+    connected = false,
+    spares = [],
+    maxWidth,
+    maxHeight,
+    aspect = 1,
+    required = []
+} = {}) {
+    if (!entries || entries.length < 2) {
+        throw new CrosswordError('INSUFFICIENT_WORDS', 'Not enough words to generate crossword', 422);
+    }
+
+    const started = Date.now();
+    let best = null;
+    let tried = 0;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (attempt > 0 && Date.now() - started > timeBudgetMs) break;
+        tried++;
+
+        let layout;
+        try {
+            layout = generateCrosswordLayout(entries, {
+                random,
+                explore: attempt > 0,
+                connected,
+                spares,
+                maxWidth,
+                maxHeight,
+                required
+            });
+        } catch (error) {
+            if (error.code !== 'LAYOUT_FAILED') throw error;
+            lastError = error;
+            continue;
+        }
+
+        // Layouts that drop a required word are never kept
+        const missing = required.filter(answer => layout.unplaced.includes(answer));
+        if (missing.length > 0) {
+            lastError = new CrosswordError('REQUIRED_WORDS_UNPLACED', `Could not place required words: ${missing.join(', ')}`, 422);
+            continue;
+        }
+
+        const { score, metrics } = scoreLayout(layout, entries.length, weights, aspect);
+        if (!best || score > best.quality.score) {
+            best = { layout, quality: { score, metrics } };
+        }
+    }
+
+    if (!best) throw lastError;
+
+    const placed = best.layout.across.length + best.layout.down.length;
+    console.log(`✅ Placed ${placed}/${entries.length} words`);
+    console.log(`🏆 Best layout score ${best.quality.score.toFixed(2)} after ${tried} attempts`);
+    return { ...best.layout, quality: { ...best.quality, attempts: tried } };
+}
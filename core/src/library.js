@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { LIBRARY_BACKENDS, LIBRARY_LIMITS } from './config.js';
+import { CrosswordError } from './errors.js';
+
+/*
+ * The puzzle library keeps every generated puzzle, answers included, with a
+ * stable ID and the parameters it was generated from, so puzzles can be
+ * replayed and compared later. Every library has the same async interface:
+ *   save(puzzle, params, {id, pinned}) -> entry (the ID is random unless given)
+ *   get(id) -> entry | null
+ *   list({topic, difficulty, limit, offset}) -> {puzzles: summary[], total}
+ *   addResult(id, result) -> true, or false for an unknown ID
+ * where entry is {id, createdAt, params, puzzle, results[, pinned]}; results
+ * are the verified solves shown on leaderboards. Pinned entries (the daily
+ * puzzles) are never dropped to keep the library to its size.
+ */
+
+/**
+ * Listing view of a library entry: enough to pick a puzzle without its grid
+ * @param {Object} entry - {id, createdAt, params, puzzle}
+ */
+export function summarizeEntry({ id, createdAt, params, puzzle }) {
+    return {
+        id,
+        createdAt,
+        title: puzzle.meta.title,
+        topic: params.topic ?? params.title,
+        difficulty: puzzle.difficulty.level,
+        style: puzzle.style ?? 'freeform',
+        language: puzzle.language?.code ?? 'en',
+        source: puzzle.source,
+        seed: puzzle.seed,
+        words: puzzle.clues.across.length + puzzle.clues.down.length,
+        dimensions: puzzle.dimensions
+    };
+}
+
+function createEntry(puzzle, params, { id = crypto.randomUUID(), pinned = false } = {}) {
+    return {
+        id,
+        createdAt: new Date().toISOString(),
+        // The seed actually used, so the same parameters replay the same grid
+        params: { ...params, seed: puzzle.seed },
+        puzzle,
+        results: [],
+        ...(pinned && { pinned })
+    };
+}
+
+/**
+ * IDs of the oldest unpinned entries beyond maxEntries
+ * @param {Array<Object>} entries - Oldest first
+ */
+function overflowIds(entries, maxEntries) {
+    const unpinned = entries.filter(entry => !entry.pinned);
+    return new Set(unpinned.slice(0, Math.max(0, unpinned.length - maxEntries)).map(entry => entry.id));
+}
+
+/**
+ * Add or replace an entry in an oldest-first array, dropping the oldest
+ * unpinned entries beyond maxEntries
+ */
+function storeEntry(entries, entry, maxEntries) {
+    const index = entries.findIndex(existing => existing.id === entry.id);
+    if (index === -1) entries.push(entry);
+    else entries[index] = entry;
+
+    const dropped = overflowIds(entries, maxEntries);
+    entries.splice(0, entries.length, ...entries.filter(existing => !dropped.has(existing.id)));
+}
+
+/**
+ * Newest-first page of the entries matching a topic (case-insensitive) and difficulty
+ */
+function listEntries(entries, { topic, difficulty, limit, offset = 0 }) {
+    const wanted = topic?.trim().toLowerCase();
+    const matching = entries
+        .map(summarizeEntry)
+        .filter(summary => !wanted || String(summary.topic).toLowerCase() === wanted)
+        .filter(summary => !difficulty || summary.difficulty === difficulty)
+        .reverse();
+
+    return { puzzles: matching.slice(offset, offset + limit), total: matching.length };
+}
+
+/**
+ * In-memory library for tests and single-instance servers; lost on restart
+ * @param {Object} options - {maxEntries}
+ */
+export function createMemoryLibrary({ maxEntries = LIBRARY_LIMITS.maxEntries } = {}) {
+    const entries = new Map(); // id -> entry, oldest first
+
+    return {
+        name: 'memory',
+
+        async save(puzzle, params, options) {
+            const entry = createEntry(puzzle, params, options);
+            entries.set(entry.id, entry);
+            overflowIds([...entries.values()], maxEntries).forEach(id => entries.delete(id));
+            return entry;
+        },
+
+        async get(id) {
+            return entries.get(id) ?? null;
+        },
+
+        async list(query) {
+            return listEntries([...entries.values()], query);
+        },
+
+        async addResult(id, result) {
+            const entry = entries.get(id);
+            if (!entry) return false;
+            entry.results.push(result);
+            return true;
+        }
+    };
+}
+
+/**
+ * JSON-file library for local development: the whole library is one file,
+ * read once and rewritten (via a temporary file) on every save, so it is
+ * kept to maxEntries
+ * @param {Object} options - {file, maxEntries}
+ */
+export function createJsonLibrary({ file, maxEntries = LIBRARY_LIMITS.maxEntries }) {
+    let entries = null;
+    let loading = null;
+    let writes = Promise.resolve();
+
+    // Concurrent first calls share one read
+    function load() {
+        loading ??= fs.readFile(file, 'utf-8')
+            .then(data => JSON.parse(data).puzzles || [])
+            .catch(error => {
+                if (error.code !== 'ENOENT') console.error('⚠️  Could not read puzzle library:', error.message);
+                return [];
+            })
+            .then(puzzles => (entries = puzzles));
+        return loading;
+    }
+
+    // Writes finish in order, each writing everything saved before it
+    function write() {
+        writes = writes.catch(() => {}).then(persist);
+        return writes;
+    }
+
+    async function persist() {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify({ puzzles: entries }));
+        await fs.rename(temp, file);
+    }
+
+    return {
+        name: 'json',
+
+        async save(puzzle, params, options) {
+            const entry = createEntry(puzzle, params, options);
+            // Saving under an existing ID replaces that entry
+            storeEntry(await load(), entry, maxEntries);
+            await write();
+            return entry;
+        },
+
+        async get(id) {
+            return (await load()).find(entry => entry.id === id) ?? null;
+        },
+
+        async list(query) {
+            return listEntries(await load(), query);
+        },
+
+        async addResult(id, result) {
+            const entry = (await load()).find(saved => saved.id === id);
+            if (!entry) return false;
+            // Entries saved before results existed have none yet
+            (entry.results ??= []).push(result);
+            await write();
+            return true;
+        }
+    };
+}
+
+/**
+ * Read library configuration from environment variables
+ * @param {Object} env - Defaults to process.env
+ */
+export function readLibraryConfig(env = process.env) {
+    const maxEntries = Number(env.PUZZLE_LIBRARY_MAX);
+    return {
+        backend: env.PUZZLE_LIBRARY ? env.PUZZLE_LIBRARY.toLowerCase() : undefined,
+        file: env.PUZZLE_LIBRARY_FILE || undefined,
+        maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : LIBRARY_LIMITS.maxEntries
+    };
+}
+
+/**
+ * Library described by readLibraryConfig(): null when off
+ * @param {Object} config - {backend, file, maxEntries}; backend defaults to 'off'
+ * @returns {Object|null}
+ */
+export function createPuzzleLibrary({ backend = 'off', file, maxEntries } = {}) {
+    if (!LIBRARY_BACKENDS.includes(backend)) {
+        throw new CrosswordError('INVALID_LIBRARY', `PUZZLE_LIBRARY must be one of: ${LIBRARY_BACKENDS.join(', ')}`, 500);
+    }
+    if (backend === 'json') {
+        if (!file) throw new CrosswordError('INVALID_LIBRARY', 'The json puzzle library needs PUZZLE_LIBRARY_FILE', 500);
+        return createJsonLibrary({ file, maxEntries });
+    }
+    return backend === 'memory' ? createMemoryLibrary({ maxEntries }) : null;
+}
@@ -0,0 +1,252 @@
+import { CrosswordError } from '../errors.js';
+import { measureText, wrapText } from './metrics.js';
+import { renderPdf } from './pdf.js';
+import { renderSvg } from './svg.js';
+
+/*
+ * Printable puzzles. layoutPrintPages() turns a puzzle into pages of
+ * simple drawing items (top-left origin, points):
+ *   {type: 'rect', x, y, width, height, fill}
+ *   {type: 'line', x1, y1, x2, y2}
+ *   {type: 'text', x, y, text, size, bold, anchor}   y is the baseline
+ * and the SVG/PDF renderers draw those items.
+ */
+
+// Paper sizes in points
+export const PAPER_SIZES = {
+    letter: { width: 612, height: 792 },
+    a4: { width: 595.28, height: 841.89 }
+};
+
+export const PRINT_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf },
+    svg: { contentType: 'image/svg+xml', extension: 'svg', render: renderSvg }
+};
+
+export const PRINT_FONT_SIZES = { min: 8, max: 16, default: 10 };
+
+const MARGIN = 36;
+const COLUMN_GAP = 18;
+const MAX_CELL_SIZE = 30;
+
+/**
+ * Validate print query options
+ * @param {Object} query - {format, paper, fontSize, key}
+ * @returns {{format: string, paper: string, fontSize: number, answerKey: boolean}}
+ */
+export function parsePrintOptions(query = {}) {
+    const format = String(query.format || 'pdf').toLowerCase();
+    if (!PRINT_FORMATS[format]) {
+        throw new CrosswordError('INVALID_FORMAT', `Format must be one of: ${Object.keys(PRINT_FORMATS).join(', ')}`, 400);
+    }
+
+    const paper = String(query.paper || 'letter').toLowerCase();
+    if (!PAPER_SIZES[paper]) {
+        throw new CrosswordError('INVALID_PAPER', `Paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}`, 400);
+    }
+
+    const size = parseInt(query.fontSize) || PRINT_FONT_SIZES.default;
+
+    return {
+        format,
+        paper,
+        fontSize: Math.min(Math.max(size, PRINT_FONT_SIZES.min), PRINT_FONT_SIZES.max),
+        answerKey: ['true', '1', 'yes'].includes(String(query.key).toLowerCase())
+    };
+}
+
+// Phrase clues end with their enumeration, e.g. "Star swallower (5,4)"
+function clueText(clue) {
+    return clue.enumeration ? `${clue.clue} (${clue.enumeration})` : clue.clue;
+}
+
+/**
+ * Draw the grid: outlined letter cells with clue numbers, optionally filled in
+ */
+function gridItems(puzzle, left, top, cellSize, showLetters) {
+    const numbers = {};
+    for (const clue of [...puzzle.clues.across, ...puzzle.clues.down]) {
+        numbers[`${clue.x - 1}-${clue.y - 1}`] = clue.number;
+    }
+
+    // Freeform grids are mostly empty space; filling it with black wastes toner
+    const cells = puzzle.grid.flat();
+    const fillBlocks = cells.filter(cell => cell === '-').length <= cells.length / 2;
+
+    const items = [];
+    puzzle.grid.forEach((row, y) => row.forEach((cell, x) => {
+        const cellX = left + x * cellSize;
+        const cellY = top + y * cellSize;
+
+        if (!/^\p{L}$/u.test(cell)) {
+            if (fillBlocks) items.push({ type: 'rect', x: cellX, y: cellY, width: cellSize, height: cellSize, fill: true });
+            return;
+        }
+
+        items.push({ type: 'rect', x: cellX, y: cellY, width: cellSize, height: cellSize, fill: false });
+
+        const number = numbers[`${x}-${y}`];
+        if (number) {
+            const size = Math.max(cellSize * 0.3, 4);
+            items.push({ type: 'text', x: cellX + 1.5, y: cellY + size + 0.5, text: String(number), size, bold: false, anchor: 'start' });
+        }
+        if (showLetters) {
+            items.push({ type: 'text', x: cellX + cellSize / 2, y: cellY + cellSize * 0.78, text: cell, size: cellSize * 0.55, bold: false, anchor: 'middle' });
+        }
+    }));
+    return items;
+}
+
+/**
+ * Page header: title, details line and (on the puzzle page) a name field
+ * @returns {number} y below the header
+ */
+function headerItems(items, title, details, fontSize, pageWidth, withName) {
+    const titleSize = fontSize * 1.8;
+    items.push({ type: 'text', x: MARGIN, y: MARGIN + titleSize, text: title, size: titleSize, bold: true, anchor: 'start' });
+
+    const detailsY = MARGIN + titleSize + fontSize * 1.6;
+    items.push({ type: 'text', x: MARGIN, y: detailsY, text: details, size: fontSize * 0.9, bold: false, anchor: 'start' });
+
+    if (withName) {
+        const label = 'Name:';
+        const lineStart = pageWidth - MARGIN - 160;
+        items.push({ type: 'text', x: lineStart - measureText(label, fontSize) - 4, y: detailsY, text: label, size: fontSize, bold: false, anchor: 'start' });
+        items.push({ type: 'line', x1: lineStart, y1: detailsY + 2, x2: pageWidth - MARGIN, y2: detailsY + 2 });
+    }
+
+    return detailsY + fontSize * 1.5;
+}
+
+/**
+ * Flow headings and numbered entries into two columns, adding pages as needed
+ * @param {Array} blocks - [{heading, newColumn}] or [{number, text}]
+ * @returns {void}
+ */
+function flowColumns(blocks, { pages, startY, fontSize, pageSize }) {
+    const contentWidth = pageSize.width - MARGIN * 2;
+    const columnWidth = (contentWidth - COLUMN_GAP) / 2;
+    const numberWidth = fontSize * 2.2;
+    const lineHeight = fontSize * 1.35;
+    const headingHeight = fontSize * 2;
+    const bottom = pageSize.height - MARGIN;
+
+    let items = pages[pages.length - 1];
+    let column = 0;
+    let top = startY;
+    let y = startY;
+
+    const ensureSpace = height => {
+        if (y + height <= bottom) return;
+        column++;
+        if (column === 2) {
+            items = [];
+            pages.push(items);
+            column = 0;
+            top = MARGIN;
+        }
+        y = top;
+    };
+
+    for (const block of blocks) {
+        if (block.heading) {
+            // Down starts the right-hand column unless Across already spilled into it
+            if (block.newColumn && column === 0 && y > top) {
+                column = 1;
+                y = top;
+            }
+            // Keep a heading together with its first entry
+            ensureSpace(headingHeight + lineHeight);
+            const x = MARGIN + column * (columnWidth + COLUMN_GAP);
+            y += headingHeight;
+            items.push({ type: 'text', x, y: y - fontSize * 0.5, text: block.heading, size: fontSize * 1.2, bold: true, anchor: 'start' });
+            continue;
+        }
+
+        wrapText(block.text, columnWidth - numberWidth, fontSize).forEach((line, i) => {
+            ensureSpace(lineHeight);
+            const x = MARGIN + column * (columnWidth + COLUMN_GAP);
+            y += lineHeight;
+            if (i === 0) {
+                items.push({ type: 'text', x, y, text: String(block.number), size: fontSize, bold: true, anchor: 'start' });
+            }
+            items.push({ type: 'text', x: x + numberWidth, y, text: line, size: fontSize, bold: false, anchor: 'start' });
+        });
+    }
+}
+
+/**
+ * Place the grid below the header, scaled to fit the page
+ * @returns {number} y below the grid
+ */
+function placeGrid(items, puzzle, top, pageSize, heightShare, showLetters) {
+    const { width, height } = puzzle.dimensions;
+    const contentWidth = pageSize.width - MARGIN * 2;
+    const availableHeight = (pageSize.height - MARGIN - top) * heightShare;
+    const cellSize = Math.min(contentWidth / width, availableHeight / height, MAX_CELL_SIZE);
+    const left = MARGIN + (contentWidth - cellSize * width) / 2;
+
+    items.push(...gridItems(puzzle, left, top, cellSize, showLetters));
+    return top + cellSize * height;
+}
+
+/**
+ * Lay out the printable pages for a puzzle
+ * @param {Object} puzzle - Full puzzle (answers included)
+ * @param {Object} options - {paper, fontSize, answerKey}
+ * @returns {{width: number, height: number, pages: Array<Array<Object>>}}
+ */
+export function layoutPrintPages(puzzle, { paper = 'letter', fontSize = PRINT_FONT_SIZES.default, answerKey = false } = {}) {
+    const pageSize = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+    const title = puzzle.meta?.title || 'Crossword';
+    const level = puzzle.difficulty?.level || 'medium';
+    const details = [`Difficulty: ${level.charAt(0).toUpperCase() + level.slice(1)}`, puzzle.meta?.date]
+        .filter(Boolean)
+        .join('  ·  ');
+    const byNumber = (a, b) => a.number - b.number;
+
+    // Puzzle page: blank grid, then Across/Down clues
+    const puzzlePage = [];
+    const pages = [puzzlePage];
+    const gridTop = headerItems(puzzlePage, title, details, fontSize, pageSize.width, true);
+    const gridBottom = placeGrid(puzzlePage, puzzle, gridTop, pageSize, 0.55, false);
+
+    flowColumns([
+        { heading: 'Across' },
+        ...[...puzzle.clues.across].sort(byNumber).map(clue => ({ number: clue.number, text: clueText(clue) })),
+        { heading: 'Down', newColumn: true },
+        ...[...puzzle.clues.down].sort(byNumber).map(clue => ({ number: clue.number, text: clueText(clue) }))
+    ], { pages, startY: gridBottom + fontSize, fontSize, pageSize });
+
+    if (answerKey) {
+        // Answer key always starts on its own page
+        const keyPage = [];
+        pages.push(keyPage);
+        const keyGridTop = headerItems(keyPage, `Answer Key: ${title}`, details, fontSize, pageSize.width, false);
+        const keyGridBottom = placeGrid(keyPage, puzzle, keyGridTop, pageSize, 0.6, true);
+
+        flowColumns([
+            { heading: 'Across' },
+            ...[...puzzle.clues.across].sort(byNumber).map(clue => ({ number: clue.number, text: clue.phrase || clue.answer })),
+            { heading: 'Down', newColumn: true },
+            ...[...puzzle.clues.down].sort(byNumber).map(clue => ({ number: clue.number, text: clue.phrase || clue.answer }))
+        ], { pages, startY: keyGridBottom + fontSize, fontSize, pageSize });
+    }
+
+    return { width: pageSize.width, height: pageSize.height, pages };
+}
+
+/**
+ * Render a puzzle for printing
+ * @param {Object} puzzle - Full puzzle (answers included)
+ * @param {Object} options - Output of parsePrintOptions
+ * @returns {{data: Buffer, contentType: string, extension: string}}
+ */
+export function renderPrintable(puzzle, options) {
+    const format = PRINT_FORMATS[options.format];
+    return {
+        data: format.render(layoutPrintPages(puzzle, options)),
+        contentType: format.contentType,
+        extension: format.extension
+    };
+}
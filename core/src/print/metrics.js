@@ -0,0 +1,65 @@
+/*
+ * Helvetica glyph widths (1/1000 em) for printable ASCII, from the
+ * standard Adobe font metrics. Used to wrap clue text the same way in
+ * the SVG and PDF renderers.
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, // space - /
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, // 0 - ?
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, // @ - O
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, // P - _
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, // ` - o
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584       // p - ~
+];
+
+// Typographic punctuation that shows up in clues
+const EXTRA_WIDTHS = {
+    '‘': 222, '’': 222, '“': 333, '”': 333,
+    '–': 556, '—': 1000, '…': 1000, '•': 350
+};
+
+const DEFAULT_WIDTH = 556;
+
+// Bold glyphs are slightly wider; close enough for line wrapping
+const BOLD_FACTOR = 1.06;
+
+/**
+ * Width of a string set in Helvetica
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Helvetica-Bold
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, bold = false) {
+    let units = 0;
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        units += HELVETICA_WIDTHS[code - 32] ?? EXTRA_WIDTHS[char] ?? DEFAULT_WIDTH;
+    }
+    return units * size / 1000 * (bold ? BOLD_FACTOR : 1);
+}
+
+/**
+ * Greedy word wrap
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size in points
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxWidth, size) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measureText(candidate, size) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+
+    if (line) lines.push(line);
+    return lines.length ? lines : [''];
+}
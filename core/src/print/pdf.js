@@ -0,0 +1,97 @@
+import { CrosswordError } from '../errors.js';
+import { measureText } from './metrics.js';
+
+/*
+ * Minimal PDF 1.4 writer for the print layout: one content stream per
+ * page, drawn with the built-in Helvetica fonts so nothing is embedded.
+ */
+
+// Unicode punctuation -> WinAnsiEncoding byte
+const WIN_ANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const round = value => Number(value.toFixed(2));
+
+/**
+ * Encode text as a PDF literal string in WinAnsiEncoding. The built-in
+ * fonts have no other glyphs, so other text (e.g. Greek) is refused.
+ */
+function pdfString(text) {
+    let encoded = '';
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        if (WIN_ANSI[char]) {
+            encoded += String.fromCharCode(WIN_ANSI[char]);
+        } else if (char === '\\' || char === '(' || char === ')') {
+            encoded += `\\${char}`;
+        } else if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+            encoded += char;
+        } else {
+            throw new CrosswordError('PRINT_FAILED', 'PDF output only supports Latin-1 text; use format=svg for this puzzle', 422);
+        }
+    }
+    return `(${encoded})`;
+}
+
+/**
+ * Content stream for one page (PDF has a bottom-left origin)
+ */
+function pageContent(items, pageHeight) {
+    const ops = ['0 g 0 G 0.75 w'];
+
+    for (const item of items) {
+        if (item.type === 'rect') {
+            const y = pageHeight - item.y - item.height;
+            ops.push(`${round(item.x)} ${round(y)} ${round(item.width)} ${round(item.height)} re ${item.fill ? 'B' : 'S'}`);
+        } else if (item.type === 'line') {
+            ops.push(`${round(item.x1)} ${round(pageHeight - item.y1)} m ${round(item.x2)} ${round(pageHeight - item.y2)} l S`);
+        } else {
+            const x = item.anchor === 'middle' ? item.x - measureText(item.text, item.size, item.bold) / 2 : item.x;
+            const font = item.bold ? 'F2' : 'F1';
+            ops.push(`BT /${font} ${round(item.size)} Tf ${round(x)} ${round(pageHeight - item.y)} Td ${pdfString(item.text)} Tj ET`);
+        }
+    }
+
+    return ops.join('\n');
+}
+
+/**
+ * Render laid-out pages as a PDF document
+ * @param {{width: number, height: number, pages: Array<Array<Object>>}} layout - Output of layoutPrintPages
+ * @returns {Buffer} PDF bytes
+ */
+export function renderPdf({ width, height, pages }) {
+    // Objects 1-4 are fixed; each page adds a page object and its content stream
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    pages.forEach((items, i) => {
+        const content = pageContent(items, height);
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${round(width)} ${round(height)}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+        );
+    });
+
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+    objects.forEach((object, i) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,51 @@
+/*
+ * SVG renderer for the print layout. Pages are stacked vertically in one
+ * document sized in points, so a browser prints one page per paper sheet.
+ */
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+const round = value => Number(value.toFixed(2));
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderItem(item) {
+    if (item.type === 'rect') {
+        const fill = item.fill ? '#000' : 'none';
+        return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}" fill="${fill}" stroke="#000" stroke-width="0.75"/>`;
+    }
+    if (item.type === 'line') {
+        return `<line x1="${round(item.x1)}" y1="${round(item.y1)}" x2="${round(item.x2)}" y2="${round(item.y2)}" stroke="#000" stroke-width="0.75"/>`;
+    }
+    const weight = item.bold ? ' font-weight="bold"' : '';
+    const anchor = item.anchor === 'middle' ? ' text-anchor="middle"' : '';
+    return `<text x="${round(item.x)}" y="${round(item.y)}" font-size="${round(item.size)}"${weight}${anchor}>${escapeXml(item.text)}</text>`;
+}
+
+/**
+ * Render laid-out pages as a single SVG document
+ * @param {{width: number, height: number, pages: Array<Array<Object>>}} layout - Output of layoutPrintPages
+ * @returns {Buffer} UTF-8 SVG
+ */
+export function renderSvg({ width, height, pages }) {
+    const totalHeight = height * pages.length;
+    const body = pages.map((items, i) => [
+        `<g transform="translate(0 ${round(i * height)})">`,
+        `<rect width="${round(width)}" height="${round(height)}" fill="#fff"/>`,
+        ...items.map(renderItem),
+        '</g>'
+    ].join('\n')).join('\n');
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}pt" height="${round(totalHeight)}pt" viewBox="0 0 ${round(width)} ${round(totalHeight)}" font-family="${FONT_FAMILY}">
+${body}
+</svg>
+`;
+    return Buffer.from(svg, 'utf-8');
+}
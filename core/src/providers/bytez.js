@@ -0,0 +1,61 @@
+import { CrosswordError } from '../errors.js';
+
+export const DEFAULT_BYTEZ_MODEL = 'google/gemini-2.5-flash-lite';
+
+/**
+ * Extract text content from a Bytez response - handles various response formats
+ * @param {*} output - Raw `output` from model.run()
+ * @returns {string} Response text
+ */
+export function extractText(output) {
+    if (typeof output === 'string') {
+        return output;
+    }
+    if (Array.isArray(output)) {
+        const last = output[output.length - 1];
+        return last?.content || last?.text || JSON.stringify(output);
+    }
+    if (output?.content) return output.content;
+    if (output?.text) return output.text;
+    if (output?.message?.content) return output.message.content;
+    if (output?.choices?.[0]?.message?.content) return output.choices[0].message.content;
+
+    return JSON.stringify(output);
+}
+
+/**
+ * Bytez-hosted model (default: Gemini 2.5 Flash-Lite)
+ * @param {Object} options - {apiKey, model}
+ */
+export function createBytezProvider({ apiKey, model = DEFAULT_BYTEZ_MODEL } = {}) {
+    // SDK is lazy loaded so routes that never call the LLM don't need a key
+    let bytezModel = null;
+
+    async function getModel() {
+        if (bytezModel) return bytezModel;
+
+        if (!apiKey || apiKey === 'your_api_key_here') {
+            throw new CrosswordError('MISSING_API_KEY', 'Server AI configuration missing', 500);
+        }
+
+        const Bytez = (await import('bytez.js')).default;
+        bytezModel = new Bytez(apiKey).model(model);
+        return bytezModel;
+    }
+
+    return {
+        name: 'bytez',
+        model,
+
+        async complete(prompt) {
+            const { error, output } = await (await getModel()).run([{ role: 'user', content: prompt }]);
+
+            if (error) {
+                console.error('❌ Bytez API error:', error);
+                throw new CrosswordError('LLM_ERROR', 'AI service error', 502);
+            }
+
+            return extractText(output);
+        }
+    };
+}
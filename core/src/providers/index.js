@@ -0,0 +1,61 @@
+import { CrosswordError } from '../errors.js';
+import { createBytezProvider } from './bytez.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAIProvider } from './openai.js';
+
+/*
+ * An LLM provider is { name, model, complete(prompt, context) -> Promise<string> }.
+ * `context` describes the call ({task: 'entries' | 'semantic-hint', ...}) so
+ * the mock provider can answer deterministically; real providers ignore it.
+ */
+
+export const PROVIDERS = ['bytez', 'openai', 'mock'];
+
+/**
+ * Create a provider from explicit configuration
+ * @param {Object} config - {provider, model, apiKey, baseUrl, fixtures}
+ */
+export function createProvider({ provider = 'bytez', model, apiKey, baseUrl, fixtures } = {}) {
+    switch (provider) {
+        case 'bytez':
+            return createBytezProvider({ apiKey, model });
+        case 'openai':
+            return createOpenAIProvider({ apiKey, model, baseUrl });
+        case 'mock':
+            return createMockProvider({ fixtures });
+        default:
+            throw new CrosswordError(
+                'UNKNOWN_LLM_PROVIDER',
+                `LLM provider must be one of: ${PROVIDERS.join(', ')}`,
+                500
+            );
+    }
+}
+
+/**
+ * Read provider configuration from environment variables
+ * @param {Object} env - Defaults to process.env
+ */
+export function readProviderConfig(env = process.env) {
+    const provider = (env.LLM_PROVIDER || 'bytez').toLowerCase();
+
+    return {
+        provider,
+        model: env.LLM_MODEL || undefined,
+        apiKey: provider === 'openai' ? env.OPENAI_API_KEY : env.BYTEZ_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        fixtures: env.MOCK_LLM_FIXTURES || undefined
+    };
+}
+
+let defaultProvider = null;
+
+/**
+ * Provider configured by the environment, created on first use
+ */
+export function getDefaultProvider() {
+    if (!defaultProvider) {
+        defaultProvider = createProvider(readProviderConfig());
+    }
+    return defaultProvider;
+}
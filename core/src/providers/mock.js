@@ -0,0 +1,49 @@
+import fs from 'fs';
+import { getDifficultyConfig } from '../config.js';
+
+const DEFAULT_FIXTURES = new URL('../../fixtures/mock-llm.json', import.meta.url);
+
+/**
+ * Deterministic fixture-backed provider for CI and offline development.
+ * Answers come from a fixture file instead of a model, so the full
+ * generate and hint flow runs with no network or API key.
+ * @param {Object} options - {fixtures: path or parsed fixture object}
+ */
+export function createMockProvider({ fixtures = DEFAULT_FIXTURES } = {}) {
+    const data = typeof fixtures === 'object' && !(fixtures instanceof URL)
+        ? fixtures
+        : JSON.parse(fs.readFileSync(fixtures, 'utf-8'));
+
+    function entriesFor({ topic = '', difficulty = 'medium', wordCount = 10, maxLength = Infinity, mustInclude = [], used = [] }) {
+        const bank = data.topics[topic.toLowerCase()] || data.topics.default;
+        const { wordLengthMin, wordLengthMax } = getDifficultyConfig(difficulty);
+        const longest = Math.min(wordLengthMax, maxLength);
+        const shortest = Math.min(wordLengthMin, longest);
+
+        // Required answers the fixtures know come first and used ones are skipped, like a model following the prompt
+        const required = new Set(mustInclude.map(entry => entry.answer));
+        const skip = new Set(used);
+        return [
+            ...bank.filter(entry => required.has(entry.a)),
+            ...bank.filter(entry => !required.has(entry.a) && !skip.has(entry.a) && entry.a.length >= shortest && entry.a.length <= longest)
+        ].slice(0, wordCount);
+    }
+
+    return {
+        name: 'mock',
+        model: 'fixtures',
+
+        async complete(prompt, context = {}) {
+            if (context.task === 'entries') {
+                return JSON.stringify(entriesFor(context));
+            }
+            if (context.task === 'fill-clues' && data.fillClue) {
+                return JSON.stringify((context.answers || []).map(a => ({ a, c: data.fillClue.replace('{length}', a.length) })));
+            }
+            if (context.task === 'semantic-hint') {
+                return data.hint.replace('{clue}', context.clue || '');
+            }
+            return '';
+        }
+    };
+}
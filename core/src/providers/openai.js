@@ -0,0 +1,58 @@
+import { CrosswordError } from '../errors.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Any OpenAI-compatible chat completions endpoint
+ * (OpenAI, OpenRouter, Ollama, LM Studio, vLLM, ...)
+ * @param {Object} options - {baseUrl, apiKey, model}
+ */
+export function createOpenAIProvider({
+    baseUrl = DEFAULT_OPENAI_BASE_URL,
+    apiKey,
+    model = DEFAULT_OPENAI_MODEL
+} = {}) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+
+        async complete(prompt) {
+            const headers = { 'Content-Type': 'application/json' };
+            // Local servers usually run without a key
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model,
+                        messages: [{ role: 'user', content: prompt }]
+                    })
+                });
+            } catch (error) {
+                console.error('❌ OpenAI-compatible request failed:', error.message);
+                throw new CrosswordError('LLM_ERROR', 'AI service error', 502);
+            }
+
+            if (!response.ok) {
+                console.error('❌ OpenAI-compatible API error:', response.status, await response.text());
+                if (response.status === 401 || response.status === 403) {
+                    throw new CrosswordError('MISSING_API_KEY', 'Server AI configuration missing', 500);
+                }
+                throw new CrosswordError('LLM_ERROR', 'AI service error', 502);
+            }
+
+            const data = await response.json();
+            const content = data?.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new CrosswordError('LLM_INVALID_RESPONSE', 'AI returned invalid format', 502);
+            }
+            return content;
+        }
+    };
+}
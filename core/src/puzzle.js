@@ -0,0 +1,531 @@
+import { buildAmericanLayout } from './american.js';
+import { AMERICAN_LIMITS, GENERATION_LIMITS, getHintLimits } from './config.js';
+import { loadDictionary } from './dictionary.js';
+import { CrosswordError } from './errors.js';
+import { generateBackfillEntries, generateEntries, generateFillClues, normalizeEntries } from './generation.js';
+import { createAlphabet, describeAlphabet, puzzleAlphabet } from './languages.js';
+import { computeLayoutStats, optimizeLayout } from './layout.js';
+import { getDefaultProvider } from './providers/index.js';
+import { createRandom, randomSeed } from './random.js';
+
+// Marker for an open (fillable) cell in a masked grid
+export const OPEN_CELL = '_';
+
+/**
+ * Enumeration of a phrase: word lengths separated by commas, hyphenated
+ * parts by hyphens ("BLACK HOLE" -> "5,4", "T-REX" -> "1-3")
+ * @param {string} phrase - Answer with its word breaks
+ * @returns {string}
+ */
+export function formatEnumeration(phrase) {
+    return phrase.split(' ').map(word => word.split('-').map(part => part.length).join('-')).join(',');
+}
+
+/**
+ * Give placed phrase answers their words back, with an enumeration for the clue
+ */
+function withPhrases(layout, entries) {
+    const phrases = new Map(entries.filter(entry => entry.phrase).map(entry => [entry.answer, entry.phrase]));
+    if (phrases.size === 0) return layout;
+
+    const withPhrase = clue => (phrases.has(clue.answer)
+        ? { ...clue, phrase: phrases.get(clue.answer), enumeration: formatEnumeration(phrases.get(clue.answer)) }
+        : clue);
+    return { ...layout, across: layout.across.map(withPhrase), down: layout.down.map(withPhrase) };
+}
+
+/**
+ * Answer validation results for the stats block. Rejected answers never
+ * reach the grid; flagged ones that did are named by clue, since stats are
+ * sent to the browser with the masked puzzle.
+ */
+function validationStats(layout, { rejected, flagged }) {
+    const reasons = new Map(flagged.map(({ answer, reason }) => [answer, reason]));
+    const flaggedClues = ['across', 'down'].flatMap(direction => layout[direction]
+        .filter(clue => reasons.has(clue.answer))
+        .map(clue => ({ number: clue.number, direction, reason: reasons.get(clue.answer) })));
+
+    return { rejected, flagged: flaggedClues };
+}
+
+/**
+ * Build the full puzzle (answers included) from a layout
+ * @param {Object} layout - Output of generateCrosswordLayout
+ * @param {string} topic - Puzzle topic
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {Object} [counts] - {requested, returned, validation, backfill}: words asked for, words the source
+ *   gave back, the answers that failed validation and the backfill {rounds, added}
+ * @returns {Object} Puzzle in crosswords-js compatible format, with a stats block
+ */
+export function buildPuzzle(layout, topic, difficulty = 'medium', { requested, returned, validation, backfill } = {}) {
+    const { placed, ...layoutStats } = layout.stats || computeLayoutStats(layout);
+
+    return {
+        meta: {
+            title: `${topic.charAt(0).toUpperCase() + topic.slice(1)} Crossword`,
+            author: 'Auto Generator',
+            date: new Date().toISOString().split('T')[0]
+        },
+        dimensions: { width: layout.width, height: layout.height },
+        grid: layout.grid,
+        clues: { across: layout.across, down: layout.down },
+        difficulty: {
+            level: difficulty,
+            hintLimits: { ...getHintLimits(difficulty) }
+        },
+        stats: {
+            words: { requested: requested ?? placed, returned: returned ?? placed, placed },
+            ...layoutStats,
+            attempts: layout.quality?.attempts ?? 1,
+            ...(backfill && { backfill }),
+            ...(validation && { validation: validationStats(layout, validation) })
+        }
+    };
+}
+
+/**
+ * Most common letters in a grid: answers using them have the most places to cross
+ */
+function commonLetters(layout) {
+    const counts = new Map();
+    layout.grid.flat().filter(cell => cell !== '-').forEach(letter => counts.set(letter, (counts.get(letter) || 0) + 1));
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, GENERATION_LIMITS.backfillLetters)
+        .map(([letter]) => letter);
+}
+
+/**
+ * Longest answer that could cross each free letter of a grid, so backfill
+ * asks for lengths that fit. Slots may run past the grid edge as far as
+ * maxWidth/maxHeight allow.
+ */
+function openSlotLengths(layout, { maxWidth, maxHeight }) {
+    const inside = (x, y) => layout.grid[y]?.[x] !== undefined;
+    const letterAt = (x, y) => inside(x, y) && layout.grid[y][x] !== '-';
+    const lengths = new Set();
+
+    const words = [
+        ...layout.across.map(word => ({ ...word, dx: 1, dy: 0 })),
+        ...layout.down.map(word => ({ ...word, dx: 0, dy: 1 }))
+    ];
+    words.forEach(({ answer, x, y, dx, dy }) => {
+        // Crossing words run the other way, and can grow the grid up to its limit
+        const [px, py] = [dy, dx];
+        const room = dx ? (maxHeight ?? Infinity) - layout.height : (maxWidth ?? Infinity) - layout.width;
+
+        for (let i = 0; i < answer.length; i++) {
+            const cx = x - 1 + dx * i;
+            const cy = y - 1 + dy * i;
+            if (letterAt(cx - px, cy - py) || letterAt(cx + px, cy + py)) continue;
+
+            let length = 1;
+            let edge = false;
+            for (const sign of [-1, 1]) {
+                let free = 0;
+                for (let step = 1; ; step++) {
+                    const sx = cx + sign * px * step;
+                    const sy = cy + sign * py * step;
+                    if (!inside(sx, sy)) {
+                        edge = true;
+                        break;
+                    }
+                    // An answer can't end next to a letter, or run alongside one
+                    if (letterAt(sx, sy)) {
+                        free = Math.max(free - 1, 0);
+                        break;
+                    }
+                    if (letterAt(sx - dx, sy - dy) || letterAt(sx + dx, sy + dy)) break;
+                    free++;
+                }
+                length += free;
+            }
+            if (edge) length += Math.max(room, 0);
+            if (length >= 2) lengths.add(length);
+        }
+    });
+
+    return [...lengths].sort((a, b) => a - b);
+}
+
+/**
+ * Unplaced words and components of a freeform layout. With shape limits,
+ * `shape.fits` also tells whether every requested word fit inside them.
+ */
+function layoutDiagnostics(layout, requested, { maxWidth, maxHeight, aspect }) {
+    const diagnostics = { unplaced: layout.unplaced, components: layout.components };
+    if (maxWidth === undefined && maxHeight === undefined && aspect === undefined) return diagnostics;
+
+    const placed = layout.across.length + layout.down.length;
+    if (placed < requested) {
+        console.warn(`⚠️  Only ${placed}/${requested} words fit within ${maxWidth ?? '-'}x${maxHeight ?? '-'}`);
+    }
+    return { ...diagnostics, shape: { maxWidth, maxHeight, aspect, fits: placed >= requested } };
+}
+
+/**
+ * Generate a complete puzzle for a topic: entries -> layout -> puzzle
+ * @param {Object} params - {topic, wordCount, difficulty, source, seed, layoutWeights, connected, style, size,
+ *   maxWidth, maxHeight, aspect, mustInclude, exclude, language, foldAccents}, already validated
+ * @param {Object} provider - LLM provider (defaults to the configured one)
+ * @returns {Promise<Object>} Full puzzle including answers, the seed used, its language, layout quality and diagnostics
+ */
+export async function generatePuzzle({
+    topic,
+    wordCount,
+    difficulty,
+    source,
+    seed = randomSeed(),
+    layoutWeights,
+    connected = true,
+    style = 'freeform',
+    size,
+    maxWidth,
+    maxHeight,
+    aspect,
+    mustInclude = [],
+    exclude = [],
+    language = 'en',
+    foldAccents
+}, provider = getDefaultProvider()) {
+    console.log('🎯 Generating:', { topic, wordCount, difficulty, source, seed, style, language });
+    const alphabet = createAlphabet(language, { foldAccents });
+
+    if (style === 'american') {
+        return generateAmericanPuzzle({ topic, wordCount, difficulty, source, seed, size, mustInclude, exclude, alphabet }, provider);
+    }
+
+    // Request extra words to account for filtering
+    const { entries, source: usedSource, validation } = await generateEntries({
+        topic,
+        wordCount: wordCount + GENERATION_LIMITS.extraWords,
+        difficulty,
+        source,
+        random: createRandom(seed),
+        mustInclude,
+        exclude,
+        alphabet
+    }, provider);
+
+    const required = mustInclude.map(entry => entry.answer);
+    const layOut = pool => {
+        // The layout gets its own stream so (entries, seed) alone reproduces it;
+        // the extra words are spares for backfilling a connected grid.
+        // Required entries come first, so they are never left as spares.
+        const layout = optimizeLayout(pool.slice(0, wordCount), {
+            random: createRandom(seed),
+            weights: layoutWeights,
+            connected,
+            spares: pool.slice(wordCount),
+            maxWidth,
+            maxHeight,
+            aspect,
+            required
+        });
+        return { layout, placed: layout.across.length + layout.down.length };
+    };
+
+    // Lay out, then ask the model for replacements of the words that were
+    // filtered out or could not be placed, until wordCount words are placed
+    // or the backfill rounds run out. Only model entries are backfilled.
+    let pool = entries;
+    let best = null;
+    let lastError = null;
+    let rounds = 0;
+    let added = 0;
+    const used = new Set([...entries.map(entry => entry.answer), ...validation.rejected.map(({ answer }) => answer)]);
+    // With both limits set, no answer can be longer than the grid's longest side
+    const maxLength = maxWidth === undefined || maxHeight === undefined ? undefined : Math.max(maxWidth, maxHeight);
+
+    for (;;) {
+        if (pool.length >= GENERATION_LIMITS.minWords) {
+            try {
+                const attempt = layOut(pool);
+                if (!best || attempt.placed > best.placed) best = attempt;
+            } catch (error) {
+                if (!['LAYOUT_FAILED', 'REQUIRED_WORDS_UNPLACED'].includes(error.code)) throw error;
+                lastError = error;
+            }
+        }
+        if ((best && best.placed >= wordCount) || usedSource !== 'llm' || rounds >= GENERATION_LIMITS.backfillRounds) break;
+
+        rounds++;
+        const placedAnswers = best && new Set([...best.layout.across, ...best.layout.down].map(clue => clue.answer));
+        const keep = placedAnswers
+            ? pool.filter(entry => placedAnswers.has(entry.answer) || required.includes(entry.answer))
+            : pool;
+
+        const { entries: extra, validation: extraValidation } = await generateBackfillEntries(
+            topic,
+            wordCount - keep.length + GENERATION_LIMITS.extraWords,
+            difficulty,
+            provider,
+            {
+                used: [...used],
+                letters: best ? commonLetters(best.layout) : [],
+                slotLengths: best ? openSlotLengths(best.layout, { maxWidth, maxHeight }) : [],
+                maxLength,
+                exclude,
+                alphabet
+            }
+        );
+        console.log(`🔁 Backfill round ${rounds}: ${extra.length} new entries`);
+
+        extra.forEach(entry => used.add(entry.answer));
+        extraValidation.rejected.forEach(({ answer }) => used.add(answer));
+        validation.rejected.push(...extraValidation.rejected);
+        validation.flagged.push(...extraValidation.flagged);
+        added += extra.length;
+        pool = [...keep, ...extra];
+    }
+
+    if (!best && lastError) throw lastError;
+    if (!best) {
+        throw new CrosswordError('INSUFFICIENT_WORDS', 'Could not generate enough valid words for the crossword', 422);
+    }
+
+    const { layout } = best;
+    console.log('✅ Puzzle generated:', layout.across.length, 'across,', layout.down.length, 'down');
+
+    return {
+        ...buildPuzzle(withPhrases(layout, pool), topic, difficulty, {
+            requested: wordCount,
+            returned: entries.length + added,
+            validation,
+            backfill: { rounds, added }
+        }),
+        style: 'freeform',
+        source: usedSource,
+        seed,
+        language: describeAlphabet(alphabet),
+        quality: layout.quality,
+        diagnostics: layoutDiagnostics(layout, wordCount, { maxWidth, maxHeight, aspect })
+    };
+}
+
+/**
+ * Dense American-style puzzle: topic entries are the theme answers, the
+ * dictionary fills every other slot and the LLM clues the fill words
+ */
+async function generateAmericanPuzzle({
+    topic,
+    wordCount,
+    difficulty,
+    source,
+    seed,
+    size = AMERICAN_LIMITS.defaultSize,
+    mustInclude = [],
+    exclude = [],
+    alphabet
+}, provider) {
+    const { entries, source: usedSource, validation } = await generateEntries({
+        topic,
+        wordCount: wordCount + GENERATION_LIMITS.extraWords,
+        difficulty,
+        source,
+        random: createRandom(seed),
+        maxLength: size,
+        mustInclude,
+        exclude,
+        alphabet
+    }, provider);
+
+    // Excluded answers stay out of the dictionary fill too
+    const dictionary = loadDictionary(alphabet.language);
+    const excluded = new Set(exclude);
+    const layout = buildAmericanLayout(entries, {
+        size,
+        random: createRandom(seed),
+        dictionary: exclude.length > 0
+            ? { ...dictionary, entries: dictionary.entries.filter(entry => !excluded.has(entry.answer)) }
+            : dictionary,
+        required: mustInclude.map(entry => entry.answer)
+    });
+
+    // Fill words keep their dictionary clues offline or when the model fails
+    let fillClues = new Map();
+    if (usedSource === 'llm') {
+        try {
+            fillClues = await generateFillClues(layout.fill, difficulty, provider, { alphabet });
+        } catch (error) {
+            console.warn('⚠️  Fill clue generation failed, using dictionary clues:', error.message);
+        }
+    }
+    const withFillClue = clue => (fillClues.has(clue.answer) ? { ...clue, clue: fillClues.get(clue.answer) } : clue);
+    const clued = withPhrases({ ...layout, across: layout.across.map(withFillClue), down: layout.down.map(withFillClue) }, entries);
+
+    return {
+        ...buildPuzzle(clued, topic, difficulty, { requested: wordCount, returned: entries.length, validation }),
+        style: 'american',
+        source: usedSource,
+        seed,
+        language: describeAlphabet(alphabet),
+        quality: layout.quality,
+        // A grid none of the topic's answers fit is still returned, but says so
+        diagnostics: { unplaced: layout.unplaced, components: layout.components, theme: layout.theme }
+    };
+}
+
+/**
+ * Build a puzzle from user-supplied entries, skipping the LLM
+ * @param {Object} params - {title, entries: [{answer, clue}], difficulty, seed, layoutWeights, connected,
+ *   maxWidth, maxHeight, aspect, language, foldAccents}, already validated
+ * @returns {Object} Full puzzle including answers, the seed used, layout quality and diagnostics
+ */
+export function generatePuzzleFromEntries({
+    title,
+    entries,
+    difficulty,
+    seed = randomSeed(),
+    layoutWeights,
+    connected = true,
+    maxWidth,
+    maxHeight,
+    aspect,
+    language = 'en',
+    foldAccents
+}) {
+    console.log('🎯 Generating from entries:', { title, count: entries.length, difficulty, seed, language });
+    const alphabet = createAlphabet(language, { foldAccents });
+
+    // Same normalisation, length limits and dedupe as LLM output
+    const validEntries = normalizeEntries(entries.map(e => ({ a: e.answer, c: e.clue })), difficulty, { alphabet });
+
+    if (validEntries.length < GENERATION_LIMITS.minWords) {
+        throw new CrosswordError('INSUFFICIENT_WORDS', 'Not enough valid entries for the crossword', 422);
+    }
+
+    const layout = optimizeLayout(validEntries, {
+        random: createRandom(seed),
+        weights: layoutWeights,
+        connected,
+        maxWidth,
+        maxHeight,
+        aspect
+    });
+    console.log('✅ Puzzle generated:', layout.across.length, 'across,', layout.down.length, 'down');
+
+    return {
+        ...buildPuzzle(withPhrases(layout, validEntries), title, difficulty, { requested: entries.length, returned: validEntries.length }),
+        style: 'freeform',
+        source: 'custom',
+        seed,
+        language: describeAlphabet(alphabet),
+        quality: layout.quality,
+        diagnostics: layoutDiagnostics(layout, validEntries.length, { maxWidth, maxHeight, aspect })
+    };
+}
+
+/**
+ * Strip the solution from a puzzle so it can be sent to the browser
+ * @param {Object} puzzle - Full puzzle
+ * @param {string} puzzleId - Session id to attach
+ * @returns {Object} Puzzle with masked grid and clues without answers (phrases keep only their enumeration)
+ */
+export function maskPuzzle(puzzle, puzzleId) {
+    const maskClue = ({ answer, phrase, ...clue }) => ({ ...clue, length: answer.length });
+
+    return {
+        ...puzzle,
+        puzzleId,
+        grid: puzzle.grid.map(row => row.map(cell => isLetterCell(cell) ? OPEN_CELL : '-')),
+        clues: {
+            across: puzzle.clues.across.map(maskClue),
+            down: puzzle.clues.down.map(maskClue)
+        }
+    };
+}
+
+/**
+ * Find a clue by direction and number
+ * @returns {Object|undefined} Clue entry including answer
+ */
+export function findClue(puzzle, direction, number) {
+    const list = puzzle.clues[direction] || [];
+    return list.find(clue => clue.number === Number(number));
+}
+
+/**
+ * Grid cells (0-based x/y) covered by a clue
+ */
+export function getClueCells(clue, direction) {
+    return [...clue.answer].map((letter, i) => ({
+        x: clue.x - 1 + (direction === 'across' ? i : 0),
+        y: clue.y - 1 + (direction === 'down' ? i : 0),
+        letter
+    }));
+}
+
+/**
+ * Indices of a clue's letters that are shared with a crossing word
+ * @returns {Object} Map of index -> true, as expected by getStrategicLetterReveal
+ */
+export function getClueIntersections(puzzle, clue, direction) {
+    const crossing = direction === 'across' ? 'down' : 'across';
+    const crossingCells = new Set(
+        puzzle.clues[crossing].flatMap(other =>
+            getClueCells(other, crossing).map(cell => `${cell.x}-${cell.y}`)
+        )
+    );
+
+    const intersections = {};
+    getClueCells(clue, direction).forEach((cell, i) => {
+        if (crossingCells.has(`${cell.x}-${cell.y}`)) intersections[i] = true;
+    });
+    return intersections;
+}
+
+/**
+ * Compare user entries against the solution. Entries are normalised with the
+ * puzzle's alphabet, so "ñ" matches Ñ and, with accent folding, "é" matches E.
+ * @param {Object} puzzle - Full puzzle
+ * @param {Array<{x: number, y: number, value: string}>} cells - User entries (0-based)
+ * @returns {Object} {cells: [{x, y, correct}], solved}
+ */
+export function checkCells(puzzle, cells = []) {
+    const alphabet = puzzleAlphabet(puzzle);
+
+    // One entry per cell (the last one sent), so a correct cell repeated can't stand in for the rest
+    const entries = new Map();
+    cells
+        .filter(cell => Number.isInteger(cell?.x) && Number.isInteger(cell?.y))
+        .filter(cell => isLetterCell(puzzle.grid[cell.y]?.[cell.x]) && cell.value)
+        .forEach(cell => entries.set(`${cell.x}-${cell.y}`, cell));
+
+    const results = [...entries.values()].map(cell => ({
+        x: cell.x,
+        y: cell.y,
+        correct: alphabet.matches(cell.value, puzzle.grid[cell.y][cell.x])
+    }));
+
+    // Solved only when every letter cell is present and correct
+    const letterCount = puzzle.grid.flat().filter(isLetterCell).length;
+    const solved = results.length === letterCount && results.every(r => r.correct);
+
+    return { cells: results, solved };
+}
+
+/**
+ * Solution letters for one clue, or for the whole grid
+ * @param {Object} puzzle - Full puzzle
+ * @param {string} [direction] - 'across' or 'down' to reveal a single clue
+ * @param {number} [number] - Clue number
+ * @returns {Array<{x, y, letter}>|null} Revealed cells, or null if the clue is unknown
+ */
+export function revealCells(puzzle, direction, number) {
+    if (direction) {
+        const clue = findClue(puzzle, direction, number);
+        return clue ? getClueCells(clue, direction) : null;
+    }
+
+    const cells = [];
+    puzzle.grid.forEach((row, y) => row.forEach((cell, x) => {
+        if (isLetterCell(cell)) cells.push({ x, y, letter: cell });
+    }));
+    return cells;
+}
+
+function isLetterCell(cell) {
+    return typeof cell === 'string' && /^\p{L}$/u.test(cell);
+}
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { CrosswordError } from './errors.js';
+
+/*
+ * Seeded randomness. Everything that makes a random choice (layout tie
+ * breaks, word bank picks, letter reveals) takes a `random()` function
+ * with the same contract as Math.random, so a puzzle can be rebuilt
+ * exactly from its entries and seed.
+ */
+
+const MAX_SEED = 0xffffffff;
+
+/**
+ * Mulberry32 PRNG
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} random() returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * FNV-1a hash of a string, for deriving seeds from text
+ * @param {string} text
+ * @returns {number} 32-bit unsigned seed
+ */
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (const char of String(text)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Fresh seed for requests that don't supply one
+ * @returns {number}
+ */
+export function randomSeed() {
+    return crypto.randomInt(0, MAX_SEED + 1);
+}
+
+/**
+ * Validate a seed from a request: an integer in [0, 2^32) or a string,
+ * which is hashed so "my-quiz" always gives the same puzzle
+ * @param {number|string|undefined} value
+ * @returns {number|undefined} Normalised seed, or undefined when absent
+ */
+export function parseSeed(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+    if (Number.isInteger(number) && number >= 0 && number <= MAX_SEED) {
+        return number;
+    }
+    if (typeof value === 'string' && value.length <= 100) {
+        return hashSeed(value);
+    }
+
+    throw new CrosswordError('INVALID_SEED', 'Seed must be an integer between 0 and 4294967295 or a short string', 400);
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ * @param {Array} items
+ * @param {Function} random - Math.random-compatible source
+ * @returns {Array}
+ */
+export function shuffle(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
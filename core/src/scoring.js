@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { SCORING } from './config.js';
+import { CrosswordError } from './errors.js';
+
+/*
+ * Scores are worked out on the server from a solve log that records the time
+ * spent solving and every hint, check and reveal. The clock runs from the
+ * start and stops while the player has the puzzle paused. The log is part of the
+ * puzzle session itself, so it lives wherever the session store keeps the
+ * puzzle and any instance that can open the session can score it.
+ */
+
+/**
+ * Solve log for a new session
+ * @param {number} [now] - When solving starts
+ * @returns {Object} {sessionId, startedAt, activeMs, runningSince, hints, checks, incorrect, reveals,
+ *   revealedAll, submitted} where hints also holds per-clue counts and revealed letter indices in `byClue`
+ *   and runningSince is null while paused
+ */
+export function startSolve(now = Date.now()) {
+    return {
+        // Stays the same when a token store hands out a new puzzleId for each update
+        sessionId: crypto.randomUUID(),
+        startedAt: now,
+        // Time solved before the latest pause; the clock has run since runningSince
+        activeMs: 0,
+        runningSince: now,
+        hints: { semantic: 0, letter: 0, penalty: 0, byClue: {} },
+        checks: 0,
+        incorrect: 0,
+        reveals: 0,
+        revealedAll: false,
+        submitted: false
+    };
+}
+
+function clueHints(log, clue) {
+    return log.hints.byClue?.[clue] ?? { semantic: 0, letter: 0, revealed: [] };
+}
+
+/**
+ * Hint usage for one clue, counted from the solve log, in the shape getHint takes
+ * @param {Object} log - Solve log
+ * @param {string} clue - Clue ID, e.g. "across-1"
+ * @returns {{usage: Object, alreadyRevealed: number[]}}
+ */
+export function hintUsageFromLog(log, clue) {
+    const used = clueHints(log, clue);
+    return {
+        usage: {
+            semanticForClue: used.semantic,
+            semanticTotal: log.hints.semantic,
+            letterForClue: used.letter,
+            letterTotal: log.hints.letter
+        },
+        alreadyRevealed: used.revealed
+    };
+}
+
+/**
+ * Apply one event to a solve log
+ * @param {Object} log
+ * @param {Object} event - {type: 'hint', hintType, penalty, clue, index?} | {type: 'check', incorrect}
+ *   | {type: 'reveal', all} | {type: 'submit'} | {type: 'pause', at} | {type: 'resume', at}
+ * @returns {Object} The updated copy of the log
+ */
+export function applySolveEvent(log, event) {
+    const next = { ...log, hints: { ...log.hints } };
+    switch (event.type) {
+        case 'hint': {
+            const used = clueHints(log, event.clue);
+            next.hints.byClue = {
+                ...next.hints.byClue,
+                [event.clue]: {
+                    ...used,
+                    [event.hintType]: used[event.hintType] + 1,
+                    revealed: event.index === undefined ? used.revealed : [...used.revealed, event.index]
+                }
+            };
+            next.hints[event.hintType]++;
+            next.hints.penalty += event.penalty;
+            break;
+        }
+        case 'check':
+            next.checks++;
+            next.incorrect += event.incorrect;
+            break;
+        case 'reveal':
+            if (event.all) next.revealedAll = true;
+            else next.reveals++;
+            break;
+        case 'submit':
+            next.submitted = true;
+            break;
+        case 'pause':
+            if (next.runningSince !== null) {
+                next.activeMs += Math.max(0, event.at - next.runningSince);
+                next.runningSince = null;
+            }
+            break;
+        case 'resume':
+            if (next.runningSince === null) next.runningSince = event.at;
+            break;
+    }
+    return next;
+}
+
+/**
+ * Time spent solving, not counting paused time
+ * @param {Object} log - Solve log
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function solveElapsedMs(log, now = Date.now()) {
+    return log.activeMs + (log.runningSince === null ? 0 : Math.max(0, now - log.runningSince));
+}
+
+/**
+ * Score a solved puzzle from its solve log
+ * @param {Object} puzzle - Full puzzle
+ * @param {Object} log - Solve log
+ * @param {number} [now] - Time of the submission
+ * @returns {{score: number, elapsedMs: number, ranked: boolean, breakdown: Array<{item: string, count?: number, points: number}>}}
+ */
+export function computeScore(puzzle, log, now = Date.now()) {
+    const difficulty = puzzle.difficulty?.level || 'medium';
+    const words = puzzle.clues.across.length + puzzle.clues.down.length;
+    const elapsedMs = solveElapsedMs(log, now);
+
+    const parSeconds = words * (SCORING.parSecondsPerWord[difficulty] ?? SCORING.parSecondsPerWord.medium);
+    const minutesOver = Math.max(0, Math.ceil((elapsedMs / 1000 - parSeconds) / 60));
+
+    // Deductions are negative points; `|| 0` keeps -0 out of the breakdown
+    const deduct = points => -points || 0;
+    const breakdown = [
+        { item: 'base', points: SCORING.base },
+        { item: 'hints', count: log.hints.semantic + log.hints.letter, points: deduct(log.hints.penalty) },
+        { item: 'checks', count: log.checks, points: deduct(log.checks * SCORING.checkPenalty) },
+        { item: 'incorrect', count: log.incorrect, points: deduct(log.incorrect * SCORING.incorrectPenalty) },
+        { item: 'reveals', count: log.reveals, points: deduct(log.reveals * SCORING.revealCluePenalty) },
+        { item: 'time', count: minutesOver, points: deduct(Math.min(minutesOver * SCORING.pointsPerMinuteOver, SCORING.timePenaltyMax)) }
+    ];
+
+    if (log.revealedAll) {
+        return { score: 0, elapsedMs, ranked: false, breakdown: [...breakdown, { item: 'revealAll', points: deduct(SCORING.base) }] };
+    }
+
+    const total = breakdown.reduce((sum, { points }) => sum + points, 0);
+    return { score: Math.max(0, total), elapsedMs, ranked: true, breakdown };
+}
+
+/**
+ * Validate the name shown on leaderboards
+ * @param {string|undefined} name
+ * @returns {string}
+ */
+export function parsePlayerName(name) {
+    if (name === undefined || name === null || name === '') return 'Anonymous';
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > SCORING.nameLengthMax) {
+        throw new CrosswordError('INVALID_NAME', `name must be 1 to ${SCORING.nameLengthMax} characters`, 400);
+    }
+    return name.trim();
+}
+
+/**
+ * Best results first: highest score, then fastest, then earliest
+ * @param {Array<{name, score, elapsedMs, submittedAt}>} results
+ * @returns {Array<Object>} Results with their 1-based rank
+ */
+export function rankResults(results) {
+    return [...results]
+        .sort((a, b) => b.score - a.score || a.elapsedMs - b.elapsedMs || a.submittedAt.localeCompare(b.submittedAt))
+        .map((result, i) => ({ rank: i + 1, ...result }));
+}
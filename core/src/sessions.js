@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { CrosswordError } from './errors.js';
+
+/*
+ * Puzzle session stores keep the full puzzle (answers included) out of the
+ * browser. Every store has the same async interface:
+ *   save(puzzle) -> puzzleId
+ *   load(puzzleId) -> puzzle | null
+ *   update(puzzleId, puzzle) -> puzzleId (may be a new id)
+ * Stores that set `replayable` can still open a session as it was before an
+ * update, so the sessions they hold are never ranked.
+ */
+
+/**
+ * In-memory store for long-running servers (Express)
+ * @param {Object} options - {ttlHours}
+ */
+export function createMemoryStore({ ttlHours = 24 } = {}) {
+    const ttlMs = ttlHours * 60 * 60 * 1000;
+    const sessions = new Map(); // puzzleId -> { puzzle, updatedAt }
+
+    // Sessions expire ttlHours after they were last saved or updated
+    function pruneExpired() {
+        const now = Date.now();
+        for (const [id, session] of sessions) {
+            if (now - session.updatedAt > ttlMs) sessions.delete(id);
+        }
+    }
+
+    return {
+        async save(puzzle) {
+            pruneExpired();
+            const puzzleId = crypto.randomUUID();
+            sessions.set(puzzleId, { puzzle, updatedAt: Date.now() });
+            return puzzleId;
+        },
+
+        async load(puzzleId) {
+            const session = sessions.get(puzzleId);
+            if (!session) return null;
+
+            if (Date.now() - session.updatedAt > ttlMs) {
+                sessions.delete(puzzleId);
+                return null;
+            }
+            return session.puzzle;
+        },
+
+        async update(puzzleId, puzzle) {
+            const session = sessions.get(puzzleId);
+            if (!session) {
+                throw new CrosswordError('PUZZLE_NOT_FOUND', 'Puzzle not found or expired', 404);
+            }
+            // The session keeps its ID, and stays while it is being played
+            session.puzzle = puzzle;
+            session.updatedAt = Date.now();
+            return puzzleId;
+        }
+    };
+}
+
+/**
+ * Stateless store for serverless deployments (Vercel).
+ * The puzzleId is the puzzle itself, compressed and encrypted with
+ * AES-256-GCM, so any instance holding the secret can open it. Every
+ * update is a new token and earlier tokens keep working.
+ * @param {Object} options - {secret}
+ */
+export function createTokenStore({ secret } = {}) {
+    function getKey() {
+        if (!secret) {
+            throw new CrosswordError('MISSING_PUZZLE_SECRET', 'Server puzzle configuration missing', 500);
+        }
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    async function save(puzzle) {
+        // Rows as strings compress much better than nested arrays
+        const payload = zlib.deflateRawSync(JSON.stringify({
+            ...puzzle,
+            grid: puzzle.grid.map(row => row.join(''))
+        }));
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+    }
+
+    return {
+        replayable: true,
+
+        save,
+
+        async load(puzzleId) {
+            if (!puzzleId || typeof puzzleId !== 'string') return null;
+            const key = getKey();
+
+            try {
+                const raw = Buffer.from(puzzleId, 'base64url');
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+                decipher.setAuthTag(raw.subarray(12, 28));
+                const payload = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+
+                const puzzle = JSON.parse(zlib.inflateRawSync(payload).toString('utf-8'));
+                return { ...puzzle, grid: puzzle.grid.map(row => row.split('')) };
+            } catch (error) {
+                return null; // Invalid or tampered token
+            }
+        },
+
+        async update(puzzleId, puzzle) {
+            return save(puzzle);
+        }
+    };
+}
@@ -0,0 +1,141 @@
+import { LANGUAGES, VALIDATION_MODES, WORD_BANK_LANGUAGE } from './config.js';
+import { loadDictionary, loadWordList } from './dictionary.js';
+import { CrosswordError } from './errors.js';
+import { createAlphabet } from './languages.js';
+import { loadWordBanks } from './wordbanks.js';
+
+/*
+ * Answer validation: model answers are checked against the local word lists
+ * before they reach the grid. Two checks, each with its own mode:
+ *   phrase       - the answer is a multi-word phrase ("BLACK HOLE"); phrases are
+ *                  kept with their enumeration unless this check is turned on
+ *   unknown-word - the answer, or a word of a phrase, is not in the word list,
+ *                  fill dictionary or word banks
+ * Allowlisted answers (proper nouns) pass both checks. Without a word list
+ * for the language, unknown words can't be judged and are not checked.
+ */
+
+// Endings tried when an answer is not in the word list itself
+const INFLECTIONS = ['S', 'ES', 'ED', 'D', 'ING', 'ER', 'ERS', 'LY'];
+
+const ENGLISH = createAlphabet('en');
+
+/**
+ * Split a raw answer into grid letters and, for phrases, the words they came
+ * from: "Black hole" -> {answer: 'BLACKHOLE', phrase: 'BLACK HOLE'}. Spaces
+ * and hyphens are word breaks; other characters outside the alphabet are dropped.
+ * @param {string} value - Raw answer
+ * @param {Object} [alphabet] - From createAlphabet(); defaults to English
+ * @returns {{answer: string, phrase?: string}} `phrase` only for multi-word answers
+ */
+export function parseAnswer(value, alphabet = ENGLISH) {
+    const phrase = [...String(value).normalize('NFC').toUpperCase()]
+        .map(char => (/[\s-]/.test(char) ? char : alphabet.toLetters(char)))
+        .join('')
+        .replace(/\s*-[\s-]*/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s-]+|[\s-]+$/g, '');
+    const answer = phrase.replace(/[\s-]/g, '');
+
+    return phrase === answer ? { answer } : { answer, phrase };
+}
+
+/**
+ * Read validation modes from environment variables
+ * @param {Object} env - Defaults to process.env
+ * @returns {{phrase: string, unknownWord: string, allow: string[]}}
+ */
+export function readValidationConfig(env = process.env) {
+    const mode = (name, fallback) => {
+        const value = (env[name] || fallback).toLowerCase();
+        if (!VALIDATION_MODES.includes(value)) {
+            throw new CrosswordError('INVALID_VALIDATION_MODE', `${name} must be one of: ${VALIDATION_MODES.join(', ')}`, 500);
+        }
+        return value;
+    };
+
+    return {
+        phrase: mode('PHRASE_ANSWERS', 'off'),
+        unknownWord: mode('UNKNOWN_ANSWERS', 'flag'),
+        allow: (env.ALLOWED_ANSWERS || '').split(',').map(answer => answer.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Everything that counts as a word for a language
+ */
+function knownWords(language, alphabet) {
+    const words = loadWordList(`${language}.words`);
+    if (words.size === 0) return null;
+
+    const bankAnswers = language === WORD_BANK_LANGUAGE
+        ? loadWordBanks().flatMap(bank => bank.entries.map(entry => entry.answer))
+        : [];
+    return new Set([
+        ...words,
+        ...loadDictionary(language).entries.map(entry => entry.answer),
+        ...bankAnswers
+    ].map(alphabet.normalize));
+}
+
+/**
+ * Whether an answer is a known word or a regular inflection of one
+ * (PLANETS, ORBITED, BAKING, RUNNING)
+ */
+function isKnownWord(answer, known) {
+    if (known.has(answer)) return true;
+
+    return INFLECTIONS.some(ending => {
+        if (!answer.endsWith(ending)) return false;
+        const stem = answer.slice(0, -ending.length);
+        if (stem.length < 3) return false;
+
+        const doubled = stem.length > 3 && stem.at(-1) === stem.at(-2) ? stem.slice(0, -1) : null;
+        return known.has(stem) || known.has(`${stem}E`) || (doubled !== null && known.has(doubled));
+    });
+}
+
+/**
+ * Check raw model answers against the word lists
+ * @param {Array<Object>} rawEntries - Raw {a, c} entries
+ * @param {Object} [options]
+ * @param {string} [options.language] - Word list language
+ * @param {Object} [options.alphabet] - From createAlphabet(); defaults to the language's own
+ * @param {Object} [options.config] - Modes from readValidationConfig()
+ * @returns {{entries: Array<Object>, rejected: Array<{answer, reason}>, flagged: Array<{answer, reason}>}}
+ *   Raw entries that were kept (including flagged ones) and the answers that failed a check
+ */
+export function validateAnswers(rawEntries, {
+    language = 'en',
+    alphabet = LANGUAGES[language] ? createAlphabet(language) : ENGLISH,
+    config = readValidationConfig()
+} = {}) {
+    const known = config.unknownWord === 'off' ? null : knownWords(language, alphabet);
+    const allowed = new Set([...loadWordList(`${language}.allow`), ...config.allow].map(alphabet.normalize));
+
+    const check = raw => {
+        const { answer, phrase } = parseAnswer(raw, alphabet);
+        if (allowed.has(answer)) return null;
+        if (config.phrase !== 'off' && phrase) return 'phrase';
+        const words = phrase ? phrase.split(/[ -]/) : [answer];
+        if (known && !words.every(word => allowed.has(word) || isKnownWord(word, known))) return 'unknown-word';
+        return null;
+    };
+    const modeFor = reason => (reason === 'phrase' ? config.phrase : config.unknownWord);
+
+    const entries = [];
+    const rejected = [];
+    const flagged = [];
+    for (const entry of rawEntries) {
+        const answer = typeof entry?.a === 'string' ? parseAnswer(entry.a, alphabet).answer : '';
+        const reason = answer ? check(entry.a) : null;
+        if (reason && modeFor(reason) === 'reject') {
+            rejected.push({ answer, reason });
+            continue;
+        }
+        if (reason) flagged.push({ answer, reason });
+        entries.push(entry);
+    }
+
+    return { entries, rejected, flagged };
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shuffle } from './random.js';
+
+const DEFAULT_WORDBANK_DIR = fileURLToPath(new URL('../wordbanks', import.meta.url));
+
+/*
+ * Word banks are curated offline entry sources, one JSON file per topic:
+ *   { "topic": "Sports", "aliases": ["sport"],
+ *     "entries": [{ "answer": "GOAL", "clue": "...", "difficulty": ["easy"] }] }
+ */
+
+// Banks are read from disk once per directory
+const bankCache = new Map();
+
+function normalizeTopic(topic) {
+    return topic.toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Load every word bank in a directory
+ * @param {string} dir - Defaults to WORDBANK_DIR or core/wordbanks
+ * @returns {Array<Object>} Word banks
+ */
+export function loadWordBanks(dir = process.env.WORDBANK_DIR || DEFAULT_WORDBANK_DIR) {
+    if (bankCache.has(dir)) return bankCache.get(dir);
+
+    let banks = [];
+    try {
+        banks = fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+    } catch (error) {
+        console.error('⚠️  Could not load word banks:', error.message);
+    }
+
+    bankCache.set(dir, banks);
+    return banks;
+}
+
+/**
+ * Topics that have a local word bank
+ * @returns {string[]}
+ */
+export function listWordBankTopics(dir) {
+    return loadWordBanks(dir).map(bank => bank.topic);
+}
+
+/**
+ * Find the word bank for a topic by name or alias
+ * (exact match first, then a bank name/alias contained in the topic)
+ * @param {string} topic - Requested topic
+ * @returns {Object|null} Word bank
+ */
+export function findWordBank(topic, dir) {
+    const wanted = normalizeTopic(topic);
+    const banks = loadWordBanks(dir);
+    const names = bank => [bank.topic, ...(bank.aliases || [])].map(normalizeTopic);
+
+    return banks.find(bank => names(bank).includes(wanted))
+        || banks.find(bank => names(bank).some(name => ` ${wanted} `.includes(` ${name} `)))
+        || null;
+}
+
+/**
+ * Pick entries for a topic and difficulty from the local banks
+ * @param {string} topic - Requested topic
+ * @param {number} wordCount - Maximum number of entries
+ * @param {string} difficulty - easy, medium, or hard
+ * @param {string} [dir] - Word bank directory
+ * @param {Function} [random] - Seeded random(); defaults to Math.random
+ * @returns {Array<{a: string, c: string}>|null} Raw entries (same shape as LLM output), or null without a bank
+ */
+export function getWordBankEntries(topic, wordCount, difficulty, dir, random = Math.random) {
+    const bank = findWordBank(topic, dir);
+    if (!bank) return null;
+
+    // Shuffle so repeated requests give different puzzles
+    const candidates = shuffle(bank.entries.filter(entry => entry.difficulty.includes(difficulty)), random);
+
+    return candidates.slice(0, wordCount).map(entry => ({ a: entry.answer, c: entry.clue }));
+}
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    AMERICAN_TEMPLATES,
+    isSymmetric,
+    findSlots,
+    fillPattern,
+    buildAmericanLayout,
+    generatePuzzle,
+    createMockProvider,
+    createRandom,
+    loadDictionary
+} from '../../index.js';
+
+describe('american', () => {
+    const dictionary = loadDictionary('en');
+    const words = dictionary.entries.map(entry => entry.answer);
+
+    it('should only use symmetric templates where every cell is checked', () => {
+        for (const templates of Object.values(AMERICAN_TEMPLATES)) {
+            for (const pattern of templates) {
+                assert.ok(isSymmetric(pattern), `${pattern.join('/')} should be symmetric`);
+
+                const slots = findSlots(pattern);
+                slots.forEach(slot => assert.ok(slot.cells.length >= 3));
+
+                // Every open cell sits in one across and one down slot
+                pattern.forEach((row, r) => [...row].forEach((cell, c) => {
+                    if (cell === '#') return;
+                    const covering = slots.filter(slot => slot.cells.some(([sr, sc]) => sr === r && sc === c));
+                    assert.deepStrictEqual(covering.map(slot => slot.direction).sort(), ['across', 'down']);
+                }));
+            }
+        }
+    });
+
+    it('should fill every slot with a distinct word', () => {
+        const pattern = AMERICAN_TEMPLATES[5][1];
+        const slot = findSlots(pattern).findIndex(({ cells }) => cells.length === 5);
+        const filled = fillPattern(pattern, { words, fixed: [{ slot, answer: 'ORBIT' }], random: createRandom(3) });
+        const known = new Set([...words, 'ORBIT']);
+
+        assert.ok(filled, 'Pattern should be fillable');
+        assert.strictEqual(filled.answers[slot], 'ORBIT');
+        assert.strictEqual(new Set(filled.answers).size, filled.answers.length);
+        filled.slots.forEach((slot, s) => {
+            const letters = slot.cells.map(([r, c]) => filled.grid[r][c]).join('');
+            assert.strictEqual(letters, filled.answers[s]);
+            assert.ok(known.has(letters), `${letters} should be a word`);
+        });
+    });
+
+    it('should give up when the budget runs out', () => {
+        assert.strictEqual(fillPattern(AMERICAN_TEMPLATES[5][0], { words: ['CAT', 'DOG'], maxSteps: 10 }), null);
+    });
+
+    it('should build a numbered layout around theme entries', () => {
+        const theme = [{ answer: 'ORBIT', clue: 'Path around a planet' }, { answer: 'NEBULA', clue: 'Too long for a mini' }];
+        const layout = buildAmericanLayout(theme, { size: 5, random: createRandom(11) });
+        const clues = [...layout.across, ...layout.down];
+
+        assert.strictEqual(layout.width, 5);
+        assert.strictEqual(layout.height, 5);
+        assert.ok(clues.every(clue => clue.clue), 'Every answer should have a clue');
+        assert.deepStrictEqual(clues.filter(clue => clue.theme).map(clue => clue.answer), ['ORBIT']);
+        assert.deepStrictEqual(layout.unplaced, ['NEBULA']);
+        assert.strictEqual(layout.fill.length, clues.length - 1);
+        assert.strictEqual(layout.components.length, 1);
+        assert.strictEqual(layout.stats.density, layout.grid.flat().filter(cell => cell !== '-').length / 25);
+        assert.deepStrictEqual(buildAmericanLayout(theme, { size: 5, random: createRandom(11) }), layout);
+    });
+
+    it('should fill a 15x15 grid, report its theme and refuse other sizes', () => {
+        const theme = [{ answer: 'GOAL', clue: 'Net result' }, { answer: 'COACH', clue: 'Team leader' }];
+        const layout = buildAmericanLayout(theme, { size: 15, random: createRandom(4) });
+
+        assert.deepStrictEqual([layout.width, layout.height], [15, 15]);
+        assert.ok(layout.theme.placed > 0);
+        assert.strictEqual(layout.theme.longestSlot, 5);
+
+        // Answers longer than any slot leave a grid of fill only, which the layout reports
+        const long = buildAmericanLayout([{ answer: 'ASTRONAUT', clue: 'Space traveller' }], { size: 15, random: createRandom(4) });
+        assert.deepStrictEqual(long.theme, { placed: 0, longestSlot: 5 });
+        assert.deepStrictEqual(long.unplaced, ['ASTRONAUT']);
+        assert.strictEqual(layout.components.length, 1);
+        assert.ok([...layout.across, ...layout.down].every(clue => clue.clue), 'Every answer should have a clue');
+        assert.throws(() => buildAmericanLayout(theme, { size: 9 }), { code: 'INVALID_SIZE', status: 400 });
+    });
+
+    it('should generate American puzzles with clued fill words', async () => {
+        const provider = createMockProvider();
+        const params = { topic: 'Programming', wordCount: 5, difficulty: 'easy', seed: 5, style: 'american', size: 5 };
+
+        const puzzle = await generatePuzzle({ ...params, source: 'llm' }, provider);
+        const clues = [...puzzle.clues.across, ...puzzle.clues.down];
+        assert.strictEqual(puzzle.style, 'american');
+        assert.deepStrictEqual(puzzle.dimensions, { width: 5, height: 5 });
+        assert.ok(clues.some(clue => clue.theme), 'A programming term should be a theme entry');
+        assert.strictEqual(puzzle.diagnostics.theme.placed, clues.filter(clue => clue.theme).length);
+        clues.filter(clue => !clue.theme).forEach(clue => {
+            assert.strictEqual(clue.clue, `Everyday ${clue.answer.length}-letter word`);
+        });
+
+        // Offline, fill words keep their dictionary clues
+        const offline = await generatePuzzle({ ...params, topic: 'Sports', source: 'local' }, provider);
+        [...offline.clues.across, ...offline.clues.down].filter(clue => !clue.theme).forEach(clue => {
+            assert.strictEqual(clue.clue, dictionary.clues.get(clue.answer));
+        });
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    createCrosswordApi,
+    createDiskCache,
+    createLruCache,
+    createMemoryStore,
+    createMockProvider,
+    getCacheKey,
+    parseGenerateRequest,
+    readCacheConfig
+} from '../../index.js';
+
+describe('cache', () => {
+    it('should key on every generation parameter', () => {
+        const params = parseGenerateRequest({ topic: 'Space Exploration', wordCount: 5 });
+        const key = getCacheKey(params);
+
+        assert.match(key, /^space-exploration:[0-9a-f]{16}$/);
+        assert.strictEqual(getCacheKey(parseGenerateRequest({ topic: 'Space Exploration', wordCount: 5 })), key);
+        assert.notStrictEqual(getCacheKey(parseGenerateRequest({ topic: 'Space Exploration', wordCount: 15 })), key);
+        assert.notStrictEqual(getCacheKey({ ...params, maxWidth: 12 }), key);
+        // Parameter order does not matter
+        const reversed = Object.fromEntries(Object.entries(params).reverse());
+        assert.strictEqual(getCacheKey(reversed), key);
+    });
+
+    it('should evict the least recently used puzzles', async () => {
+        const cache = createLruCache({ maxEntries: 2 });
+        await cache.set('a:1', { id: 1 });
+        await cache.set('b:2', { id: 2 });
+        await cache.get('a:1');
+        await cache.set('c:3', { id: 3 });
+
+        assert.deepStrictEqual(await cache.get('a:1'), { id: 1 });
+        assert.strictEqual(await cache.get('b:2'), null);
+        assert.deepStrictEqual(await cache.get('c:3'), { id: 3 });
+
+        const stats = cache.stats();
+        assert.strictEqual(stats.hits, 3);
+        assert.strictEqual(stats.misses, 1);
+        assert.strictEqual(stats.evictions, 1);
+        assert.strictEqual(stats.entries, 2);
+        assert.strictEqual(stats.hitRate, 0.75);
+
+        // A byte limit keeps only what fits
+        const small = createLruCache({ maxMegabytes: 20 / (1024 * 1024) });
+        await small.set('a:1', { id: 'first' });
+        await small.set('b:2', { id: 'second' });
+        assert.strictEqual(small.stats().entries, 1);
+        assert.ok(small.stats().bytes <= 20);
+    });
+
+    it('should fall back to the disk and clear one topic', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crossword-cache-'));
+        try {
+            const disk = createDiskCache({ dir });
+            await createLruCache({ backend: disk }).set('space:1', { id: 1 });
+            await disk.set('sports:2', { id: 2 });
+
+            // A fresh memory tier, as after a restart, is filled from the disk
+            const cache = createLruCache({ backend: disk });
+            assert.deepStrictEqual(await cache.get('space:1'), { id: 1 });
+            await cache.get('space:1');
+            assert.strictEqual(cache.stats().backendHits, 1);
+            assert.strictEqual(cache.stats().memoryHits, 1);
+
+            assert.strictEqual(await cache.clear({ topic: 'Space' }), 1);
+            assert.strictEqual(await cache.get('space:1'), null);
+            assert.deepStrictEqual(await cache.get('sports:2'), { id: 2 });
+            assert.strictEqual(await cache.clear(), 1);
+            assert.deepStrictEqual(fs.readdirSync(dir), []);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should read its configuration from the environment', () => {
+        assert.strictEqual(readCacheConfig({}).enabled, false);
+        assert.deepStrictEqual(
+            readCacheConfig({ CACHE_ENABLED: 'true', CACHE_MAX_ENTRIES: '5', CACHE_TTL_HOURS: 'soon', CACHE_ADMIN_TOKEN: 'secret' }),
+            { enabled: true, ttlHours: 24, maxEntries: 5, maxMegabytes: 50, dir: undefined, adminToken: 'secret' }
+        );
+    });
+
+    it('should only serve cached puzzles for the same request and guard clearing', async () => {
+        const cache = createLruCache();
+        const api = createCrosswordApi({ store: createMemoryStore(), cache, provider: createMockProvider(), adminToken: 'secret' });
+        const body = { topic: 'Sports', source: 'local', seed: 3, wordCount: 5 };
+
+        assert.strictEqual((await api.generate(body)).cached, false);
+        assert.strictEqual((await api.generate(body)).cached, true);
+        assert.strictEqual((await api.generate({ ...body, wordCount: 8 })).cached, false);
+        assert.deepStrictEqual(
+            Object.fromEntries(['enabled', 'hits', 'misses', 'entries'].map(name => [name, api.cacheStats().cache[name]])),
+            { enabled: true, hits: 1, misses: 2, entries: 2 }
+        );
+
+        await assert.rejects(api.clearCache({}), { code: 'UNAUTHORIZED', status: 401 });
+        await assert.rejects(api.clearCache({}, 'Bearer wrong'), { code: 'UNAUTHORIZED' });
+        await assert.rejects(api.clearCache({ topic: '' }, 'Bearer secret'), { code: 'INVALID_TOPIC', status: 400 });
+        assert.deepStrictEqual(await api.clearCache({ topic: 'Music' }, 'Bearer secret'), { message: 'Cache cleared for Music', cleared: 0 });
+        assert.strictEqual((await api.clearCache({ topic: 'sports' }, 'Bearer secret')).cleared, 2);
+        assert.strictEqual((await api.generate(body)).cached, false);
+
+        const locked = createCrosswordApi({ store: createMemoryStore(), adminToken: undefined });
+        await assert.rejects(locked.clearCache({}, 'Bearer secret'), { code: 'ADMIN_DISABLED', status: 403 });
+        assert.deepStrictEqual(locked.cacheStats(), { cache: { enabled: false } });
+    });
+});
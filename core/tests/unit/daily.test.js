@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    DAILY_CONFIG,
+    TOPICS,
+    createCrosswordApi,
+    createMemoryLibrary,
+    createMemoryStore,
+    createMockProvider,
+    dailyRequest,
+    dailySchedule,
+    dailyTopic,
+    formatDate,
+    parseDailyDate
+} from '../../index.js';
+
+describe('daily', () => {
+    it('should rotate topics one day at a time', () => {
+        assert.strictEqual(dailyTopic(DAILY_CONFIG.firstDate), TOPICS[0]);
+        assert.strictEqual(dailyTopic('2026-01-02'), TOPICS[1]);
+        assert.strictEqual(dailyTopic('2026-01-11'), TOPICS[0]);
+
+        const request = dailyRequest('2026-03-01', 'easy', 'local');
+        assert.deepStrictEqual(dailyRequest('2026-03-01', 'easy', 'local'), request);
+        assert.notStrictEqual(dailyRequest('2026-03-01', 'hard', 'local').seed, request.seed);
+        assert.strictEqual(request.wordCount, DAILY_CONFIG.wordCount);
+    });
+
+    it('should only accept scheduled dates', () => {
+        const now = new Date('2026-03-10T23:00:00Z');
+        assert.strictEqual(parseDailyDate(undefined, now), '2026-03-10');
+        assert.strictEqual(parseDailyDate('2026-03-11', now), '2026-03-11');
+        assert.throws(() => parseDailyDate('2026-03-12', now), { code: 'INVALID_DATE', status: 400 });
+        assert.throws(() => parseDailyDate('2025-12-31', now), { code: 'INVALID_DATE' });
+        assert.throws(() => parseDailyDate('2026-02-30', now), { code: 'INVALID_DATE' });
+        assert.throws(() => parseDailyDate('March 1', now), { code: 'INVALID_DATE' });
+    });
+
+    it('should list the schedule newest first', () => {
+        assert.deepStrictEqual(dailySchedule('2026-01-03', 2), [
+            { date: '2026-01-03', topic: TOPICS[2] },
+            { date: '2026-01-02', topic: TOPICS[1] }
+        ]);
+        assert.strictEqual(dailySchedule('2026-01-03', 30).length, 3);
+    });
+
+    it('should serve the same daily puzzle from storage', async () => {
+        // Small enough that the generated puzzles below would push out anything unpinned
+        const library = createMemoryLibrary({ maxEntries: 3 });
+        const provider = createMockProvider();
+        const api = createCrosswordApi({ store: createMemoryStore(), library, provider });
+        const date = '2026-01-08';
+
+        const [first, simultaneous] = await Promise.all([api.daily({ date }), api.daily({ date })]);
+        assert.strictEqual(first.cached, false);
+        assert.deepStrictEqual(first.daily, { date, topic: dailyTopic(date) });
+        assert.strictEqual(first.libraryId, `daily-${date}-medium`);
+        assert.deepStrictEqual(simultaneous.grid, first.grid);
+        assert.strictEqual((await library.list({ limit: 10 })).total, 1);
+
+        for (const seed of [1, 2, 3]) {
+            await api.generate({ topic: 'Sports', source: 'local', wordCount: 5, seed });
+        }
+        const again = await api.daily({ date, difficulty: 'MEDIUM' });
+        assert.strictEqual(again.cached, true);
+        assert.deepStrictEqual(again.clues, first.clues);
+        assert.notStrictEqual(again.puzzleId, first.puzzleId);
+
+        // Without a library every server builds the same grid from the word banks
+        const plain = () => createCrosswordApi({ store: createMemoryStore(), provider }).daily({ date, difficulty: 'easy' });
+        const [one, two] = await Promise.all([plain(), plain()]);
+        assert.strictEqual(one.source, 'local');
+        assert.deepStrictEqual(one.grid, two.grid);
+
+        await assert.rejects(api.daily({ difficulty: 'extreme' }), { code: 'INVALID_DIFFICULTY' });
+        assert.deepStrictEqual(api.dailyArchive({ before: '2026-01-02' }).days.map(day => day.date), ['2026-01-02', '2026-01-01']);
+        assert.strictEqual(api.dailyArchive({}).days[0].date, formatDate(new Date()));
+        assert.throws(() => api.dailyArchive({ days: '0' }), { code: 'INVALID_DAYS', status: 400 });
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { toPuz, fromPuz, toIpuz, fromIpuz, exportFileName, CrosswordError } from '../../index.js';
+
+// 3x3 with a block in the middle:  C A T / A - O / B E D
+const puzzle = {
+    meta: { title: 'Tiny Crossword', author: 'Auto Generator', date: '2024-01-01' },
+    dimensions: { width: 3, height: 3 },
+    grid: [['C', 'A', 'T'], ['A', '-', 'O'], ['B', 'E', 'D']],
+    clues: {
+        across: [
+            { number: 1, clue: 'Feline', answer: 'CAT', x: 1, y: 1 },
+            { number: 3, clue: 'Place to sleep', answer: 'BED', x: 1, y: 3 }
+        ],
+        down: [
+            { number: 1, clue: 'Taxi', answer: 'CAB', x: 1, y: 1 },
+            { number: 2, clue: 'Also', answer: 'TOD', x: 3, y: 1 }
+        ]
+    },
+    difficulty: { level: 'easy' }
+};
+
+describe('.puz format', () => {
+    it('should write a valid header', () => {
+        const data = toPuz(puzzle);
+
+        assert.strictEqual(data.toString('latin1', 2, 14), 'ACROSS&DOWN\0');
+        assert.strictEqual(data.toString('latin1', 0x18, 0x1c), '1.3\0');
+        assert.strictEqual(data.readUInt8(0x2c), 3);
+        assert.strictEqual(data.readUInt8(0x2d), 3);
+        assert.strictEqual(data.readUInt16LE(0x2e), 4);
+        assert.strictEqual(data.toString('latin1', 0x34, 0x34 + 9), 'CATA.OBED');
+        assert.strictEqual(data.toString('latin1', 0x34 + 9, 0x34 + 18), '----.----');
+    });
+
+    it('should order clues by number, across before down', () => {
+        const data = toPuz(puzzle);
+        const strings = data.toString('latin1', 0x34 + 18).split('\0');
+
+        assert.deepStrictEqual(strings.slice(0, 3), ['Tiny Crossword', 'Auto Generator', '']);
+        assert.deepStrictEqual(strings.slice(3, 7), ['Feline', 'Taxi', 'Also', 'Place to sleep']);
+    });
+
+    it('should round-trip a puzzle', () => {
+        const imported = fromPuz(toPuz(puzzle), { difficulty: 'hard' });
+
+        assert.deepStrictEqual(imported.grid, puzzle.grid);
+        assert.deepStrictEqual(imported.clues, puzzle.clues);
+        assert.strictEqual(imported.meta.title, 'Tiny Crossword');
+        assert.strictEqual(imported.difficulty.level, 'hard');
+    });
+
+    it('should give unclued runs a placeholder clue', () => {
+        const unclued = { ...puzzle, clues: { across: puzzle.clues.across, down: [] } };
+        const imported = fromPuz(toPuz(unclued));
+
+        assert.deepStrictEqual(imported.clues.down.map(c => c.clue), ['-', '-']);
+    });
+
+    it('should reject corrupted files', () => {
+        const data = toPuz(puzzle);
+        data[0x34] = 'X'.charCodeAt(0);
+
+        assert.throws(() => fromPuz(data), error =>
+            error instanceof CrosswordError && error.code === 'INVALID_PUZ' && error.status === 422
+        );
+        assert.throws(() => fromPuz(Buffer.from('not a puzzle')), { code: 'INVALID_PUZ' });
+    });
+
+    it('should derive export file names from the title', () => {
+        assert.strictEqual(exportFileName(puzzle, 'puz'), 'tiny-crossword.puz');
+        assert.strictEqual(exportFileName({ meta: { title: '!!!' } }, 'puz'), 'crossword.puz');
+    });
+});
+
+describe('ipuz format', () => {
+    it('should number cells from the clue positions', () => {
+        const document = JSON.parse(toIpuz(puzzle).toString('utf-8'));
+
+        assert.strictEqual(document.version, 'http://ipuz.org/v2');
+        assert.deepStrictEqual(document.kind, ['http://ipuz.org/crossword#1']);
+        assert.deepStrictEqual(document.dimensions, { width: 3, height: 3 });
+        assert.deepStrictEqual(document.puzzle, [[1, 0, 2], [0, '#', 0], [3, 0, 0]]);
+        assert.deepStrictEqual(document.solution, [['C', 'A', 'T'], ['A', '#', 'O'], ['B', 'E', 'D']]);
+        assert.deepStrictEqual(document.clues.Across, [[1, 'Feline'], [3, 'Place to sleep']]);
+        assert.strictEqual(document.date, '01/01/2024');
+    });
+
+    it('should round-trip a puzzle', () => {
+        const imported = fromIpuz(toIpuz(puzzle), { difficulty: 'easy' });
+
+        assert.deepStrictEqual(imported.grid, puzzle.grid);
+        assert.deepStrictEqual(imported.clues, puzzle.clues);
+        assert.strictEqual(imported.meta.date, '2024-01-01');
+    });
+
+    it('should round-trip letters outside A-Z', () => {
+        const spanish = { ...puzzle, grid: [['C', 'A', 'Ñ'], ['A', '-', 'O'], ['B', 'E', 'D']] };
+        assert.deepStrictEqual(fromIpuz(toIpuz(spanish)).grid, spanish.grid);
+        assert.deepStrictEqual(fromPuz(toPuz(spanish)).grid, spanish.grid);
+
+        const greek = { ...puzzle, grid: [['Γ', 'A', 'T'], ['A', '-', 'O'], ['B', 'E', 'D']] };
+        assert.deepStrictEqual(fromIpuz(toIpuz(greek)).grid, greek.grid);
+        assert.throws(() => toPuz(greek), { code: 'EXPORT_FAILED', status: 422 });
+    });
+
+    it('should carry phrase enumerations', () => {
+        const across = [{ ...puzzle.clues.across[0], clue: 'Pet, briefly', phrase: 'C-AT', enumeration: '1-2' }, puzzle.clues.across[1]];
+        const phrased = { ...puzzle, clues: { ...puzzle.clues, across } };
+        const document = JSON.parse(toIpuz(phrased).toString('utf-8'));
+
+        assert.deepStrictEqual(document.clues.Across[0], { number: 1, clue: 'Pet, briefly', enumeration: '1-2' });
+        assert.deepStrictEqual(fromIpuz(toIpuz(phrased)).clues.across, across);
+    });
+
+    it('should accept cell objects, labelled directions and object clues', () => {
+        const document = {
+            version: 'http://ipuz.org/v2',
+            kind: ['http://ipuz.org/crossword#1'],
+            dimensions: { width: 2, height: 2 },
+            puzzle: [[{ cell: 1, style: { shapebg: 'circle' } }, 2], [null, 0]],
+            solution: [['a', { value: 'b' }], [null, 'c']],
+            clues: {
+                'Across:Horizontal': [{ number: 1, clue: 'First' }],
+                Down: [[2, 'Second']]
+            }
+        };
+        const imported = fromIpuz(Buffer.from(JSON.stringify(document)));
+
+        assert.deepStrictEqual(imported.grid, [['A', 'B'], ['-', 'C']]);
+        assert.deepStrictEqual(imported.clues.across, [{ number: 1, clue: 'First', answer: 'AB', x: 1, y: 1 }]);
+        assert.deepStrictEqual(imported.clues.down, [{ number: 2, clue: 'Second', answer: 'BC', x: 2, y: 1 }]);
+    });
+
+    it('should reject invalid and unsupported documents', () => {
+        assert.throws(() => fromIpuz(Buffer.from('{oops')), { code: 'INVALID_IPUZ' });
+        assert.throws(
+            () => fromIpuz(Buffer.from(JSON.stringify({ kind: ['http://ipuz.org/sudoku#1'] }))),
+            { code: 'UNSUPPORTED_IPUZ' }
+        );
+
+        const document = JSON.parse(toIpuz(puzzle).toString('utf-8'));
+        const rejects = (changes, code) => assert.throws(
+            () => fromIpuz(Buffer.from(JSON.stringify({ ...document, ...changes }))),
+            { code }
+        );
+        rejects({ solution: undefined }, 'UNSUPPORTED_IPUZ');
+        rejects({ dimensions: { width: 3000, height: 3000 } }, 'UNSUPPORTED_IPUZ');
+        rejects({ solution: document.solution.slice(1) }, 'INVALID_IPUZ');
+        rejects({ puzzle: document.puzzle.map(row => row.slice(1)) }, 'INVALID_IPUZ');
+    });
+});
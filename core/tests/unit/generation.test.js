@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    parseEntries,
+    normalizeEntries,
+    parseGenerateRequest,
+    parseEntriesRequest,
+    generateCluesAndAnswers,
+    generateLocalEntries,
+    createMockProvider,
+    CrosswordError
+} from '../../index.js';
+
+describe('generation', () => {
+    it('should parse a JSON array wrapped in markdown', () => {
+        const entries = parseEntries('```json\n[{"a":"ORBIT","c":"Path around a planet"}]\n```');
+
+        assert.deepStrictEqual(entries, [{ a: 'ORBIT', c: 'Path around a planet' }]);
+    });
+
+    it('should reject responses without a JSON array', () => {
+        assert.throws(() => parseEntries('Sorry, I cannot help'), CrosswordError);
+    });
+
+    it('should normalise, length-filter and dedupe entries', () => {
+        const entries = normalizeEntries([
+            { a: 'orbit', c: 'Path around a planet' },
+            { a: 'Or-bit', c: 'Duplicate' },
+            { a: 'SUN', c: 'Too short for medium' },
+            { a: 'COMET', c: 'x'.repeat(150) },
+            { a: 'NOCLUE' }
+        ], 'medium');
+
+        assert.deepStrictEqual(entries.map(e => e.answer), ['ORBIT', 'COMET']);
+        assert.strictEqual(entries[1].clue.length, 100);
+    });
+
+    it('should keep the words of phrase answers', () => {
+        const entries = normalizeEntries([
+            { a: 'Black hole', c: 'Star swallower' },
+            { a: 'BLACKHOLE', c: 'Duplicate' },
+            { a: 'Big Bang', c: 'Cosmic start' }
+        ], 'medium');
+
+        assert.deepStrictEqual(entries, [
+            { answer: 'BLACKHOLE', phrase: 'BLACK HOLE', clue: 'Star swallower' },
+            { answer: 'BIGBANG', phrase: 'BIG BANG', clue: 'Cosmic start' }
+        ]);
+    });
+
+    it('should put required answers first and drop excluded ones', async () => {
+        const mustInclude = [
+            { answer: 'SHELL', clue: 'Command line' },
+            { answer: 'RECURSION', clue: undefined },
+            { answer: 'KERNEL', clue: undefined }
+        ];
+        const entries = await generateCluesAndAnswers('Programming', 8, 'easy', createMockProvider(), {
+            mustInclude,
+            exclude: ['PYTHON', 'LOOP']
+        });
+
+        assert.deepStrictEqual(entries.slice(0, 3), [
+            { answer: 'SHELL', clue: 'Command line' },
+            // Clued in the entries response, even though it is too long for easy
+            { answer: 'RECURSION', clue: 'A function calling itself' },
+            // Not in the response, so clued by a follow-up request
+            { answer: 'KERNEL', clue: 'Everyday 6-letter word' }
+        ]);
+        assert.ok(!entries.some(entry => ['PYTHON', 'LOOP'].includes(entry.answer)));
+
+        const local = generateLocalEntries('Sports', 8, 'easy', Math.random, { mustInclude: [{ answer: 'HOUSE' }], exclude: ['GOAL'] });
+        assert.strictEqual(local[0].answer, 'HOUSE');
+        assert.ok(local[0].clue, 'Offline, required answers are clued from the dictionary');
+        assert.ok(!local.some(entry => entry.answer === 'GOAL'));
+        assert.throws(
+            () => generateLocalEntries('Sports', 8, 'easy', Math.random, { mustInclude: [{ answer: 'QWXZ' }] }),
+            { code: 'MISSING_CLUE', status: 422 }
+        );
+    });
+
+    it('should validate generate requests', () => {
+        assert.throws(() => parseGenerateRequest({}), { code: 'INVALID_TOPIC', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'A' }), { code: 'INVALID_TOPIC' });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', difficulty: 'extreme' }), { code: 'INVALID_DIFFICULTY' });
+
+        assert.deepStrictEqual(
+            parseGenerateRequest({ topic: '  Space  ', wordCount: 50, difficulty: 'HARD' }),
+            {
+                topic: 'Space',
+                wordCount: 20,
+                difficulty: 'hard',
+                source: 'auto',
+                seed: undefined,
+                layoutWeights: undefined,
+                connected: true,
+                style: 'freeform',
+                size: undefined,
+                maxWidth: undefined,
+                maxHeight: undefined,
+                aspect: undefined,
+                mustInclude: [],
+                exclude: [],
+                language: 'en',
+                foldAccents: undefined
+            }
+        );
+        assert.strictEqual(parseGenerateRequest({ topic: 'Space', seed: '42' }).seed, 42);
+        assert.strictEqual(
+            parseGenerateRequest({ topic: 'Space', seed: 'week-3' }).seed,
+            parseGenerateRequest({ topic: 'Space', seed: 'week-3' }).seed
+        );
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', seed: -1 }), { code: 'INVALID_SEED', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', seed: 1.5 }), { code: 'INVALID_SEED' });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', source: 'web' }), { code: 'INVALID_SOURCE' });
+        assert.strictEqual(parseGenerateRequest({ topic: 'Space', connected: false }).connected, false);
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', connected: 'no' }), { code: 'INVALID_CONNECTED', status: 400 });
+        assert.strictEqual(parseGenerateRequest({ topic: 'Space', style: 'American' }).size, 5);
+        assert.strictEqual(parseGenerateRequest({ topic: 'Space', style: 'american', size: '7' }).size, 7);
+        assert.strictEqual(parseGenerateRequest({ topic: 'Space', style: 'american', size: 15 }).size, 15);
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', style: 'cryptic' }), { code: 'INVALID_STYLE', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', style: 'american', size: 9 }), { code: 'INVALID_SIZE', status: 400 });
+
+        const shaped = parseGenerateRequest({ topic: 'Space', maxWidth: '9', maxHeight: 12, aspect: 0.75 });
+        assert.deepStrictEqual([shaped.maxWidth, shaped.maxHeight, shaped.aspect], [9, 12, 0.75]);
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', maxWidth: 4 }), { code: 'INVALID_GRID_SIZE', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', maxHeight: 8.5 }), { code: 'INVALID_GRID_SIZE' });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', aspect: 'wide' }), { code: 'INVALID_ASPECT', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', aspect: 10 }), { code: 'INVALID_ASPECT' });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', style: 'american', size: 7, maxWidth: 6 }), { code: 'INVALID_SIZE' });
+
+        const lists = parseGenerateRequest({
+            topic: 'Space',
+            mustInclude: [{ answer: 'red giant', clue: ' Swollen old star ' }, { answer: 'Orbit' }],
+            exclude: ['pluto', 'PLUTO', 'Moon']
+        });
+        assert.deepStrictEqual(lists.mustInclude, [{ answer: 'REDGIANT', phrase: 'RED GIANT', clue: 'Swollen old star' }, { answer: 'ORBIT', clue: undefined }]);
+        assert.deepStrictEqual(lists.exclude, ['PLUTO', 'MOON']);
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', mustInclude: 'ORBIT' }), { code: 'INVALID_MUST_INCLUDE', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', mustInclude: [{ answer: 'AB' }] }), { code: 'INVALID_MUST_INCLUDE' });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', mustInclude: [{ answer: 'ORBIT' }, { answer: 'orbit' }] }), { code: 'INVALID_MUST_INCLUDE' });
+        assert.throws(
+            () => parseGenerateRequest({ topic: 'Space', wordCount: 5, mustInclude: 'ABCDEF'.split('').map(c => ({ answer: c.repeat(3) })) }),
+            { code: 'INVALID_MUST_INCLUDE' }
+        );
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', exclude: [42] }), { code: 'INVALID_EXCLUDE', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', mustInclude: [{ answer: 'MOON' }], exclude: ['moon'] }), { code: 'INVALID_EXCLUDE' });
+
+        const spanish = parseGenerateRequest({ topic: 'Espacio', language: 'ES', mustInclude: [{ answer: 'año luz' }], exclude: ['Cañón'] });
+        assert.deepStrictEqual([spanish.language, spanish.mustInclude[0].phrase, spanish.exclude], ['es', 'AÑO LUZ', ['CAÑON']]);
+        assert.strictEqual(parseGenerateRequest({ topic: 'Espacio', language: 'es', foldAccents: false, exclude: ['Cañón'] }).exclude[0], 'CAÑÓN');
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', language: 'tlh' }), { code: 'INVALID_LANGUAGE', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', foldAccents: 'yes' }), { code: 'INVALID_FOLD_ACCENTS', status: 400 });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', language: 'de', source: 'local' }), { code: 'INVALID_SOURCE' });
+        assert.throws(() => parseGenerateRequest({ topic: 'Space', language: 'el', style: 'american' }), { code: 'INVALID_STYLE' });
+    });
+
+    it('should validate generate-from-entries requests', () => {
+        const entries = [{ answer: 'ATOM', clue: 'Tiny' }, { answer: 'CELL', clue: 'Unit' }, { answer: 'GENE', clue: 'Trait' }];
+
+        assert.throws(() => parseEntriesRequest({}), { code: 'INVALID_ENTRIES', status: 400 });
+        assert.throws(() => parseEntriesRequest({ entries: entries.slice(0, 2) }), { code: 'INVALID_ENTRIES' });
+        assert.throws(() => parseEntriesRequest({ entries, difficulty: 'extreme' }), { code: 'INVALID_DIFFICULTY' });
+        assert.throws(() => parseEntriesRequest({ entries, title: 42 }), { code: 'INVALID_TITLE' });
+
+        assert.deepStrictEqual(
+            parseEntriesRequest({ entries, title: '  Biology  ', difficulty: 'EASY' }),
+            {
+                title: 'Biology',
+                entries,
+                difficulty: 'easy',
+                seed: undefined,
+                layoutWeights: undefined,
+                connected: true,
+                maxWidth: undefined,
+                maxHeight: undefined,
+                aspect: undefined,
+                language: 'en',
+                foldAccents: undefined
+            }
+        );
+        assert.strictEqual(parseEntriesRequest({ entries, maxHeight: 10 }).maxHeight, 10);
+        assert.strictEqual(parseEntriesRequest({ entries }).title, 'Custom');
+    });
+});
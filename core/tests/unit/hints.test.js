@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { checkHintAllowed, getStrategicLetterReveal, getHint } from '../../index.js';
+
+const puzzle = {
+    grid: [['A', 'B'], ['-', 'C']],
+    clues: {
+        across: [{ number: 1, clue: 'First', answer: 'AB', x: 1, y: 1 }],
+        down: [{ number: 2, clue: 'Second', answer: 'BC', x: 2, y: 1 }]
+    },
+    difficulty: { level: 'hard' }
+};
+
+describe('hints', () => {
+    it('should enforce per-puzzle limits on hard', () => {
+        const usage = { semanticForClue: 0, semanticTotal: 1, letterForClue: 0, letterTotal: 0 };
+
+        assert.strictEqual(checkHintAllowed('semantic', 'hard', usage).allowed, false);
+        assert.deepStrictEqual(checkHintAllowed('letter', 'hard', usage), { allowed: true, penalty: 15 });
+        assert.strictEqual(checkHintAllowed('semantic', 'easy', usage).allowed, true);
+    });
+
+    it('should prefer intersection letters', () => {
+        const reveal = getStrategicLetterReveal('CODE', '', [], { 2: true });
+
+        assert.deepStrictEqual(reveal, { index: 2, letter: 'D' });
+    });
+
+    it('should return null when nothing is left to reveal', () => {
+        assert.strictEqual(getStrategicLetterReveal('AB', 'AB'), null);
+    });
+
+    it('should look up the answer from the puzzle', async () => {
+        const result = await getHint(puzzle, { hintType: 'letter', direction: 'across', number: 1 });
+
+        assert.strictEqual(result.type, 'letter');
+        assert.deepStrictEqual(result.hint, { index: 1, letter: 'B' }, 'B is the crossing letter');
+        assert.strictEqual(result.penalty, 15);
+    });
+
+    it('should reject unknown clues and exhausted limits', async () => {
+        await assert.rejects(
+            () => getHint(puzzle, { hintType: 'letter', direction: 'across', number: 9 }),
+            { code: 'INVALID_CLUE', status: 400 }
+        );
+        await assert.rejects(
+            () => getHint(puzzle, {
+                hintType: 'letter', direction: 'down', number: 2,
+                usage: { semanticForClue: 0, semanticTotal: 0, letterForClue: 0, letterTotal: 1 }
+            }),
+            { code: 'HINT_LIMIT_REACHED', status: 403 }
+        );
+    });
+
+    it('should reveal the same letter for a seeded puzzle', async () => {
+        const seeded = {
+            ...puzzle,
+            grid: [['C', 'O', 'D', 'E']],
+            clues: { across: [{ number: 1, clue: 'Program', answer: 'CODE', x: 1, y: 1 }], down: [] },
+            difficulty: { level: 'easy' },
+            seed: 99
+        };
+        const request = { hintType: 'letter', direction: 'across', number: 1 };
+        const first = await getHint(seeded, request);
+
+        for (let i = 0; i < 5; i++) {
+            assert.deepStrictEqual(await getHint(seeded, request), first);
+        }
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    createAlphabet,
+    generatePuzzle,
+    createMockProvider,
+    maskPuzzle,
+    checkCells,
+    getHint,
+    getClueCells
+} from '../../index.js';
+
+describe('languages', () => {
+    it('should keep alphabet letters and fold accents by default', () => {
+        const spanish = createAlphabet('es');
+        assert.strictEqual(spanish.normalize('Año-luz, pingüino'), 'AÑOLUZPINGUINO');
+        assert.strictEqual(createAlphabet('es', { foldAccents: false }).normalize('Pingüino Árbol'), 'PINGÜINOÁRBOL');
+        assert.strictEqual(createAlphabet('de').normalize('Straße über'), 'STRASSEÜBER');
+        assert.strictEqual(createAlphabet('fr').normalize('Œuvre élève'), 'OEUVREELEVE');
+        assert.strictEqual(createAlphabet('el').normalize('Αθήνα, οδός'), 'ΑΘΗΝΑΟΔΟΣ');
+        assert.strictEqual(createAlphabet().normalize('Café Ω'), 'CAFE');
+
+        assert.ok(spanish.matches('ñ', 'Ñ'));
+        assert.ok(spanish.matches('á', 'A'));
+        assert.ok(!spanish.matches('n', 'Ñ'));
+        assert.throws(() => createAlphabet('tlh'), { code: 'INVALID_LANGUAGE', status: 400 });
+    });
+
+    it('should generate, check and hint puzzles in the requested alphabet', async () => {
+        const answers = ['Montaña', 'Pingüino', 'Cañón', 'Océano', 'Año luz', 'Niño'];
+        const provider = createMockProvider({
+            fixtures: { hint: '', topics: { default: answers.map(a => ({ a, c: `Pista para ${a}` })) } }
+        });
+        const puzzle = await generatePuzzle({ topic: 'Naturaleza', wordCount: 5, difficulty: 'easy', source: 'llm', seed: 4, language: 'es' }, provider);
+        const clues = [...puzzle.clues.across, ...puzzle.clues.down];
+
+        assert.deepStrictEqual(puzzle.language, { code: 'es', foldAccents: true, letters: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ' });
+        assert.ok(clues.some(clue => clue.answer === 'MONTAÑA'));
+        assert.ok(clues.every(clue => !/[ÁÉÍÓÚÜ]/.test(clue.answer)), 'Accents should be folded');
+        assert.deepStrictEqual(maskPuzzle(puzzle, 'abc').language, puzzle.language);
+
+        // Typed letters are checked like answers: lowercase ñ matches, folded accents match
+        const montana = clues.find(clue => clue.answer === 'MONTAÑA');
+        const direction = puzzle.clues.across.includes(montana) ? 'across' : 'down';
+        const cells = getClueCells(montana, direction);
+        const typed = cells.map(({ x, y, letter }) => ({ x, y, value: letter === 'Ñ' ? 'ñ' : letter.toLowerCase() }));
+        assert.ok(checkCells(puzzle, typed).cells.every(cell => cell.correct));
+        assert.strictEqual(checkCells(puzzle, [{ ...cells[5], value: 'n' }]).cells[0].correct, false);
+
+        const hint = await getHint(puzzle, {
+            hintType: 'letter',
+            direction,
+            number: montana.number,
+            userInput: 'móntaña'.slice(0, 6)
+        });
+        assert.deepStrictEqual(hint.hint, { index: 6, letter: 'A' });
+    });
+});
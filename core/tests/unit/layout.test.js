@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    generateCrosswordLayout,
+    buildPuzzle,
+    createRandom,
+    optimizeLayout,
+    scoreLayout,
+    parseLayoutWeights,
+    findComponents,
+    computeLayoutStats,
+    LAYOUT_SCORE_WEIGHTS
+} from '../../index.js';
+
+describe('layout', () => {
+    const testEntries = [
+        { answer: 'PYTHON', clue: 'Programming language' },
+        { answer: 'CODE', clue: 'Instructions' },
+        { answer: 'DEBUG', clue: 'Fix errors' },
+        { answer: 'LOOP', clue: 'Repeat' },
+        { answer: 'ARRAY', clue: 'Collection' }
+    ];
+
+    it('should generate a valid layout', () => {
+        const layout = generateCrosswordLayout(testEntries);
+
+        assert.ok(layout.width > 0, 'Width should be > 0');
+        assert.ok(layout.height > 0, 'Height should be > 0');
+        assert.ok(Array.isArray(layout.grid), 'Grid should be an array');
+        assert.ok(Array.isArray(layout.across), 'Across should be an array');
+        assert.ok(Array.isArray(layout.down), 'Down should be an array');
+    });
+
+    it('should place at least some words', () => {
+        const layout = generateCrosswordLayout(testEntries);
+
+        assert.ok(layout.across.length + layout.down.length >= 3, 'At least 3 words should be placed');
+    });
+
+    it('should convert to crosswords-js format', () => {
+        const layout = generateCrosswordLayout(testEntries);
+        const formatted = buildPuzzle(layout, 'Test Topic', 'easy');
+
+        assert.strictEqual(formatted.meta.title, 'Test Topic Crossword');
+        assert.strictEqual(formatted.dimensions.width, layout.width);
+        assert.strictEqual(formatted.dimensions.height, layout.height);
+        assert.strictEqual(formatted.difficulty.level, 'easy');
+        assert.ok(formatted.clues.across || formatted.clues.down, 'Should have clues');
+    });
+
+    it('should have correct word properties', () => {
+        const layout = generateCrosswordLayout(testEntries);
+
+        [...layout.across, ...layout.down].forEach(word => {
+            assert.ok(word.answer, 'Word should have answer');
+            assert.ok(word.clue, 'Word should have clue');
+            assert.ok(typeof word.number === 'number', 'number should be a number');
+            assert.ok(typeof word.x === 'number', 'x should be a number');
+            assert.ok(typeof word.y === 'number', 'y should be a number');
+        });
+    });
+
+    it('should write every answer into the grid', () => {
+        const layout = generateCrosswordLayout(testEntries);
+
+        layout.across.forEach(word => {
+            const letters = layout.grid[word.y - 1].slice(word.x - 1, word.x - 1 + word.answer.length).join('');
+            assert.strictEqual(letters, word.answer);
+        });
+        layout.down.forEach(word => {
+            const letters = word.answer.split('').map((_, i) => layout.grid[word.y - 1 + i][word.x - 1]).join('');
+            assert.strictEqual(letters, word.answer);
+        });
+    });
+
+    it('should give the same layout for the same seed', () => {
+        const layout = generateCrosswordLayout(testEntries, { random: createRandom(123) });
+
+        assert.deepStrictEqual(generateCrosswordLayout(testEntries, { random: createRandom(123) }), layout);
+
+        const grids = new Set([1, 2, 3, 4, 5, 6, 7, 8].map(seed =>
+            JSON.stringify(generateCrosswordLayout(testEntries, { random: createRandom(seed) }).grid)
+        ));
+        assert.ok(grids.size > 1, 'Different seeds should be able to give different grids');
+    });
+
+    it('should score layouts on 0-1 metrics', () => {
+        const layout = generateCrosswordLayout(testEntries);
+        const { score, metrics } = scoreLayout(layout, testEntries.length);
+
+        Object.values(metrics).forEach(value => assert.ok(value >= 0 && value <= 1));
+        assert.ok(score > 0);
+        assert.strictEqual(scoreLayout(layout, testEntries.length, { words: 1 }).score, metrics.words);
+    });
+
+    it('should never do worse than the greedy layout', () => {
+        const greedy = generateCrosswordLayout(testEntries, { random: createRandom(9) });
+        const best = optimizeLayout(testEntries, { random: createRandom(9), attempts: 20 });
+
+        assert.ok(best.quality.score >= scoreLayout(greedy, testEntries.length).score);
+        assert.strictEqual(best.quality.attempts, 20);
+        assert.deepStrictEqual(optimizeLayout(testEntries, { random: createRandom(9), attempts: 20 }), best);
+    });
+
+    it('should follow the scoring weights', () => {
+        const squareOnly = { words: 0, intersections: 0, density: 0, aspect: 1, connectivity: 0 };
+        const best = optimizeLayout(testEntries, { random: createRandom(4), attempts: 30, weights: squareOnly });
+        const greedy = generateCrosswordLayout(testEntries, { random: createRandom(4) });
+
+        assert.ok(best.quality.metrics.aspect >= scoreLayout(greedy, testEntries.length).metrics.aspect);
+    });
+
+    it('should keep connected layouts in one component', () => {
+        // FIZZ shares no letters with the other entries
+        const entries = [...testEntries, { answer: 'FIZZ', clue: 'Bubble' }];
+
+        const islands = generateCrosswordLayout(entries);
+        assert.ok(islands.components.length > 1);
+        assert.deepStrictEqual(islands.unplaced, []);
+
+        const connected = generateCrosswordLayout(entries, { connected: true });
+        const placed = connected.across.length + connected.down.length;
+        assert.strictEqual(connected.components.length, 1);
+        assert.strictEqual(connected.components[0].length, placed);
+        assert.ok(connected.unplaced.includes('FIZZ'));
+        assert.strictEqual(placed + connected.unplaced.length, entries.length);
+        assert.deepStrictEqual(findComponents(connected), connected.components);
+    });
+
+    it('should backfill connected layouts from spares', () => {
+        const entries = [...testEntries, { answer: 'FIZZ', clue: 'Bubble' }];
+        const layout = generateCrosswordLayout(entries, {
+            connected: true,
+            spares: [{ answer: 'JINX', clue: 'Curse' }, { answer: 'TOAD', clue: 'Amphibian' }]
+        });
+        const answers = [...layout.across, ...layout.down].map(word => word.answer);
+
+        assert.ok(answers.includes('TOAD'));
+        assert.ok(!answers.includes('JINX'));
+        assert.ok(answers.length <= entries.length);
+        assert.strictEqual(layout.components.length, 1);
+        assert.ok(layout.unplaced.includes('FIZZ'));
+    });
+
+    it('should keep layouts within maxWidth and maxHeight', () => {
+        const narrow = generateCrosswordLayout(testEntries, { random: createRandom(2), maxWidth: 5, maxHeight: 8 });
+        assert.ok(narrow.width <= 5 && narrow.height <= 8);
+        // PYTHON is too wide for 5 columns, so it can only go down
+        assert.ok(!narrow.across.some(word => word.answer === 'PYTHON'));
+
+        const best = optimizeLayout(testEntries, { random: createRandom(2), attempts: 20, maxWidth: 6, maxHeight: 6 });
+        assert.ok(best.width <= 6 && best.height <= 6);
+
+        assert.throws(
+            () => generateCrosswordLayout(testEntries, { maxWidth: 2, maxHeight: 2 }),
+            { code: 'LAYOUT_FAILED', message: /2x2/ }
+        );
+    });
+
+    it('should score the aspect against the requested ratio', () => {
+        const layout = { width: 8, height: 4, grid: [], across: [{ number: 1, answer: 'CAT', x: 1, y: 1 }], down: [] };
+
+        assert.strictEqual(scoreLayout(layout, 1).metrics.aspect, 0.5);
+        assert.strictEqual(scoreLayout(layout, 1, LAYOUT_SCORE_WEIGHTS, 2).metrics.aspect, 1);
+        assert.strictEqual(scoreLayout(layout, 1, LAYOUT_SCORE_WEIGHTS, 4).metrics.aspect, 0.5);
+    });
+
+    it('should place required words first or fail', () => {
+        const entries = [...testEntries, { answer: 'FIZZ', clue: 'Bubble' }];
+
+        // Required words are laid out before longer ones; the first word always goes across
+        const layout = generateCrosswordLayout(entries, { required: ['LOOP'] });
+        assert.ok(layout.across.some(word => word.answer === 'LOOP'));
+
+        const best = optimizeLayout(entries, { random: createRandom(1), attempts: 5, connected: true, required: ['ARRAY'] });
+        assert.ok([...best.across, ...best.down].some(word => word.answer === 'ARRAY'));
+
+        // FIZZ crosses nothing, so a connected grid can never hold it
+        assert.throws(
+            () => optimizeLayout(entries, { random: createRandom(1), attempts: 5, connected: true, required: ['PYTHON', 'FIZZ'] }),
+            { code: 'REQUIRED_WORDS_UNPLACED', status: 422, message: /FIZZ/ }
+        );
+    });
+
+    it('should compute layout stats', () => {
+        const layout = {
+            width: 3,
+            height: 3,
+            across: [{ number: 1, answer: 'CAT', x: 1, y: 1 }],
+            down: [{ number: 1, answer: 'CAR', x: 1, y: 1 }, { number: 2, answer: 'TO', x: 3, y: 1 }]
+        };
+
+        assert.deepStrictEqual(computeLayoutStats(layout), {
+            placed: 3,
+            intersections: 2,
+            intersectionsPerWord: 4 / 3,
+            density: 6 / 9,
+            boundingBox: { width: 3, height: 3 },
+            answerLengths: { shortest: 2, longest: 3 }
+        });
+        assert.deepStrictEqual(generateCrosswordLayout(testEntries).stats, computeLayoutStats(generateCrosswordLayout(testEntries)));
+    });
+
+    it('should validate layout weights', () => {
+        assert.deepStrictEqual(parseLayoutWeights(undefined), LAYOUT_SCORE_WEIGHTS);
+        assert.deepStrictEqual(parseLayoutWeights({ density: 5 }), { ...LAYOUT_SCORE_WEIGHTS, density: 5 });
+        assert.throws(() => parseLayoutWeights({ shiny: 1 }), { code: 'INVALID_LAYOUT_WEIGHTS', status: 400 });
+        assert.throws(() => parseLayoutWeights({ density: -1 }), { code: 'INVALID_LAYOUT_WEIGHTS' });
+        assert.throws(() => parseLayoutWeights([1, 2]), { code: 'INVALID_LAYOUT_WEIGHTS' });
+    });
+});
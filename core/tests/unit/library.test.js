@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    LIBRARY_LIMITS,
+    createCrosswordApi,
+    createJsonLibrary,
+    createLruCache,
+    createMemoryLibrary,
+    createMemoryStore,
+    createMockProvider,
+    createPuzzleLibrary,
+    parseLibraryQuery,
+    readLibraryConfig
+} from '../../index.js';
+
+const puzzle = (title, level) => ({
+    meta: { title: `${title} Crossword` },
+    dimensions: { width: 2, height: 2 },
+    grid: [['A', 'B'], ['-', 'C']],
+    clues: {
+        across: [{ number: 1, clue: 'First', answer: 'AB', x: 1, y: 1 }],
+        down: [{ number: 2, clue: 'Second', answer: 'BC', x: 2, y: 1 }]
+    },
+    difficulty: { level },
+    source: 'local',
+    seed: 42
+});
+
+describe('library', () => {
+    it('should save, find and list puzzles newest first', async () => {
+        const library = createMemoryLibrary();
+        const space = await library.save(puzzle('Space', 'easy'), { topic: 'Space', wordCount: 5 });
+        await library.save(puzzle('Sports', 'easy'), { topic: 'Sports' });
+        const hardSpace = await library.save(puzzle('Space', 'hard'), { topic: 'Space' });
+
+        assert.deepStrictEqual(space.params, { topic: 'Space', wordCount: 5, seed: 42 });
+        assert.deepStrictEqual((await library.get(space.id)).puzzle, puzzle('Space', 'easy'));
+        assert.strictEqual(await library.get('unknown'), null);
+
+        const all = await library.list({ limit: 2, offset: 0 });
+        assert.strictEqual(all.total, 3);
+        assert.deepStrictEqual(all.puzzles.map(summary => summary.topic), ['Space', 'Sports']);
+
+        const spaces = await library.list({ topic: 'space', limit: 10 });
+        assert.deepStrictEqual(spaces.puzzles.map(summary => summary.id), [hardSpace.id, space.id]);
+        assert.deepStrictEqual((await library.list({ topic: 'Space', difficulty: 'easy', limit: 10 })).puzzles[0], {
+            id: space.id,
+            createdAt: space.createdAt,
+            title: 'Space Crossword',
+            topic: 'Space',
+            difficulty: 'easy',
+            style: 'freeform',
+            language: 'en',
+            source: 'local',
+            seed: 42,
+            words: 2,
+            dimensions: { width: 2, height: 2 }
+        });
+    });
+
+    it('should keep the JSON library across restarts', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crossword-library-'));
+        try {
+            const file = path.join(dir, 'nested', 'puzzles.json');
+            const library = createJsonLibrary({ file });
+            const [first, second] = await Promise.all([
+                library.save(puzzle('Space', 'easy'), { topic: 'Space' }),
+                library.save(puzzle('Sports', 'hard'), { topic: 'Sports' })
+            ]);
+
+            const reopened = createPuzzleLibrary({ backend: 'json', file });
+            assert.deepStrictEqual(await reopened.get(first.id), first);
+            assert.deepStrictEqual(await reopened.get(second.id), second);
+            assert.strictEqual((await reopened.list({ limit: 10 })).total, 2);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        assert.strictEqual(createPuzzleLibrary({}), null);
+        assert.strictEqual(readLibraryConfig({ PUZZLE_LIBRARY_MAX: '50' }).maxEntries, 50);
+        assert.strictEqual(readLibraryConfig({ PUZZLE_LIBRARY_MAX: 'lots' }).maxEntries, LIBRARY_LIMITS.maxEntries);
+        assert.throws(() => createPuzzleLibrary({ backend: 'postgres' }), { code: 'INVALID_LIBRARY' });
+        assert.throws(() => createPuzzleLibrary({ backend: 'json' }), { code: 'INVALID_LIBRARY' });
+    });
+
+    it('should drop the oldest puzzles beyond the size limit', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crossword-library-'));
+        try {
+            const libraries = [
+                createMemoryLibrary({ maxEntries: 2 }),
+                createJsonLibrary({ file: path.join(dir, 'puzzles.json'), maxEntries: 2 })
+            ];
+            for (const library of libraries) {
+                const daily = await library.save(puzzle('History', 'easy'), { topic: 'History' }, { id: 'daily-2026-01-01-easy', pinned: true });
+                const first = await library.save(puzzle('Space', 'easy'), { topic: 'Space' });
+                const second = await library.save(puzzle('Sports', 'easy'), { topic: 'Sports' });
+                await library.save(puzzle('Sports', 'easy'), { topic: 'Sports' }, { id: second.id });
+                const third = await library.save(puzzle('Music', 'easy'), { topic: 'Music' });
+
+                assert.strictEqual(await library.get(first.id), null, `${library.name} should drop the oldest`);
+                assert.deepStrictEqual(
+                    (await library.list({ limit: 10 })).puzzles.map(summary => summary.id),
+                    [third.id, second.id, daily.id],
+                    `${library.name} should keep pinned puzzles outside the limit`
+                );
+            }
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should validate listing queries', () => {
+        assert.deepStrictEqual(parseLibraryQuery({}), { topic: undefined, difficulty: undefined, limit: 20, offset: 0 });
+        assert.deepStrictEqual(
+            parseLibraryQuery({ topic: ' Space ', difficulty: 'HARD', limit: '5', offset: '10' }),
+            { topic: 'Space', difficulty: 'hard', limit: 5, offset: 10 }
+        );
+        assert.throws(() => parseLibraryQuery({ difficulty: 'extreme' }), { code: 'INVALID_DIFFICULTY', status: 400 });
+        assert.throws(() => parseLibraryQuery({ limit: '1000' }), { code: 'INVALID_LIMIT' });
+        assert.throws(() => parseLibraryQuery({ offset: '-1' }), { code: 'INVALID_OFFSET' });
+    });
+
+    it('should save generated puzzles and replay them by ID', async () => {
+        const api = createCrosswordApi({
+            store: createMemoryStore(),
+            cache: createLruCache(),
+            library: createMemoryLibrary(),
+            provider: createMockProvider()
+        });
+        const generated = await api.generate({ topic: 'Sports', source: 'local', wordCount: 5 });
+        assert.ok(generated.libraryId, 'Generated puzzles should get a library ID');
+        assert.strictEqual((await api.generate({ topic: 'Sports', source: 'local', wordCount: 5 })).libraryId, generated.libraryId);
+
+        const custom = await api.generateFromEntries({
+            title: 'Biology',
+            entries: [
+                { answer: 'CELL', clue: 'Basic unit of life' },
+                { answer: 'GENE', clue: 'Unit of heredity' },
+                { answer: 'ATOM', clue: 'Smallest unit of an element' },
+                { answer: 'ORGAN', clue: 'Heart or liver' },
+                { answer: 'TISSUE', clue: 'Group of similar cells' }
+            ]
+        });
+
+        const listed = await api.listPuzzles({ topic: 'sports' });
+        assert.strictEqual(listed.total, 1);
+        assert.strictEqual(listed.puzzles[0].id, generated.libraryId);
+        assert.strictEqual((await api.listPuzzles({})).total, 2);
+
+        const replay = await api.getPuzzle(generated.libraryId);
+        assert.deepStrictEqual(replay.grid, generated.grid);
+        assert.notStrictEqual(replay.puzzleId, generated.puzzleId);
+        assert.strictEqual(replay.params.seed, generated.seed);
+        assert.strictEqual(replay.params.wordCount, 5);
+        assert.ok(!JSON.stringify(replay).includes('"answer"'), 'Answers should not be sent');
+        assert.ok(!('entries' in (await api.getPuzzle(custom.libraryId)).params));
+
+        // The replayed puzzle is playable
+        const { cells } = await api.reveal(replay.puzzleId, {});
+        assert.strictEqual((await api.check(replay.puzzleId, { cells: cells.map(({ x, y, letter }) => ({ x, y, value: letter })) })).solved, true);
+
+        await assert.rejects(api.getPuzzle('unknown'), { code: 'PUZZLE_NOT_FOUND', status: 404 });
+        const without = createCrosswordApi({ store: createMemoryStore() });
+        await assert.rejects(without.listPuzzles({}), { code: 'LIBRARY_DISABLED', status: 404 });
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    generateCrosswordLayout,
+    buildPuzzle,
+    parsePrintOptions,
+    layoutPrintPages,
+    renderPdf,
+    renderSvg
+} from '../../index.js';
+
+describe('print', () => {
+    const puzzle = buildPuzzle(generateCrosswordLayout([
+        { answer: 'PYTHON', clue: 'Programming language named after a comedy troupe' },
+        { answer: 'CODE', clue: 'Instructions for a computer' },
+        { answer: 'DEBUG', clue: 'Fix errors (in code)' },
+        { answer: 'LOOP', clue: 'Repeat' },
+        { answer: 'ARRAY', clue: 'Ordered <collection> & more' }
+    ]), 'Test Topic', 'easy');
+
+    const texts = page => page.filter(item => item.type === 'text').map(item => item.text);
+
+    it('should validate print options', () => {
+        assert.deepStrictEqual(parsePrintOptions({}), { format: 'pdf', paper: 'letter', fontSize: 10, answerKey: false });
+        assert.deepStrictEqual(
+            parsePrintOptions({ format: 'SVG', paper: 'a4', fontSize: '40', key: 'true' }),
+            { format: 'svg', paper: 'a4', fontSize: 16, answerKey: true }
+        );
+        assert.throws(() => parsePrintOptions({ format: 'png' }), { code: 'INVALID_FORMAT', status: 400 });
+        assert.throws(() => parsePrintOptions({ paper: 'legal' }), { code: 'INVALID_PAPER', status: 400 });
+    });
+
+    it('should lay out a blank grid with clue lists', () => {
+        const layout = layoutPrintPages(puzzle);
+        const page = layout.pages[0];
+
+        assert.strictEqual(layout.pages.length, 1);
+        assert.strictEqual(layout.width, 612);
+        assert.ok(texts(page).includes('Test Topic Crossword'));
+        assert.ok(texts(page).includes('Across') && texts(page).includes('Down'));
+        assert.ok(!page.some(item => item.anchor === 'middle'), 'Puzzle page should not show answer letters');
+
+        const letterCells = puzzle.grid.flat().filter(cell => cell !== '-').length;
+        assert.strictEqual(page.filter(item => item.type === 'rect' && !item.fill).length, letterCells);
+    });
+
+    it('should add a separate answer key page', () => {
+        const layout = layoutPrintPages(puzzle, { answerKey: true, paper: 'a4' });
+        const keyPage = layout.pages[1];
+
+        assert.strictEqual(layout.pages.length, 2);
+        assert.ok(texts(keyPage).includes('Answer Key: Test Topic Crossword'));
+        assert.ok(texts(keyPage).includes('PYTHON'));
+        assert.strictEqual(keyPage.filter(item => item.anchor === 'middle').length, puzzle.grid.flat().filter(cell => cell !== '-').length);
+    });
+
+    it('should flow long clue lists onto more pages', () => {
+        const long = {
+            ...puzzle,
+            clues: {
+                across: Array.from({ length: 80 }, (_, i) => ({ number: i + 1, clue: 'A fairly long clue that needs to wrap onto a second line of the column', answer: 'CODE', x: 1, y: 1 })),
+                down: []
+            }
+        };
+        const layout = layoutPrintPages(long, { fontSize: 14 });
+
+        assert.ok(layout.pages.length > 1);
+        for (const page of layout.pages) {
+            page.forEach(item => assert.ok((item.y ?? item.y1) <= layout.height - 36, 'Items should stay inside the margin'));
+        }
+    });
+
+    it('should render a PDF with a valid cross-reference table', () => {
+        const pdf = renderPdf(layoutPrintPages(puzzle, { answerKey: true })).toString('latin1');
+
+        assert.ok(pdf.startsWith('%PDF-1.4'));
+        assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+        assert.match(pdf, /\/Count 2/);
+        assert.ok(pdf.includes('(Fix errors \\(in code\\))'), 'Parentheses should be escaped');
+
+        const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+        assert.ok(pdf.startsWith('xref', xrefOffset));
+
+        const entries = pdf.slice(xrefOffset).split('\n').slice(3).filter(line => line.endsWith(' n '));
+        entries.forEach((entry, i) => {
+            assert.ok(pdf.startsWith(`${i + 1} 0 obj`, Number(entry.slice(0, 10))), `Object ${i + 1} offset`);
+        });
+    });
+    it('should refuse PDF text the built-in fonts cannot show', () => {
+        const greek = { ...puzzle, clues: { ...puzzle.clues, across: [{ ...puzzle.clues.across[0], clue: 'Θάλασσα' }] } };
+        assert.throws(() => renderPdf(layoutPrintPages(greek, {})), { code: 'PRINT_FAILED', status: 422 });
+        assert.ok(renderSvg(layoutPrintPages(greek, {})).toString('utf-8').includes('Θάλασσα'));
+    });
+
+    it('should render an SVG page per sheet with escaped text', () => {
+        const svg = renderSvg(layoutPrintPages(puzzle, { answerKey: true })).toString('utf-8');
+
+        assert.ok(svg.includes('<svg xmlns="http://www.w3.org/2000/svg" width="612pt" height="1584pt"'));
+        assert.strictEqual((svg.match(/<g transform/g) || []).length, 2);
+        assert.ok(svg.includes('Ordered &lt;collection&gt; &amp; more'));
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import {
+    createProvider,
+    readProviderConfig,
+    createMockProvider,
+    createOpenAIProvider,
+    extractText,
+    generateCluesAndAnswers,
+    generateSemanticHint
+} from '../../index.js';
+
+describe('providers', () => {
+    it('should read provider configuration from the environment', () => {
+        const config = readProviderConfig({ LLM_PROVIDER: 'OpenAI', OPENAI_API_KEY: 'key', LLM_MODEL: 'm' });
+
+        assert.strictEqual(config.provider, 'openai');
+        assert.strictEqual(config.apiKey, 'key');
+        assert.strictEqual(config.model, 'm');
+        assert.strictEqual(readProviderConfig({}).provider, 'bytez');
+    });
+
+    it('should reject unknown providers', () => {
+        assert.throws(() => createProvider({ provider: 'nope' }), { code: 'UNKNOWN_LLM_PROVIDER' });
+    });
+
+    it('should extract text from Bytez response shapes', () => {
+        assert.strictEqual(extractText('plain'), 'plain');
+        assert.strictEqual(extractText([{ content: 'a' }, { content: 'b' }]), 'b');
+        assert.strictEqual(extractText({ message: { content: 'c' } }), 'c');
+        assert.strictEqual(extractText({ choices: [{ message: { content: 'd' } }] }), 'd');
+    });
+
+    it('mock provider should drive generation deterministically', async () => {
+        const provider = createMockProvider();
+        const first = await generateCluesAndAnswers('Programming', 8, 'hard', provider);
+        const second = await generateCluesAndAnswers('programming', 8, 'hard', provider);
+
+        assert.strictEqual(first.length, 8);
+        assert.deepStrictEqual(first, second);
+        first.forEach(entry => assert.ok(entry.answer.length >= 6));
+    });
+
+    it('mock provider should fall back to the default bank and answer hints', async () => {
+        const provider = createMockProvider({
+            fixtures: { hint: 'About {clue}', topics: { default: [{ a: 'RIVER', c: 'Flowing water' }] } }
+        });
+
+        const entries = await generateCluesAndAnswers('Unknown topic', 5, 'easy', provider);
+        assert.deepStrictEqual(entries, [{ answer: 'RIVER', clue: 'Flowing water' }]);
+        assert.strictEqual(await generateSemanticHint('Flowing water', 'RIVER', provider), 'About Flowing water');
+    });
+
+    describe('OpenAI-compatible provider', () => {
+        let server;
+        let baseUrl;
+        let lastRequest;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+                    if (req.headers.authorization === 'Bearer bad') {
+                        res.writeHead(401).end('{}');
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ choices: [{ message: { content: 'hello' } }] }));
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+        });
+
+        after(() => server.close());
+
+        it('should post chat completions and return the message', async () => {
+            const provider = createOpenAIProvider({ baseUrl, apiKey: 'good', model: 'local-model' });
+
+            assert.strictEqual(await provider.complete('Say hi'), 'hello');
+            assert.strictEqual(lastRequest.url, '/v1/chat/completions');
+            assert.strictEqual(lastRequest.headers.authorization, 'Bearer good');
+            assert.deepStrictEqual(lastRequest.body, {
+                model: 'local-model',
+                messages: [{ role: 'user', content: 'Say hi' }]
+            });
+        });
+
+        it('should map auth failures to a configuration error', async () => {
+            const provider = createOpenAIProvider({ baseUrl, apiKey: 'bad' });
+
+            await assert.rejects(() => provider.complete('Say hi'), { code: 'MISSING_API_KEY' });
+        });
+    });
+});
@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    generateCrosswordLayout,
+    buildPuzzle,
+    generatePuzzle,
+    generatePuzzleFromEntries,
+    createMockProvider,
+    formatEnumeration,
+    maskPuzzle,
+    findClue,
+    getClueIntersections,
+    checkCells,
+    revealCells
+} from '../../index.js';
+
+describe('puzzle', () => {
+    const testEntries = [
+        { answer: 'PYTHON', clue: 'Programming language' },
+        { answer: 'CODE', clue: 'Instructions' },
+        { answer: 'DEBUG', clue: 'Fix errors' },
+        { answer: 'LOOP', clue: 'Repeat' },
+        { answer: 'ARRAY', clue: 'Collection' }
+    ];
+    const puzzle = buildPuzzle(generateCrosswordLayout(testEntries), 'Test Topic');
+
+    it('should mask answers and letters', () => {
+        const masked = maskPuzzle(puzzle, 'abc');
+        const json = JSON.stringify(masked);
+
+        assert.strictEqual(masked.puzzleId, 'abc');
+        assert.ok(!json.includes('"answer"'), 'Masked puzzle should not contain answers');
+        masked.grid.flat().forEach(cell => assert.ok(cell === '_' || cell === '-'));
+
+        const [first] = masked.clues.across.length ? masked.clues.across : masked.clues.down;
+        assert.strictEqual(typeof first.length, 'number');
+    });
+
+    it('should check cells against the solution', () => {
+        const cells = revealCells(puzzle);
+        const allCorrect = checkCells(puzzle, cells.map(({ x, y, letter }) => ({ x, y, value: letter })));
+
+        assert.strictEqual(allCorrect.solved, true);
+        assert.ok(allCorrect.cells.every(cell => cell.correct));
+
+        const wrong = checkCells(puzzle, [{ x: cells[0].x, y: cells[0].y, value: cells[0].letter === 'Z' ? 'Y' : 'Z' }]);
+        assert.strictEqual(wrong.solved, false);
+        assert.strictEqual(wrong.cells[0].correct, false);
+
+        // Repeating one correct cell does not stand in for the rest of the grid
+        const [first] = cells;
+        const letterCount = puzzle.grid.flat().filter(cell => cell !== '-').length;
+        const repeated = checkCells(puzzle, Array.from({ length: letterCount }, () => ({ x: first.x, y: first.y, value: first.letter })));
+        assert.deepStrictEqual(repeated, { cells: [{ x: first.x, y: first.y, correct: true }], solved: false });
+
+        // The last entry for a cell is the one that counts
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+        const corrected = checkCells(puzzle, [{ ...solution[0], value: first.letter === 'Z' ? 'Y' : 'Z' }, ...solution]);
+        assert.strictEqual(corrected.solved, true);
+    });
+
+    it('should reveal a single clue', () => {
+        const direction = puzzle.clues.across.length ? 'across' : 'down';
+        const clue = puzzle.clues[direction][0];
+        const cells = revealCells(puzzle, direction, clue.number);
+
+        assert.strictEqual(cells.map(c => c.letter).join(''), clue.answer);
+        assert.strictEqual(revealCells(puzzle, direction, 999), null);
+        assert.strictEqual(findClue(puzzle, direction, clue.number), clue);
+    });
+
+    it('should find intersecting letters', () => {
+        const direction = puzzle.clues.across.length ? 'across' : 'down';
+        const clue = puzzle.clues[direction][0];
+        const intersections = getClueIntersections(puzzle, clue, direction);
+
+        Object.keys(intersections).forEach(index => {
+            assert.ok(Number(index) < clue.answer.length);
+        });
+    });
+
+    it('should build a puzzle from user entries with the LLM rules', () => {
+        const custom = generatePuzzleFromEntries({
+            title: 'Vocabulary',
+            difficulty: 'easy',
+            entries: [
+                { answer: 'Python', clue: 'Programming language' },
+                { answer: 'code', clue: 'Instructions' },
+                { answer: 'CODE', clue: 'Duplicate' },
+                { answer: 'de-bug', clue: 'Fix errors' },
+                { answer: 'ENCAPSULATION', clue: 'Too long for easy' },
+                { answer: 'LOOP', clue: 'Repeat' }
+            ]
+        });
+        const answers = [...custom.clues.across, ...custom.clues.down].map(clue => clue.answer);
+
+        assert.strictEqual(custom.meta.title, 'Vocabulary Crossword');
+        assert.strictEqual(custom.source, 'custom');
+        assert.strictEqual(custom.difficulty.level, 'easy');
+        assert.ok(answers.includes('DEBUG'));
+        assert.ok(!answers.includes('ENCAPSULATION'));
+        assert.strictEqual(answers.filter(answer => answer === 'CODE').length, 1);
+        assert.deepStrictEqual(custom.stats.words, { requested: 6, returned: 4, placed: answers.length });
+        assert.ok(custom.stats.attempts >= 1);
+    });
+
+    it('should carry layout stats on built puzzles', () => {
+        const { stats } = puzzle;
+        const placed = puzzle.clues.across.length + puzzle.clues.down.length;
+
+        assert.deepStrictEqual(stats.words, { requested: placed, returned: placed, placed });
+        assert.deepStrictEqual(stats.boundingBox, puzzle.dimensions);
+        assert.ok(stats.density > 0 && stats.density <= 1);
+        assert.strictEqual(stats.answerLengths.longest, 6);
+        assert.strictEqual(stats.attempts, 1);
+    });
+
+    it('should report when the words do not fit the shape limits', () => {
+        const params = { title: 'Shapes', difficulty: 'easy', seed: 7, entries: testEntries };
+
+        const roomy = generatePuzzleFromEntries({ ...params, maxWidth: 20, maxHeight: 20 });
+        assert.deepStrictEqual(roomy.diagnostics.shape, { maxWidth: 20, maxHeight: 20, aspect: undefined, fits: true });
+
+        const cramped = generatePuzzleFromEntries({ ...params, maxWidth: 6, maxHeight: 5 });
+        assert.ok(cramped.dimensions.width <= 6 && cramped.dimensions.height <= 5);
+        assert.strictEqual(cramped.diagnostics.shape.fits, false);
+        assert.ok(cramped.diagnostics.unplaced.length > 0);
+
+        assert.strictEqual(generatePuzzleFromEntries(params).diagnostics.shape, undefined);
+    });
+
+    it('should reject custom entries that leave too few words', () => {
+        assert.throws(() => generatePuzzleFromEntries({
+            title: 'Tiny',
+            difficulty: 'medium',
+            entries: [{ answer: 'AB', clue: 'Too short' }, { answer: 'CODE', clue: 'Ok' }, { answer: 'X', clue: 'No' }]
+        }), { code: 'INSUFFICIENT_WORDS', status: 422 });
+    });
+
+    it('should backfill with new answers when too few words are placed', async () => {
+        // The last five of the first eight answers share no letter with TRACE, CODE or COAT
+        const answers = ['TRACE', 'CODE', 'COAT', 'FIZZ', 'JINX', 'WHIZ', 'PUFF', 'MINK', 'DATE', 'CART', 'TOAD', 'ROAD'];
+        const provider = createMockProvider({
+            fixtures: { hint: '', topics: { default: answers.map(a => ({ a, c: `Clue for ${a}` })) } }
+        });
+        const params = { topic: 'Letters', wordCount: 5, difficulty: 'easy', seed: 1 };
+
+        const puzzle = await generatePuzzle({ ...params, source: 'llm' }, provider);
+        const placed = [...puzzle.clues.across, ...puzzle.clues.down].map(clue => clue.answer);
+        assert.strictEqual(placed.length, 5);
+        assert.strictEqual(new Set(placed).size, placed.length);
+        assert.deepStrictEqual(puzzle.stats.backfill, { rounds: 1, added: 4 });
+        assert.strictEqual(puzzle.stats.words.returned, 12);
+
+        // Local word banks are never backfilled
+        const local = await generatePuzzle({ ...params, topic: 'Programming', source: 'local' }, provider);
+        assert.deepStrictEqual(local.stats.backfill, { rounds: 0, added: 0 });
+    });
+
+    it('should ask backfill for lengths that fit the grid and its shape limits', async () => {
+        const answers = ['TRACE', 'CODE', 'COAT', 'FIZZ', 'JINX', 'WHIZ', 'PUFF', 'MINK', 'CATERED', 'DATE', 'CARTRIDGE', 'TOAD', 'ROAD'];
+        const mock = createMockProvider({
+            fixtures: { hint: '', topics: { default: answers.map(a => ({ a, c: `Clue for ${a}` })) } }
+        });
+        const prompts = [];
+        const provider = { ...mock, complete: (prompt, meta) => (prompts.push(prompt), mock.complete(prompt, meta)) };
+        const params = { topic: 'Letters', wordCount: 5, difficulty: 'medium', seed: 1, source: 'llm', maxWidth: 7, maxHeight: 6 };
+
+        const puzzle = await generatePuzzle(params, provider);
+        const backfillPrompt = prompts.at(-1);
+        assert.match(backfillPrompt, /Answer length: 4-7 letters/);
+        assert.match(backfillPrompt, /Open slots in the grid take answers of up to these lengths: [\d, ]+\n/);
+        // CARTRIDGE can never fit a 7x6 grid, so it is not added
+        assert.deepStrictEqual(puzzle.stats.backfill, { rounds: 1, added: 4 });
+    });
+
+    it('should keep phrase answers with their enumeration', () => {
+        const puzzle = generatePuzzleFromEntries({
+            title: 'Space',
+            difficulty: 'medium',
+            seed: 3,
+            entries: [
+                { answer: 'Black hole', clue: 'Star swallower' },
+                { answer: 'Space-time', clue: 'Fabric of the universe' },
+                { answer: 'ORBIT', clue: 'Path around a planet' },
+                { answer: 'COMET', clue: 'Icy visitor' },
+                { answer: 'PLANET', clue: 'Mars, for one' }
+            ]
+        });
+        const clues = [...puzzle.clues.across, ...puzzle.clues.down];
+        const blackHole = clues.find(clue => clue.answer === 'BLACKHOLE');
+        assert.deepStrictEqual([blackHole.phrase, blackHole.enumeration], ['BLACK HOLE', '5,4']);
+        assert.strictEqual(clues.find(clue => clue.answer === 'ORBIT').enumeration, undefined);
+        assert.strictEqual(formatEnumeration('JACK-IN-THE BOX'), '4-2-3,3');
+
+        // The grid holds letters only; the browser gets the enumeration but never the phrase
+        assert.ok(puzzle.grid.flat().every(cell => /^[A-Z-]$/.test(cell)));
+        const masked = maskPuzzle(puzzle, 'abc');
+        const maskedClue = [...masked.clues.across, ...masked.clues.down].find(clue => clue.enumeration === '5,4');
+        assert.strictEqual(maskedClue.length, 9);
+        assert.ok(!JSON.stringify(masked).includes('BLACK'));
+    });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createRandom, hashSeed, parseSeed, shuffle } from '../../index.js';
+
+describe('random', () => {
+    it('should repeat the same sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const sequence = Array.from({ length: 5 }, () => a());
+
+        assert.deepStrictEqual(Array.from({ length: 5 }, () => b()), sequence);
+        assert.notDeepStrictEqual(Array.from({ length: 5 }, createRandom(43)), sequence);
+        sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+    });
+
+    it('should parse integer and string seeds', () => {
+        assert.strictEqual(parseSeed(undefined), undefined);
+        assert.strictEqual(parseSeed(''), undefined);
+        assert.strictEqual(parseSeed(7), 7);
+        assert.strictEqual(parseSeed('4294967295'), 4294967295);
+        assert.strictEqual(parseSeed('week-3'), hashSeed('week-3'));
+        assert.throws(() => parseSeed(4294967296), { code: 'INVALID_SEED' });
+        assert.throws(() => parseSeed({}), { code: 'INVALID_SEED' });
+    });
+
+    it('should shuffle into a new array deterministically', () => {
+        const items = [1, 2, 3, 4, 5, 6];
+        const shuffled = shuffle(items, createRandom(1));
+
+        assert.deepStrictEqual(shuffle(items, createRandom(1)), shuffled);
+        assert.deepStrictEqual([...shuffled].sort(), items);
+        assert.deepStrictEqual(items, [1, 2, 3, 4, 5, 6], 'Input should not change');
+    });
+});
@@ -0,0 +1,249 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    SCORING,
+    computeScore,
+    createCrosswordApi,
+    createLruCache,
+    createMemoryLibrary,
+    createMemoryStore,
+    createMockProvider,
+    createTokenStore,
+    parsePlayerName,
+    rankResults,
+    startSolve,
+    applySolveEvent,
+    solveElapsedMs
+} from '../../index.js';
+
+const puzzle = level => ({
+    clues: {
+        across: [{ number: 1, clue: 'First', answer: 'AB', x: 1, y: 1 }],
+        down: [{ number: 2, clue: 'Second', answer: 'BC', x: 2, y: 1 }]
+    },
+    difficulty: { level }
+});
+
+const points = (result, item) => result.breakdown.find(line => line.item === item).points;
+
+describe('scoring', () => {
+    it('should score a solve from its log', async () => {
+        const events = [
+            { type: 'hint', hintType: 'letter', penalty: 5 },
+            { type: 'check', incorrect: 3 },
+            { type: 'reveal', all: false }
+        ];
+        const started = startSolve();
+        const solve = events.reduce(applySolveEvent, started);
+        assert.deepStrictEqual([started.checks, started.hints.letter], [0, 0], 'Events should not change the earlier log');
+        assert.strictEqual(solve.sessionId, started.sessionId);
+
+        // Two words at medium are a 90 second par; 3m10s is 2 started minutes over
+        const result = computeScore(puzzle('medium'), solve, solve.startedAt + 190 * 1000);
+        assert.strictEqual(result.ranked, true);
+        assert.strictEqual(result.elapsedMs, 190 * 1000);
+        assert.strictEqual(points(result, 'hints'), -5);
+        assert.strictEqual(points(result, 'checks'), -SCORING.checkPenalty);
+        assert.strictEqual(points(result, 'incorrect'), -3 * SCORING.incorrectPenalty);
+        assert.strictEqual(points(result, 'reveals'), -SCORING.revealCluePenalty);
+        assert.strictEqual(points(result, 'time'), -2 * SCORING.pointsPerMinuteOver);
+        assert.strictEqual(result.score, SCORING.base - 5 - 1 - 3 - 10 - 2);
+
+        // The time penalty is capped and a score never goes below 0
+        const slow = computeScore(puzzle('easy'), solve, solve.startedAt + 24 * 60 * 60 * 1000);
+        assert.strictEqual(points(slow, 'time'), -SCORING.timePenaltyMax);
+
+        // Paused time does not count, and pausing twice is the same as once
+        const paused = [
+            { type: 'pause', at: solve.startedAt + 60 * 1000 },
+            { type: 'pause', at: solve.startedAt + 120 * 1000 },
+            { type: 'resume', at: solve.startedAt + 600 * 1000 }
+        ].reduce(applySolveEvent, solve);
+        assert.strictEqual(solveElapsedMs(paused, solve.startedAt + 730 * 1000), 190 * 1000);
+        assert.strictEqual(computeScore(puzzle('medium'), paused, solve.startedAt + 730 * 1000).score, result.score);
+
+        const revealed = computeScore(puzzle('hard'), applySolveEvent(solve, { type: 'reveal', all: true }), solve.startedAt);
+        assert.deepStrictEqual([revealed.score, revealed.ranked], [0, false]);
+    });
+
+    it('should rank results and validate names', () => {
+        const results = [
+            { name: 'B', score: 80, elapsedMs: 5000, submittedAt: '2026-01-02T00:00:00.000Z' },
+            { name: 'A', score: 90, elapsedMs: 9000, submittedAt: '2026-01-03T00:00:00.000Z' },
+            { name: 'C', score: 80, elapsedMs: 5000, submittedAt: '2026-01-01T00:00:00.000Z' },
+            { name: 'D', score: 80, elapsedMs: 4000, submittedAt: '2026-01-04T00:00:00.000Z' }
+        ];
+        assert.deepStrictEqual(rankResults(results).map(({ rank, name }) => `${rank}${name}`), ['1A', '2D', '3C', '4B']);
+
+        assert.strictEqual(parsePlayerName(undefined), 'Anonymous');
+        assert.strictEqual(parsePlayerName('  Ada '), 'Ada');
+        assert.throws(() => parsePlayerName('   '), { code: 'INVALID_NAME', status: 400 });
+        assert.throws(() => parsePlayerName('x'.repeat(SCORING.nameLengthMax + 1)), { code: 'INVALID_NAME' });
+        assert.throws(() => parsePlayerName(42), { code: 'INVALID_NAME' });
+    });
+
+    it('should verify submissions and keep leaderboards', async () => {
+        const store = createMemoryStore();
+        const library = createMemoryLibrary();
+        // Cached generation hands out the same library puzzle to every session
+        const api = createCrosswordApi({ store, cache: createLruCache(), library, provider: createMockProvider() });
+        const body = { topic: 'Sports', source: 'local', wordCount: 5, difficulty: 'medium', seed: 3 };
+
+        // A revealed grid is verified but scores 0 and is not ranked
+        const revealed = await api.generate(body);
+        const { cells } = await api.reveal(revealed.puzzleId, {});
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+        await assert.rejects(api.submit(revealed.puzzleId, { cells: [] }), { code: 'NOT_SOLVED', status: 422 });
+        const unranked = await api.submit(revealed.puzzleId, { cells: solution });
+        assert.deepStrictEqual([unranked.score, unranked.recorded, unranked.rank], [0, false, null]);
+        await assert.rejects(api.submit(revealed.puzzleId, { cells: solution }), { code: 'ALREADY_SUBMITTED', status: 409 });
+
+        // Each session has its own log, so checks in one cost nothing in another
+        const checked = await api.generate(body);
+        await api.check(checked.puzzleId, { cells: [] });
+        const result = await api.submit(checked.puzzleId, { cells: solution, name: 'Ada' });
+        assert.strictEqual(result.ranked, true);
+        assert.strictEqual(result.libraryId, revealed.libraryId);
+        assert.deepStrictEqual([result.recorded, result.rank, result.name], [true, 1, 'Ada']);
+        assert.ok(result.score < SCORING.base, 'Checks and wrong cells should cost points');
+
+        const clean = await api.generate(body);
+        const best = await api.submit(clean.puzzleId, { cells: solution });
+        assert.deepStrictEqual([best.score, best.rank, best.name], [SCORING.base, 1, 'Anonymous']);
+
+        const board = await api.leaderboard(revealed.libraryId, { limit: '1' });
+        assert.strictEqual(board.total, 2);
+        assert.deepStrictEqual(board.leaderboard.map(({ rank, name }) => [rank, name]), [[1, 'Anonymous']]);
+        await assert.rejects(api.leaderboard(revealed.libraryId, { limit: '0' }), { code: 'INVALID_LIMIT', status: 400 });
+        await assert.rejects(api.leaderboard('unknown'), { code: 'PUZZLE_NOT_FOUND', status: 404 });
+
+        // Sessions saved without a solve log cannot be scored
+        const { solve, ...untracked } = await store.load(clean.puzzleId);
+        await assert.rejects(api.submit(await store.save(untracked), { cells: solution }), { code: 'SOLVE_NOT_TRACKED', status: 409 });
+    });
+
+    it('should not score answers the player was given', async () => {
+        const store = createMemoryStore();
+        const api = createCrosswordApi({ store, library: createMemoryLibrary(), provider: createMockProvider() });
+        const body = { topic: 'Sports', source: 'local', wordCount: 5, difficulty: 'medium', seed: 3 };
+        const reference = await api.generate(body);
+        const { cells } = await api.reveal(reference.puzzleId, {});
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+
+        // One correct cell sent once per letter cell is not a solved grid
+        const repeated = await api.generate(body);
+        const letterCount = repeated.grid.flat().filter(cell => cell !== '-').length;
+        const spam = Array.from({ length: letterCount }, () => solution[0]);
+        await assert.rejects(api.submit(repeated.puzzleId, { cells: spam }), { code: 'NOT_SOLVED' });
+
+        // Answer files and answer keys count as revealing the grid; a plain printout does not
+        const exported = await api.generate(body);
+        await api.export(exported.puzzleId, { format: 'ipuz' });
+        const printed = await api.generate(body);
+        await api.print(printed.puzzleId, { format: 'svg', key: 'true' });
+        const plain = await api.generate(body);
+        await api.print(plain.puzzleId, { format: 'svg' });
+        for (const { puzzleId } of [exported, printed]) {
+            const result = await api.submit(puzzleId, { cells: solution });
+            assert.deepStrictEqual([result.score, result.ranked, result.recorded], [0, false, false]);
+        }
+        // The check that finds the grid solved is how the page submits, so it is free
+        assert.strictEqual((await api.check(plain.puzzleId, { cells: solution })).solved, true);
+        assert.strictEqual((await api.submit(plain.puzzleId, { cells: solution })).score, SCORING.base);
+
+        // An export that fails hands out nothing, so it reveals nothing
+        const greek = await api.generateFromEntries({
+            language: 'el',
+            seed: 1,
+            entries: [
+                { answer: 'ΑΘΗΝΑ', clue: 'Πρωτεύουσα' },
+                { answer: 'ΘΑΛΑΣΣΑ', clue: 'Νερό' },
+                { answer: 'ΗΛΙΟΣ', clue: 'Άστρο' },
+                { answer: 'ΝΗΣΙ', clue: 'Στεριά' }
+            ]
+        });
+        await assert.rejects(api.export(greek.puzzleId, { format: 'puz' }), { code: 'EXPORT_FAILED' });
+        await assert.rejects(api.print(greek.puzzleId, { format: 'pdf', key: 'true' }), { code: 'PRINT_FAILED' });
+        const { shareId } = await api.share(greek.puzzleId);
+        const greekCells = (await api.reveal((await api.open(shareId)).puzzleId, {})).cells;
+        const greekSolution = greekCells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+        const greekResult = await api.submit(greek.puzzleId, { cells: greekSolution });
+        assert.deepStrictEqual([greekResult.score, greekResult.ranked], [SCORING.base, true]);
+
+        // A letter hint with nothing left to reveal confirms the word, so it costs a check
+        const hinted = await api.generate(body);
+        const { number } = hinted.clues.across[0];
+        const { cells: word } = await api.reveal(reference.puzzleId, { direction: 'across', number });
+        const userInput = word.map(cell => cell.letter).join('');
+        const hint = await api.hint(hinted.puzzleId, { hintType: 'letter', direction: 'across', number, userInput });
+        assert.deepStrictEqual([hint.hint, hint.penalty], [null, 0]);
+        const checked = await api.submit(hinted.puzzleId, { cells: solution });
+        assert.strictEqual(points(checked, 'checks'), -SCORING.checkPenalty);
+    });
+
+    it('should enforce hint limits from the session, not the client', async () => {
+        const api = createCrosswordApi({ store: createTokenStore({ secret: 'test-secret' }), provider: createMockProvider() });
+        const hard = await api.generate({ topic: 'Sports', source: 'local', wordCount: 5, difficulty: 'hard', seed: 3 });
+        const [first, second] = [
+            ...hard.clues.across.map(({ number }) => ({ direction: 'across', number })),
+            ...hard.clues.down.map(({ number }) => ({ direction: 'down', number }))
+        ];
+        const zeros = { semanticForClue: 0, semanticTotal: 0, letterForClue: 0, letterTotal: 0 };
+
+        // Hard puzzles allow one letter reveal in all, however little usage the client reports
+        const hint = await api.hint(hard.puzzleId, { hintType: 'letter', ...first });
+        assert.strictEqual(hint.penalty, 15);
+        await assert.rejects(
+            api.hint(hint.puzzleId, { hintType: 'letter', ...second, usage: zeros }),
+            { code: 'HINT_LIMIT_REACHED', status: 403 }
+        );
+
+        // Easy puzzles allow two letters per clue, and the second is never the one already revealed
+        const easy = await api.generate({ topic: 'Sports', source: 'local', wordCount: 5, difficulty: 'easy', seed: 3 });
+        const clue = { hintType: 'letter', direction: 'across', number: easy.clues.across[0].number, alreadyRevealed: [] };
+        const one = await api.hint(easy.puzzleId, clue);
+        const two = await api.hint(one.puzzleId, clue);
+        assert.notStrictEqual(two.hint.index, one.hint.index);
+        await assert.rejects(api.hint(two.puzzleId, clue), { code: 'HINT_LIMIT_REACHED' });
+    });
+
+    it('should score token sessions without ranking them', async () => {
+        const store = createTokenStore({ secret: 'test-secret' });
+        const api = createCrosswordApi({ store, library: createMemoryLibrary(), provider: createMockProvider() });
+        const body = { topic: 'Sports', source: 'local', wordCount: 5, difficulty: 'medium', seed: 3 };
+
+        const generated = await api.generate(body);
+        const { cells } = await api.reveal((await api.generate(body)).puzzleId, {});
+        const solution = cells.map(({ x, y, letter }) => ({ x, y, value: letter }));
+
+        // Each action hands back a new token carrying the log so far
+        const checked = await api.check(generated.puzzleId, { cells: [] });
+        assert.notStrictEqual(checked.puzzleId, generated.puzzleId);
+        const result = await api.submit(checked.puzzleId, { cells: solution });
+        assert.strictEqual(points(result, 'checks'), -SCORING.checkPenalty);
+        assert.deepStrictEqual([result.ranked, result.recorded], [false, false]);
+        await assert.rejects(api.submit(result.puzzleId, { cells: solution }), { code: 'ALREADY_SUBMITTED' });
+    });
+
+    it('should keep a leaderboard per daily puzzle', async () => {
+        const api = createCrosswordApi({ store: createMemoryStore(), library: createMemoryLibrary(), provider: createMockProvider() });
+        const date = '2026-01-05';
+
+        const empty = await api.dailyLeaderboard({ date });
+        assert.deepStrictEqual(empty.leaderboard, []);
+        assert.strictEqual(empty.libraryId, `daily-${date}-medium`);
+
+        const daily = await api.daily({ date });
+        const reference = await api.daily({ date });
+        const { cells } = await api.reveal(reference.puzzleId, {});
+        await api.submit(daily.puzzleId, { cells: cells.map(({ x, y, letter }) => ({ x, y, value: letter })), name: 'Ada' });
+
+        const board = await api.dailyLeaderboard({ date, difficulty: 'MEDIUM' });
+        assert.deepStrictEqual(board.daily, daily.daily);
+        assert.strictEqual(board.leaderboard[0].name, 'Ada');
+        assert.strictEqual((await api.dailyLeaderboard({ date, difficulty: 'easy' })).total, 0);
+
+        const without = createCrosswordApi({ store: createMemoryStore() });
+        await assert.rejects(without.dailyLeaderboard({}), { code: 'LIBRARY_DISABLED', status: 404 });
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createMemoryStore, createTokenStore, CrosswordError } from '../../index.js';
+
+const puzzle = {
+    meta: { title: 'Test Crossword' },
+    dimensions: { width: 2, height: 2 },
+    grid: [['A', 'B'], ['-', 'C']],
+    clues: {
+        across: [{ number: 1, clue: 'First', answer: 'AB', x: 1, y: 1 }],
+        down: [{ number: 2, clue: 'Second', answer: 'BC', x: 2, y: 1 }]
+    },
+    difficulty: { level: 'easy' }
+};
+
+describe('sessions', () => {
+    it('memory store should save and load puzzles', async () => {
+        const store = createMemoryStore();
+        const puzzleId = await store.save(puzzle);
+
+        assert.deepStrictEqual(await store.load(puzzleId), puzzle);
+        assert.strictEqual(await store.load('unknown-id'), null);
+    });
+
+    it('stores should update a session in place or as a new token', async () => {
+        const store = createMemoryStore();
+        const puzzleId = await store.save(puzzle);
+        const updated = { ...puzzle, solve: { checks: 1 } };
+
+        assert.strictEqual(await store.update(puzzleId, updated), puzzleId);
+        assert.deepStrictEqual(await store.load(puzzleId), updated);
+        await assert.rejects(store.update('unknown-id', updated), { code: 'PUZZLE_NOT_FOUND', status: 404 });
+
+        // Earlier tokens still open the earlier state, which is why token sessions are not ranked
+        const tokens = createTokenStore({ secret: 'test-secret' });
+        const token = await tokens.save(puzzle);
+        const next = await tokens.update(token, updated);
+        assert.notStrictEqual(next, token);
+        assert.deepStrictEqual(await tokens.load(next), updated);
+        assert.deepStrictEqual(await tokens.load(token), puzzle);
+        assert.deepStrictEqual([store.replayable, tokens.replayable], [undefined, true]);
+    });
+
+    it('memory store should expire puzzles after the TTL', async () => {
+        const store = createMemoryStore({ ttlHours: 0 });
+        const puzzleId = await store.save(puzzle);
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.strictEqual(await store.load(puzzleId), null);
+    });
+
+    it('token store should round-trip puzzles without exposing answers', async () => {
+        const store = createTokenStore({ secret: 'test-secret' });
+        const token = await store.save(puzzle);
+        assert.deepStrictEqual(await store.load(token), puzzle);
+
+        // Long enough that random ciphertext cannot contain it by chance
+        const answer = 'CONFIDENTIALANSWER';
+        const secretPuzzle = {
+            ...puzzle,
+            grid: [answer.split('')],
+            clues: { across: [{ number: 1, clue: 'Secret', answer, x: 1, y: 1 }], down: [] }
+        };
+        const secretToken = await store.save(secretPuzzle);
+        assert.ok(!secretToken.includes(answer), 'Token should not contain plaintext answers');
+        assert.deepStrictEqual(await store.load(secretToken), secretPuzzle);
+    });
+
+    it('token store should reject tampered tokens and other secrets', async () => {
+        const token = await createTokenStore({ secret: 'test-secret' }).save(puzzle);
+        const tampered = token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA');
+
+        assert.strictEqual(await createTokenStore({ secret: 'test-secret' }).load(tampered), null);
+        assert.strictEqual(await createTokenStore({ secret: 'other-secret' }).load(token), null);
+    });
+
+    it('token store should require a secret', async () => {
+        await assert.rejects(() => createTokenStore().save(puzzle), CrosswordError);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseAnswer, validateAnswers, readValidationConfig, generatePuzzle, createMockProvider } from '../../index.js';
+
+describe('validation', () => {
+    const defaults = readValidationConfig({});
+    const raw = answers => answers.map(a => ({ a, c: `Clue for ${a}` }));
+
+    it('should keep word breaks when parsing answers', () => {
+        assert.deepStrictEqual(parseAnswer('Black hole'), { answer: 'BLACKHOLE', phrase: 'BLACK HOLE' });
+        assert.deepStrictEqual(parseAnswer(' T - Rex!'), { answer: 'TREX', phrase: 'T-REX' });
+        assert.deepStrictEqual(parseAnswer("Rock 'n' roll"), { answer: 'ROCKNROLL', phrase: 'ROCK N ROLL' });
+        assert.deepStrictEqual(parseAnswer("O'Keeffe"), { answer: 'OKEEFFE' });
+    });
+
+    it('should keep phrases and flag unknown words by default', () => {
+        const { entries, rejected, flagged } = validateAnswers(raw(['Black hole', 'Space-time', 'PLANET', 'Qwzzle', 'Qwzzle star']));
+
+        assert.deepStrictEqual(rejected, []);
+        assert.deepStrictEqual(flagged, [{ answer: 'QWZZLE', reason: 'unknown-word' }, { answer: 'QWZZLESTAR', reason: 'unknown-word' }]);
+        assert.deepStrictEqual(entries.map(entry => entry.a), ['Black hole', 'Space-time', 'PLANET', 'Qwzzle', 'Qwzzle star']);
+    });
+
+    it('should accept inflections, word bank answers and allowlisted names', () => {
+        const answers = ['PLANETS', 'ORBITED', 'BAKING', 'RUNNING', 'POLYMORPHISM', 'Einstein', 'kubernetes'];
+        const { rejected, flagged } = validateAnswers(raw(answers));
+
+        assert.deepStrictEqual(rejected, []);
+        assert.deepStrictEqual(flagged, []);
+
+        const config = readValidationConfig({ UNKNOWN_ANSWERS: 'reject', ALLOWED_ANSWERS: 'qwzzle, Big Apple' });
+        assert.deepStrictEqual(validateAnswers(raw(['Qwzzle', 'Big Apple', 'Zorblat']), { config }).rejected, [
+            { answer: 'ZORBLAT', reason: 'unknown-word' }
+        ]);
+    });
+
+    it('should follow the configured modes', () => {
+        assert.deepStrictEqual(defaults, { phrase: 'off', unknownWord: 'flag', allow: [] });
+
+        const rejectPhrases = readValidationConfig({ PHRASE_ANSWERS: 'reject' });
+        assert.deepStrictEqual(validateAnswers(raw(['New York', 'T-Rex']), { config: rejectPhrases }).rejected, [
+            { answer: 'NEWYORK', reason: 'phrase' },
+            { answer: 'TREX', reason: 'phrase' }
+        ]);
+
+        const off = readValidationConfig({ PHRASE_ANSWERS: 'off', UNKNOWN_ANSWERS: 'OFF' });
+        const result = validateAnswers(raw(['New York', 'Qwzzle']), { config: off });
+        assert.deepStrictEqual([result.rejected, result.flagged, result.entries.length], [[], [], 2]);
+
+        const flagPhrases = readValidationConfig({ PHRASE_ANSWERS: 'flag' });
+        assert.deepStrictEqual(validateAnswers(raw(['New York']), { config: flagPhrases }).flagged, [{ answer: 'NEWYORK', reason: 'phrase' }]);
+
+        // Without a word list for the language, only phrases are checked
+        assert.deepStrictEqual(validateAnswers(raw(['Qwzzle']), { language: 'xx' }).flagged, []);
+        assert.throws(() => readValidationConfig({ UNKNOWN_ANSWERS: 'ignore' }), { code: 'INVALID_VALIDATION_MODE' });
+    });
+
+    it('should report validation in puzzle stats without naming placed answers', async () => {
+        const provider = createMockProvider({
+            fixtures: {
+                hint: '',
+                topics: {
+                    default: raw(['PYTHON', 'CODE', 'New York', 'DEBUG', 'LOOP', 'ARRAYX', 'CODER'])
+                }
+            }
+        });
+        process.env.PHRASE_ANSWERS = 'reject';
+        let puzzle;
+        try {
+            puzzle = await generatePuzzle({ topic: 'Anything', wordCount: 5, difficulty: 'medium', source: 'llm', seed: 2 }, provider);
+        } finally {
+            delete process.env.PHRASE_ANSWERS;
+        }
+        const { validation } = puzzle.stats;
+
+        assert.deepStrictEqual(validation.rejected, [{ answer: 'NEWYORK', reason: 'phrase' }]);
+        assert.strictEqual(validation.flagged.length, 1);
+        validation.flagged.forEach(flag => {
+            const clue = puzzle.clues[flag.direction].find(c => c.number === flag.number);
+            assert.strictEqual(clue.answer, 'ARRAYX');
+            assert.strictEqual(flag.reason, 'unknown-word');
+        });
+    });
+});
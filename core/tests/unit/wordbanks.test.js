@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    TOPICS,
+    DIFFICULTIES,
+    findWordBank,
+    getWordBankEntries,
+    normalizeEntries,
+    generateEntries,
+    createProvider
+} from '../../index.js';
+
+// A provider that always fails, as when Bytez is down
+const failingProvider = {
+    name: 'failing',
+    async complete() {
+        throw new Error('Service unavailable');
+    }
+};
+
+describe('wordbanks', () => {
+    it('should have a bank for every suggested topic', () => {
+        TOPICS.forEach(topic => assert.ok(findWordBank(topic), `Missing bank for ${topic}`));
+    });
+
+    it('should match topics by alias and contained name', () => {
+        assert.strictEqual(findWordBank('coding').topic, 'Programming');
+        assert.strictEqual(findWordBank('Cooking and Food').topic, 'Cooking & Food');
+        assert.strictEqual(findWordBank('Winter sports')?.topic, 'Sports');
+        assert.strictEqual(findWordBank('Knitting'), null);
+    });
+
+    it('should only return entries valid for the difficulty', () => {
+        DIFFICULTIES.forEach(difficulty => {
+            const raw = getWordBankEntries('Marine Biology', 50, difficulty);
+            assert.ok(raw.length >= 10, `Too few ${difficulty} entries`);
+            assert.strictEqual(normalizeEntries(raw, difficulty).length, raw.length);
+        });
+    });
+
+    it('should generate from the local source without calling the LLM', async () => {
+        const result = await generateEntries(
+            { topic: 'Sports', wordCount: 8, difficulty: 'easy', source: 'local' },
+            failingProvider
+        );
+
+        assert.strictEqual(result.source, 'local');
+        assert.strictEqual(result.entries.length, 8);
+    });
+
+    it('should fall back to local banks in auto mode', async () => {
+        const result = await generateEntries(
+            { topic: 'Sports', wordCount: 8, difficulty: 'medium', source: 'auto' },
+            failingProvider
+        );
+
+        assert.strictEqual(result.source, 'local');
+    });
+
+    it('should keep the LLM error when llm is requested or no bank matches', async () => {
+        await assert.rejects(
+            () => generateEntries({ topic: 'Sports', wordCount: 8, difficulty: 'medium', source: 'llm' }, failingProvider),
+            /Service unavailable/
+        );
+        await assert.rejects(
+            () => generateEntries({ topic: 'Knitting', wordCount: 8, difficulty: 'medium', source: 'auto' }, failingProvider),
+            /Service unavailable/
+        );
+        await assert.rejects(
+            () => generateEntries({ topic: 'Knitting', wordCount: 8, difficulty: 'medium', source: 'local' }, failingProvider),
+            { code: 'NO_LOCAL_WORDBANK' }
+        );
+    });
+
+    it('should use the LLM when it succeeds in auto mode', async () => {
+        const result = await generateEntries(
+            { topic: 'Programming', wordCount: 5, difficulty: 'medium', source: 'auto' },
+            createProvider({ provider: 'mock' })
+        );
+
+        assert.strictEqual(result.source, 'llm');
+    });
+});
@@ -3,20 +3,57 @@ const API_URL = window.location.hostname === 'localhost'
     ? 'http://localhost:3000/api/crossword'
     : '/api/crossword';
 
+// Grid cells are 36px plus a 2px gap; generated grids are limited to the screen width
+const CELL_PX = 38;
+const GRID_SIZE_MIN = 5;
+const GRID_SIZE_MAX = 30;
+
+// In-progress puzzles are kept in localStorage, most recent first
+const PROGRESS_STORAGE_KEY = 'crossword-progress';
+const PROGRESS_MAX = 20;
+
+// Name shown on leaderboards, asked for once
+const PLAYER_NAME_KEY = 'crossword-player-name';
+
+const SCORE_ITEMS = {
+    base: 'Solved',
+    hints: 'Hints',
+    checks: 'Checks',
+    incorrect: 'Wrong letters',
+    reveals: 'Revealed clues',
+    time: 'Minutes over par',
+    revealAll: 'Revealed grid'
+};
+
 // State
 let currentPuzzle = null;
 let selectedDifficulty = 'medium';
+let inputMode = 'topic'; // 'topic' or 'custom'
 let score = 100;
 let hintUsage = {
     semanticTotal: 0,
     letterTotal: 0,
     byClue: {} // { clueId: { semantic: 0, letter: 0, revealedIndices: [] } }
 };
+let puzzleFinished = false;
+let elapsedMs = 0; // Solving time before the current stretch
+let timerStartedAt = null;
+let timerInterval = null;
 
 // DOM Elements
 const topicInput = document.getElementById('topic');
 const wordCountSlider = document.getElementById('wordCount');
 const wordCountDisplay = document.getElementById('wordCountDisplay');
+const sourceSelect = document.getElementById('sourceSelect');
+const styleSelect = document.getElementById('styleSelect');
+const languageSelect = document.getElementById('languageSelect');
+const keepAccentsCheckbox = document.getElementById('keepAccents');
+const mustIncludeInput = document.getElementById('mustInclude');
+const excludeInput = document.getElementById('excludeWords');
+const modeSelector = document.getElementById('modeSelector');
+const customTitleInput = document.getElementById('customTitle');
+const customEntriesInput = document.getElementById('customEntries');
+const csvFile = document.getElementById('csvFile');
 const generateBtn = document.getElementById('generateBtn');
 const puzzleSection = document.getElementById('puzzleSection');
 const puzzleTitle = document.getElementById('puzzleTitle');
@@ -26,31 +63,69 @@ const downClues = document.getElementById('downClues');
 const checkBtn = document.getElementById('checkBtn');
 const revealBtn = document.getElementById('revealBtn');
 const newPuzzleBtn = document.getElementById('newPuzzleBtn');
+const printBtn = document.getElementById('printBtn');
+const exportBtn = document.getElementById('exportBtn');
+const exportIpuzBtn = document.getElementById('exportIpuzBtn');
+const shareBtn = document.getElementById('shareBtn');
+const importFile = document.getElementById('importFile');
 const topicButtons = document.getElementById('topicButtons');
+const dailyBtn = document.getElementById('dailyBtn');
+const dailyArchiveBtn = document.getElementById('dailyArchiveBtn');
+const dailyArchive = document.getElementById('dailyArchive');
 const errorMessage = document.getElementById('errorMessage');
 const difficultySelector = document.getElementById('difficultySelector');
 const difficultyBadge = document.getElementById('difficultyBadge');
 const scoreDisplay = document.getElementById('scoreDisplay');
 const hintCounter = document.getElementById('hintCounter');
+const timerDisplay = document.getElementById('timerDisplay');
+const continueList = document.getElementById('continueList');
+const continueButtons = document.getElementById('continueButtons');
 const hintDisplay = document.getElementById('hintDisplay');
 const hintText = document.getElementById('hintText');
 const closeHintBtn = document.getElementById('closeHint');
+const resultsPanel = document.getElementById('resultsPanel');
+const resultsScore = document.getElementById('resultsScore');
+const resultsBreakdown = document.getElementById('resultsBreakdown');
+const resultsLeaderboard = document.getElementById('resultsLeaderboard');
+const leaderboardList = document.getElementById('leaderboardList');
+const closeResultsBtn = document.getElementById('closeResults');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     loadSuggestedTopics();
+    renderContinueList();
+    openSharedPuzzle();
     setupEventListeners();
     setupDifficultySelector();
+    setupModeSelector();
     setupResizeHandles();
 });
 
 function setupEventListeners() {
-    generateBtn.addEventListener('click', generatePuzzle);
+    generateBtn.addEventListener('click', () => {
+        if (inputMode === 'custom') generateFromEntries();
+        else generatePuzzle();
+    });
+    csvFile.addEventListener('change', loadCsvFile);
     wordCountSlider.addEventListener('input', updateWordCountDisplay);
     checkBtn.addEventListener('click', checkAnswers);
     revealBtn.addEventListener('click', revealAll);
     newPuzzleBtn.addEventListener('click', resetPuzzle);
+    printBtn.addEventListener('click', printPuzzle);
+    exportBtn.addEventListener('click', () => exportPuzzle('puz'));
+    exportIpuzBtn.addEventListener('click', () => exportPuzzle('ipuz'));
+    shareBtn.addEventListener('click', sharePuzzle);
+    importFile.addEventListener('change', importPuzzle);
+    dailyBtn.addEventListener('click', () => loadDailyPuzzle(localDate(new Date())));
+    dailyArchiveBtn.addEventListener('click', toggleDailyArchive);
     closeHintBtn.addEventListener('click', hideHint);
+    closeResultsBtn.addEventListener('click', hideResults);
+    // Pause the clock and save while the page is in the background or closing
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseSolving();
+        else resumeSolving();
+    });
+    window.addEventListener('pagehide', pauseSolving);
     topicInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') generatePuzzle();
     });
@@ -67,12 +142,27 @@ function setupDifficultySelector() {
     });
 }
 
+function setupModeSelector() {
+    const buttons = modeSelector.querySelectorAll('.mode-btn');
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            buttons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            inputMode = btn.dataset.mode;
+            document.querySelectorAll('.topic-only').forEach(el => { el.hidden = inputMode !== 'topic'; });
+            document.querySelectorAll('.custom-only').forEach(el => { el.hidden = inputMode !== 'custom'; });
+        });
+    });
+}
+
 function resetPuzzle() {
+    pauseSolving();
     puzzleSection.hidden = true;
     topicInput.value = '';
     score = 100;
     hintUsage = { semanticTotal: 0, letterTotal: 0, byClue: {} };
     hideHint();
+    hideResults();
     topicInput.focus();
 }
 
@@ -104,6 +194,51 @@ function renderTopicButtons(topics) {
     });
 }
 
+// ========== DAILY PUZZLE ==========
+
+/**
+ * The player's calendar date as YYYY-MM-DD, so "today" follows their clock
+ */
+function localDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function loadDailyPuzzle(date) {
+    return requestPuzzle(`daily?date=${date}&difficulty=${selectedDifficulty}`);
+}
+
+async function toggleDailyArchive() {
+    if (!dailyArchive.hidden) {
+        dailyArchive.hidden = true;
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/daily/archive?before=${localDate(new Date())}`);
+        const data = await response.json();
+        if (!response.ok || data.ok === false) {
+            throw new Error(getErrorMessage(data));
+        }
+        renderDailyArchive(data.days);
+        dailyArchive.hidden = false;
+    } catch (error) {
+        console.error('Failed to load daily archive:', error);
+        showError(error.message);
+    }
+}
+
+function renderDailyArchive(days) {
+    const label = date => new Date(`${date}T12:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    dailyArchive.innerHTML = days.map(({ date, topic }) =>
+        `<button type="button" data-date="${date}"><span class="daily-date">${label(date)}</span> ${topic}</button>`
+    ).join('');
+
+    dailyArchive.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', () => loadDailyPuzzle(btn.dataset.date));
+    });
+}
+
 async function generatePuzzle() {
     const topic = topicInput.value.trim();
     if (!topic) {
@@ -111,23 +246,94 @@ async function generatePuzzle() {
         return;
     }
 
+    const [style, size] = styleSelect.value.split('-');
+    const data = await requestPuzzle('generate', {
+        topic,
+        wordCount: parseInt(wordCountSlider.value),
+        difficulty: selectedDifficulty,
+        source: sourceSelect.value,
+        style,
+        ...(size ? { size: parseInt(size) } : screenShapeLimits()),
+        mustInclude: parseRequiredWords(mustIncludeInput.value),
+        exclude: excludeInput.value.split(',').map(word => word.trim()).filter(Boolean),
+        ...languageOptions()
+    });
+    reportLayoutFit(data);
+}
+
+async function generateFromEntries() {
+    const entries = parseCustomEntries(customEntriesInput.value);
+    if (entries.length < 3) {
+        showError('Please enter at least 3 words, one "ANSWER, clue" per line');
+        return;
+    }
+
+    const data = await requestPuzzle('generate-from-entries', {
+        title: customTitleInput.value.trim(),
+        entries,
+        difficulty: selectedDifficulty,
+        ...screenShapeLimits(),
+        ...languageOptions()
+    });
+
+    if (data?.skipped?.length) {
+        showError(`Some words could not be used: ${data.skipped.join(', ')}`);
+    }
+}
+
+/**
+ * Required words: one "ANSWER" or "ANSWER, clue" per line
+ */
+function parseRequiredWords(text) {
+    return text.split(/\r?\n/)
+        .map(line => parseCsvLine(line.trim()))
+        .filter(fields => fields[0])
+        .map(([answer, ...clue]) => (clue.some(Boolean) ? { answer, clue: clue.join(', ') } : { answer }));
+}
+
+/**
+ * Puzzle language; accents are folded unless the player keeps them
+ */
+function languageOptions() {
+    return keepAccentsCheckbox.checked
+        ? { language: languageSelect.value, foldAccents: false }
+        : { language: languageSelect.value };
+}
+
+/**
+ * maxWidth for the columns that fit on screen; nothing on wide screens
+ */
+function screenShapeLimits() {
+    const columns = Math.floor((document.documentElement.clientWidth - 2 * CELL_PX) / CELL_PX);
+    return columns < GRID_SIZE_MAX ? { maxWidth: Math.max(columns, GRID_SIZE_MIN) } : {};
+}
+
+/**
+ * Say when the grid left words out: too narrow a screen, or no topic answer fitting an American grid
+ */
+function reportLayoutFit(data) {
+    if (data?.diagnostics?.shape?.fits === false) {
+        const { placed, requested } = data.stats.words;
+        showError(`Only ${placed} of ${requested} words fit on this screen`);
+    }
+    if (data?.diagnostics?.theme?.placed === 0) {
+        const { longestSlot } = data.diagnostics.theme;
+        showError(`No topic answers fit this grid (its longest answer is ${longestSlot} letters); try a smaller size or a freeform grid`);
+    }
+}
+
+/**
+ * POST a puzzle request, or GET it when there is no body (e.g. the daily puzzle)
+ */
+async function requestPuzzle(endpoint, body, { onNotFound } = {}) {
     hideError();
     setLoading(true);
 
-    // Reset state
-    score = 100;
-    hintUsage = { semanticTotal: 0, letterTotal: 0, byClue: {} };
-    hideHint();
-
     try {
-        const response = await fetch(`${API_URL}/generate`, {
+        const response = await fetch(`${API_URL}/${endpoint}`, body === undefined ? undefined : {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                topic,
-                wordCount: parseInt(wordCountSlider.value),
-                difficulty: selectedDifficulty
-            })
+            body: JSON.stringify(body)
         });
 
         // Safe JSON parsing
@@ -148,31 +354,239 @@ async function generatePuzzle() {
         // Check for error in response (new API format)
         if (data.ok === false || data.error) {
             const errorMsg = data.error?.message || data.error || 'Failed to generate puzzle';
-            throw new Error(errorMsg);
+            throw Object.assign(new Error(errorMsg), { code: data.error?.code });
         }
 
         if (!data.grid || !data.clues) {
             throw new Error('Invalid puzzle data received. Please try again.');
         }
 
-        currentPuzzle = data;
-        renderPuzzle();
-        updateStats();
-        puzzleSection.hidden = false;
-        puzzleSection.scrollIntoView({ behavior: 'smooth' });
+        startPuzzle(data);
+        return data;
 
     } catch (error) {
+        if (onNotFound && error.code === 'PUZZLE_NOT_FOUND') {
+            onNotFound();
+            return null;
+        }
         console.error('Generate error:', error);
         showError(error.message);
+        return null;
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ========== CUSTOM WORDS ==========
+
+/**
+ * Parse "ANSWER, clue" lines (plain text or CSV, comma or tab separated)
+ */
+function parseCustomEntries(text) {
+    return text.split(/\r?\n/)
+        .map(line => parseCsvLine(line.trim()))
+        .filter(fields => fields.length >= 2 && fields[0] && fields[1])
+        .map(([answer, ...clue]) => ({ answer, clue: clue.join(', ') }))
+        // Skip a header row
+        .filter((entry, i) => !(i === 0 && entry.answer.toLowerCase() === 'answer'));
+}
+
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === '\t') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+async function loadCsvFile() {
+    const file = csvFile.files[0];
+    if (!file) return;
+
+    customEntriesInput.value = await file.text();
+    if (!customTitleInput.value) {
+        customTitleInput.value = file.name.replace(/\.[^.]+$/, '');
+    }
+    csvFile.value = '';
+}
+
+function startPuzzle(data) {
+    // Save the puzzle being replaced, then reset state
+    pauseSolving();
+    score = 100;
+    hintUsage = { semanticTotal: 0, letterTotal: 0, byClue: {} };
+    puzzleFinished = false;
+    elapsedMs = 0;
+    hideHint();
+    hideResults();
+
+    currentPuzzle = data;
+    renderPuzzle();
+    restoreProgress();
+    updateStats();
+    if (!puzzleFinished) startTimer();
+    puzzleSection.hidden = false;
+    puzzleSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ========== IMPORT / EXPORT ==========
+
+async function importPuzzle() {
+    const file = importFile.files[0];
+    if (!file) return;
+
+    hideError();
+    setLoading(true);
+
+    try {
+        // Send the file as base64 inside the usual JSON body
+        const format = file.name.toLowerCase().endsWith('.ipuz') ? 'ipuz' : 'puz';
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+
+        const response = await fetch(`${API_URL}/puzzles/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ format, data: btoa(binary), difficulty: selectedDifficulty })
+        });
+        const data = await response.json();
+
+        if (!response.ok || data.ok === false) {
+            throw new Error(getErrorMessage(data));
+        }
+
+        startPuzzle(data);
+    } catch (error) {
+        console.error('Import error:', error);
+        showError(error.message);
     } finally {
+        importFile.value = '';
         setLoading(false);
     }
 }
 
+function printPuzzle() {
+    if (!currentPuzzle) return;
+
+    // The answer key is a separate last page, so teachers can print it apart
+    const key = confirm(puzzleFinished
+        ? 'Include an answer key page?'
+        : 'Include an answer key page? The answers count as revealed, so this solve will not be ranked.');
+    // PDFs only hold Latin-1 text; other scripts (e.g. Greek) print from SVG
+    const text = [currentPuzzle.meta.title, ...(currentPuzzle.language?.letters || ''),
+        ...[...currentPuzzle.clues.across, ...currentPuzzle.clues.down].map(clue => clue.clue)].join('');
+    const format = /[^\u0000-\u00ff€…‘’“”•–—]/.test(text) ? 'svg' : 'pdf';
+    window.open(`${puzzleActionUrl('print')}?format=${format}&key=${key}`, '_blank');
+}
+
+async function exportPuzzle(format) {
+    if (!currentPuzzle) return;
+    // Exported files hold the answers, so the server counts them as revealed
+    if (!puzzleFinished && !confirm('The exported file includes the answers, so this solve will not be ranked. Export anyway?')) return;
+
+    try {
+        const response = await fetch(`${puzzleActionUrl('export')}?format=${format}`);
+        if (!response.ok) {
+            throw new Error(getErrorMessage(await response.json()));
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = `${currentPuzzle.meta?.title || 'crossword'}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Export error:', error);
+        showError(error.message);
+    }
+}
+
+// ========== SHARE LINKS ==========
+
+/**
+ * Link to the current puzzle: saved puzzles by their library ID; otherwise
+ * a share ID in the fragment, which on the stateless deploy is the whole
+ * encrypted puzzle and never reaches server logs. A share ID can only open
+ * a new session, so whoever follows the link can't play the sharer's own.
+ */
+async function shareUrl(puzzle) {
+    const base = `${window.location.origin}${window.location.pathname}`;
+    if (puzzle.libraryId) return `${base}?puzzle=${encodeURIComponent(puzzle.libraryId)}`;
+
+    const { shareId } = await postPuzzleAction('share', {});
+    return `${base}#puzzle=${encodeURIComponent(shareId)}`;
+}
+
+async function sharePuzzle() {
+    if (!currentPuzzle) return;
+
+    let url;
+    try {
+        url = await shareUrl(currentPuzzle);
+    } catch (error) {
+        console.error('Share error:', error);
+        showError(error.message);
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showHint('Link copied - anyone with it can play this puzzle');
+    } catch (error) {
+        // Clipboard access needs a secure context; let the player copy it by hand
+        prompt('Copy this link to share the puzzle:', url);
+    }
+}
+
+/**
+ * Load the puzzle named by a shared link, if the page was opened from one
+ */
+function openSharedPuzzle() {
+    const libraryId = new URLSearchParams(window.location.search).get('puzzle');
+    const shareId = new URLSearchParams(window.location.hash.slice(1)).get('puzzle');
+
+    if (!libraryId && !shareId) return null;
+    return openPuzzle({ libraryId, shareId });
+}
+
+/**
+ * Start a new session on an existing puzzle: saved puzzles by library ID,
+ * others by share ID
+ */
+function openPuzzle({ libraryId, shareId }) {
+    return libraryId
+        ? requestPuzzle(`puzzles/${encodeURIComponent(libraryId)}`)
+        : requestPuzzle(`puzzles/${encodeURIComponent(shareId)}/open`);
+}
+
 function renderPuzzle() {
     if (!currentPuzzle) return;
 
-    puzzleTitle.textContent = currentPuzzle.meta.title;
+    puzzleTitle.textContent = currentPuzzle.daily
+        ? `${currentPuzzle.meta.title} · ${currentPuzzle.daily.date}`
+        : currentPuzzle.meta.title;
 
     // Difficulty badge
     const difficulty = currentPuzzle.difficulty?.level || selectedDifficulty;
@@ -189,6 +603,8 @@ function renderPuzzle() {
         if (!positionMap[key]) positionMap[key] = clue.number;
     });
 
+    const breaks = wordBreaks(currentPuzzle);
+
     let gridHTML = '';
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
@@ -201,7 +617,7 @@ function renderPuzzle() {
             } else {
                 const numberLabel = cellNumber ? `<span class="cell-number">${cellNumber}</span>` : '';
                 gridHTML += `
-          <div class="grid-cell letter" data-x="${x}" data-y="${y}" data-answer="${cell}">
+          <div class="grid-cell letter${breaks[key] ? ` ${breaks[key]}` : ''}" data-x="${x}" data-y="${y}">
             ${numberLabel}
             <input type="text" maxlength="1" data-x="${x}" data-y="${y}" autocomplete="off">
           </div>
@@ -228,16 +644,39 @@ function renderPuzzle() {
     setupClueHandlers();
 }
 
+/**
+ * Cells that end a word of a phrase answer, from the clue enumerations:
+ * "x-y" (1-based) -> bar classes drawn on the cell's right or bottom edge
+ */
+function wordBreaks(puzzle) {
+    const breaks = {};
+    ['across', 'down'].forEach(direction => {
+        puzzle.clues[direction].filter(clue => clue.enumeration).forEach(clue => {
+            const [dx, dy] = direction === 'across' ? [1, 0] : [0, 1];
+            let offset = 0;
+            for (const [, length, separator] of clue.enumeration.matchAll(/(\d+)([,-]?)/g)) {
+                offset += Number(length);
+                if (!separator) break;
+                const key = `${clue.x + dx * (offset - 1)}-${clue.y + dy * (offset - 1)}`;
+                const bar = `${separator === ',' ? 'break' : 'hyphen'}-${direction}`;
+                breaks[key] = breaks[key] ? `${breaks[key]} ${bar}` : bar;
+            }
+        });
+    });
+    return breaks;
+}
+
 function renderClueItem(clue, direction) {
     const clueId = `${direction}-${clue.number}`;
     const penalty = currentPuzzle.difficulty?.hintLimits?.penalty || 0;
     const penaltyText = penalty > 0 ? `<span class="hint-penalty">-${penalty}</span>` : '';
 
+    // Clue text comes from custom entries and imported files, so it is escaped
     return `
-    <li data-clue-id="${clueId}" data-number="${clue.number}" data-direction="${direction}" data-answer="${clue.answer}" data-clue="${clue.clue}">
+    <li data-clue-id="${clueId}" data-number="${clue.number}" data-direction="${direction}">
       <div class="clue-content">
         <span class="clue-number">${clue.number}.</span>
-        <span class="clue-text">${clue.clue}</span>
+        <span class="clue-text">${escapeHtml(clue.clue)}${clue.enumeration ? ` <span class="clue-enumeration">(${escapeHtml(clue.enumeration)})</span>` : ''}</span>
       </div>
       <div class="hint-buttons">
         <button class="hint-btn semantic-hint-btn" data-clue-id="${clueId}" data-type="semantic" title="Get a clue hint">
@@ -285,8 +724,6 @@ async function requestHint(btn) {
     const clueId = btn.dataset.clueId;
     const hintType = btn.dataset.type;
     const li = btn.closest('li');
-    const answer = li.dataset.answer;
-    const clue = li.dataset.clue;
 
     // Initialize clue usage if needed
     if (!hintUsage.byClue[clueId]) {
@@ -298,43 +735,33 @@ async function requestHint(btn) {
     // Get user's current input for this word
     const userInput = getUserInputForClue(li);
 
-    // Prepare usage data for API
-    const usage = {
-        semanticForClue: clueUsage.semantic,
-        semanticTotal: hintUsage.semanticTotal,
-        letterForClue: clueUsage.letter,
-        letterTotal: hintUsage.letterTotal
-    };
-
     btn.disabled = true;
 
     try {
-        const response = await fetch(`${API_URL}/hint`, {
+        const response = await fetch(puzzleActionUrl('hint'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 hintType,
-                clue,
-                answer,
-                userInput,
-                alreadyRevealed: clueUsage.revealedIndices,
-                intersections: {},
-                difficulty: selectedDifficulty,
-                usage
+                direction: li.dataset.direction,
+                number: parseInt(li.dataset.number),
+                // Hint limits and revealed letters are counted by the server
+                userInput
             })
         });
 
         const data = await response.json();
 
-        if (!response.ok) {
-            if (data.limitReached) {
+        if (!response.ok || data.ok === false) {
+            if (data.error?.code === 'HINT_LIMIT_REACHED') {
                 btn.classList.add('limit-reached');
-                showHint(data.error);
+                showHint(getErrorMessage(data));
             } else {
-                showError(data.error);
+                showError(getErrorMessage(data));
             }
             return;
         }
+        adoptPuzzleId(data);
 
         // Apply penalty
         if (data.penalty > 0) {
@@ -364,6 +791,7 @@ async function requestHint(btn) {
         btn.classList.add('used');
         updateStats();
         updateHintButtons();
+        saveProgress();
 
     } catch (error) {
         showError('Failed to get hint');
@@ -386,7 +814,7 @@ function getUserInputForClue(li) {
     const startX = clue.x - 1;
     const startY = clue.y - 1;
 
-    for (let i = 0; i < clue.answer.length; i++) {
+    for (let i = 0; i < clue.length; i++) {
         const x = direction === 'across' ? startX + i : startX;
         const y = direction === 'down' ? startY + i : startY;
         const cell = crosswordGrid.querySelector(`input[data-x="${x}"][data-y="${y}"]`);
@@ -399,8 +827,7 @@ function getUserInputForClue(li) {
 function revealLetterInGrid(li, index, letter) {
     const direction = li.dataset.direction;
     const number = parseInt(li.dataset.number);
-    const clue = [...currentPuzzle.clues.across, ...currentPuzzle.clues.down]
-        .find(c => c.number === number);
+    const clue = currentPuzzle.clues[direction].find(c => c.number === number);
 
     if (!clue) return;
 
@@ -450,10 +877,26 @@ function updateStats() {
     hintCounter.textContent = `Hints: ${totalHints}`;
 }
 
+/**
+ * Map a typed character onto the puzzle's alphabet: uppercase, folded to its
+ * base letter when the accented one isn't used ("é" -> E), '' if it isn't a letter.
+ * Imported puzzles carry no alphabet and accept any single letter.
+ */
+function toPuzzleLetter(char) {
+    const upper = char.normalize('NFC').toUpperCase();
+    const letters = currentPuzzle?.language?.letters;
+    if (!letters) return /^\p{L}$/u.test(upper) ? upper : '';
+    if (letters.includes(upper)) return upper;
+
+    const folded = upper.normalize('NFD').replace(/\p{M}/gu, '');
+    return folded.length === 1 && letters.includes(folded) ? folded : '';
+}
+
 function handleCellInput(e) {
     const input = e.target;
-    const value = input.value.toUpperCase();
+    const value = toPuzzleLetter([...input.value].pop() || '');
     input.value = value;
+    saveProgress();
 
     if (value) {
         const x = parseInt(input.dataset.x);
@@ -481,27 +924,398 @@ function handleCellKeydown(e) {
     if (nextInput) { e.preventDefault(); nextInput.focus(); }
 }
 
-function checkAnswers() {
-    crosswordGrid.querySelectorAll('.grid-cell.letter').forEach(cell => {
-        const input = cell.querySelector('input');
-        const answer = cell.dataset.answer;
-        const userValue = input.value.toUpperCase();
-        cell.classList.remove('correct', 'incorrect');
-        if (userValue) {
-            cell.classList.add(userValue === answer ? 'correct' : 'incorrect');
+async function checkAnswers() {
+    const cells = [...crosswordGrid.querySelectorAll('.grid-cell.letter input')]
+        .filter(input => input.value)
+        .map(input => ({
+            x: parseInt(input.dataset.x),
+            y: parseInt(input.dataset.y),
+            value: input.value.toUpperCase()
+        }));
+
+    try {
+        const data = await postPuzzleAction('check', { cells });
+
+        crosswordGrid.querySelectorAll('.grid-cell.letter').forEach(cell => {
+            cell.classList.remove('correct', 'incorrect');
+        });
+        data.cells.forEach(({ x, y, correct }) => {
+            const cell = crosswordGrid.querySelector(`.grid-cell[data-x="${x}"][data-y="${y}"]`);
+            cell?.classList.add(correct ? 'correct' : 'incorrect');
+        });
+        if (data.solved && !puzzleFinished) {
+            await submitSolution(cells);
         }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function revealAll() {
+    try {
+        const data = await postPuzzleAction('reveal', {});
+
+        data.cells.forEach(({ x, y, letter }) => {
+            const cell = crosswordGrid.querySelector(`.grid-cell[data-x="${x}"][data-y="${y}"]`);
+            if (!cell) return;
+            cell.querySelector('input').value = letter;
+            cell.classList.remove('incorrect');
+            cell.classList.add('correct');
+        });
+        score = 0;
+        updateStats();
+        finishPuzzle();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// ========== SCORING ==========
+
+function playerName() {
+    try {
+        const saved = localStorage.getItem(PLAYER_NAME_KEY);
+        if (saved) return saved;
+    } catch (error) {
+        // Storage unavailable: ask every time
+    }
+
+    const name = prompt('Solved! Name for the leaderboard:', '')?.trim();
+    if (!name) return undefined; // Listed as Anonymous
+    try {
+        localStorage.setItem(PLAYER_NAME_KEY, name);
+    } catch (error) {
+        console.error('Failed to save player name:', error);
+    }
+    return name;
+}
+
+/**
+ * Send the finished grid to be verified and scored by the server
+ */
+async function submitSolution(cells) {
+    const data = await postPuzzleAction('submit', { cells, name: playerName() });
+    showResults(data);
+    // Only a submit that went through finishes the puzzle; otherwise Check can submit again
+    finishPuzzle();
+
+    // Saved puzzles (including the daily puzzle) have a leaderboard
+    if (data.libraryId) {
+        const response = await fetch(`${API_URL}/puzzles/${encodeURIComponent(data.libraryId)}/leaderboard`);
+        const board = await response.json();
+        if (response.ok && board.ok !== false) renderLeaderboard(board.leaderboard, data.rank);
+    }
+}
+
+function showResults({ score: total, breakdown, elapsedMs: time, ranked, rank }) {
+    score = total;
+    updateStats();
+
+    const place = rank ? ` · #${rank}` : '';
+    resultsScore.textContent = `Score: ${total} · ⏱ ${formatElapsed(time)}${place}`;
+    resultsBreakdown.innerHTML = breakdown
+        .filter(({ item, points }) => item === 'base' || points !== 0)
+        .map(({ item, count, points }) => `
+      <li>
+        <span>${SCORE_ITEMS[item] || escapeHtml(item)}${count ? ` × ${count}` : ''}</span>
+        <span class="results-points">${points > 0 ? '+' : ''}${points}</span>
+      </li>
+    `).join('');
+    if (!ranked) {
+        const note = breakdown.some(({ item }) => item === 'revealAll')
+            ? 'Revealed puzzles are not ranked'
+            : 'Solves on this server are not ranked';
+        resultsBreakdown.innerHTML += `<li class="results-note">${note}</li>`;
+    }
+    resultsLeaderboard.hidden = true;
+    resultsPanel.hidden = false;
+}
+
+function renderLeaderboard(leaderboard, rank) {
+    leaderboardList.innerHTML = leaderboard.map(result => `
+      <li class="${result.rank === rank ? 'current' : ''}">
+        <span>${escapeHtml(result.name)}</span>
+        <span>${result.score} · ${formatElapsed(result.elapsedMs)}</span>
+      </li>
+    `).join('');
+    resultsLeaderboard.hidden = leaderboard.length === 0;
+}
+
+function hideResults() {
+    resultsPanel.hidden = true;
+}
+
+// ========== SAVED PROGRESS ==========
+
+/**
+ * Progress belongs to one solve session. Its sessionId stays the same while
+ * the stateless deploy hands out a new puzzleId after every action.
+ */
+function progressKey(puzzle) {
+    return puzzle.sessionId || puzzle.puzzleId;
+}
+
+function loadAllProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function storeAllProgress(list) {
+    try {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(list.slice(0, PROGRESS_MAX)));
+    } catch (error) {
+        // Private browsing or a full quota: solving still works, it just isn't saved
+        console.error('Failed to save progress:', error);
+    }
+}
+
+function saveProgress() {
+    if (!currentPuzzle) return;
+
+    const cells = {};
+    const revealed = [];
+    const letterCells = crosswordGrid.querySelectorAll('.grid-cell.letter');
+    letterCells.forEach(cell => {
+        const key = `${cell.dataset.x}-${cell.dataset.y}`;
+        const value = cell.querySelector('input').value;
+        if (value) cells[key] = value;
+        if (cell.classList.contains('revealed')) revealed.push(key);
     });
+
+    const progress = {
+        key: progressKey(currentPuzzle),
+        libraryId: currentPuzzle.libraryId,
+        puzzleId: currentPuzzle.puzzleId,
+        title: currentPuzzle.meta.title,
+        difficulty: currentPuzzle.difficulty?.level,
+        totalCells: letterCells.length,
+        cells,
+        revealed,
+        score,
+        hintUsage,
+        elapsedMs: currentElapsed(),
+        finished: puzzleFinished,
+        updatedAt: Date.now()
+    };
+    storeAllProgress([progress, ...loadAllProgress().filter(saved => saved.key !== progress.key)]);
+    renderContinueList();
 }
 
-function revealAll() {
-    crosswordGrid.querySelectorAll('.grid-cell.letter').forEach(cell => {
-        const input = cell.querySelector('input');
-        input.value = cell.dataset.answer;
-        cell.classList.remove('incorrect');
-        cell.classList.add('correct');
+function cellAt(key) {
+    const [x, y] = key.split('-');
+    return crosswordGrid.querySelector(`.grid-cell[data-x="${x}"][data-y="${y}"]`);
+}
+
+/**
+ * Put back the saved letters, reveals, score, hints and time of the current puzzle
+ */
+function restoreProgress() {
+    const progress = loadAllProgress().find(saved => saved.key === progressKey(currentPuzzle));
+    if (!progress) return;
+
+    Object.entries(progress.cells).forEach(([key, value]) => {
+        const cell = cellAt(key);
+        if (cell) cell.querySelector('input').value = value;
     });
-    score = 0;
-    updateStats();
+    progress.revealed.forEach(key => cellAt(key)?.classList.add('revealed'));
+
+    score = progress.score;
+    hintUsage = progress.hintUsage;
+    // The server's clock is the one the score uses
+    elapsedMs = currentPuzzle.elapsedMs ?? progress.elapsedMs;
+    puzzleFinished = progress.finished;
+
+    Object.entries(hintUsage.byClue).forEach(([clueId, usage]) => {
+        if (usage.semantic > 0) document.querySelector(`.semantic-hint-btn[data-clue-id="${clueId}"]`)?.classList.add('used');
+        if (usage.letter > 0) document.querySelector(`.letter-hint-btn[data-clue-id="${clueId}"]`)?.classList.add('used');
+    });
+    updateHintButtons();
+}
+
+function finishPuzzle() {
+    stopTimer();
+    puzzleFinished = true;
+    saveProgress();
+}
+
+/**
+ * Stop the clock and save, e.g. before leaving the puzzle or the page
+ */
+function pauseSolving() {
+    if (!currentPuzzle || puzzleSection.hidden) return;
+    stopTimer();
+    saveProgress();
+    if (!puzzleFinished) pauseSession(currentPuzzle);
+}
+
+/**
+ * Stop the server's clock too. The page may be closing or on to another
+ * puzzle by the time this answers, so the new puzzleId (stateless deploy)
+ * goes to the paused puzzle and its saved progress. A pause that never
+ * arrives leaves the server clock running.
+ */
+function pauseSession(puzzle) {
+    const key = progressKey(puzzle);
+    fetch(`${API_URL}/puzzles/${encodeURIComponent(puzzle.puzzleId)}/pause`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}',
+        keepalive: true
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.puzzleId) return;
+            puzzle.puzzleId = data.puzzleId;
+            storeAllProgress(loadAllProgress().map(saved => (saved.key === key ? { ...saved, puzzleId: data.puzzleId } : saved)));
+        })
+        .catch(error => console.error('Pause error:', error));
+}
+
+/**
+ * Restart both clocks when the player comes back to the page
+ */
+function resumeSolving() {
+    if (!currentPuzzle || puzzleSection.hidden || puzzleFinished) return;
+    startTimer();
+    postPuzzleAction('resume', {}).catch(error => console.error('Resume error:', error));
+}
+
+/**
+ * Carry on a saved puzzle in its own session, so the hints, reveals and time
+ * the server recorded for it still count
+ */
+async function continuePuzzle(progress) {
+    let expired = false;
+    await requestPuzzle(`puzzles/${encodeURIComponent(progress.puzzleId)}/resume`, {}, {
+        onNotFound: () => { expired = true; }
+    });
+    if (!expired) return;
+
+    if (!progress.libraryId) {
+        forgetProgress(progress.key);
+        showError('This puzzle has expired and can no longer be continued');
+        return;
+    }
+    if (!await openPuzzle(progress)) return;
+
+    // The new session has its own clock and hints; the letters the player
+    // typed carry over, but not the ones hints and reveals gave them
+    const revealed = new Set(progress.revealed);
+    Object.entries(progress.cells)
+        .filter(([key]) => !revealed.has(key))
+        .forEach(([key, value]) => {
+            const cell = cellAt(key);
+            if (cell) cell.querySelector('input').value = value;
+        });
+    forgetProgress(progress.key);
+    saveProgress();
+    showError('Your saved session expired, so hints and time start over; your letters were kept');
+}
+
+function forgetProgress(key) {
+    storeAllProgress(loadAllProgress().filter(saved => saved.key !== key));
+    renderContinueList();
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function renderContinueList() {
+    const unfinished = loadAllProgress().filter(progress => !progress.finished);
+    continueList.hidden = unfinished.length === 0;
+
+    continueButtons.innerHTML = unfinished.map(progress => {
+        const filled = Math.round(100 * Object.keys(progress.cells).length / Math.max(progress.totalCells, 1));
+        const key = escapeHtml(progress.key);
+        return `
+      <div class="continue-item">
+        <button type="button" class="continue-open" data-key="${key}">
+          ${escapeHtml(progress.title)}
+          <span class="continue-meta">${escapeHtml(progress.difficulty || '')} · ${formatElapsed(progress.elapsedMs)} · ${filled}%</span>
+        </button>
+        <button type="button" class="continue-forget" data-key="${key}" title="Forget this puzzle">×</button>
+      </div>
+    `;
+    }).join('');
+
+    continueButtons.querySelectorAll('.continue-open').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const progress = unfinished.find(saved => saved.key === btn.dataset.key);
+            if (progress) continuePuzzle(progress);
+        });
+    });
+    continueButtons.querySelectorAll('.continue-forget').forEach(btn => {
+        btn.addEventListener('click', () => forgetProgress(btn.dataset.key));
+    });
+}
+
+// ========== TIMER ==========
+
+function currentElapsed() {
+    return elapsedMs + (timerStartedAt ? Date.now() - timerStartedAt : 0);
+}
+
+function formatElapsed(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const clock = `${minutes % 60}:${String(seconds % 60).padStart(2, '0')}`;
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}:${clock.padStart(5, '0')}` : clock;
+}
+
+function updateTimer() {
+    timerDisplay.textContent = `⏱ ${formatElapsed(currentElapsed())}`;
+}
+
+function startTimer() {
+    if (timerStartedAt) return;
+    timerStartedAt = Date.now();
+    timerInterval = setInterval(updateTimer, 1000);
+    updateTimer();
+}
+
+function stopTimer() {
+    elapsedMs = currentElapsed();
+    timerStartedAt = null;
+    clearInterval(timerInterval);
+    updateTimer();
+}
+
+// ========== PUZZLE SESSION API ==========
+// Answers live on the server; the grid only knows the puzzleId
+
+function puzzleActionUrl(action) {
+    return `${API_URL}/puzzles/${encodeURIComponent(currentPuzzle.puzzleId)}/${action}`;
+}
+
+/**
+ * Stateless servers answer each action with a new puzzleId holding the
+ * updated solve log; later actions must use it
+ */
+function adoptPuzzleId(data) {
+    if (data.puzzleId && currentPuzzle) currentPuzzle.puzzleId = data.puzzleId;
+}
+
+function getErrorMessage(data) {
+    return data.error?.message || data.error || 'Request failed';
+}
+
+async function postPuzzleAction(action, body) {
+    const response = await fetch(puzzleActionUrl(action), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok || data.ok === false) {
+        throw new Error(getErrorMessage(data));
+    }
+    adoptPuzzleId(data);
+    return data;
 }
 
 function showHint(text) {
@@ -14,11 +14,11 @@ if %ERRORLEVEL% neq 0 (
     exit /b 1
 )
 
-:: Install backend dependencies if needed
-echo [1/4] Checking backend dependencies...
-cd /d "%~dp0backend"
+:: Install dependencies if needed (npm workspaces: core + backend)
+echo [1/4] Checking dependencies...
+cd /d "%~dp0"
 if not exist "node_modules" (
-    echo Installing backend dependencies...
+    echo Installing dependencies...
     call npm install
 )
 